@@ -15,7 +15,7 @@ export default {
     "@hotwired/stimulus",
     "@rails/request.js",
     "pdfjs-dist",
-    "pdf-lib"
+    "@cantoo/pdf-lib"
   ],
   plugins: [
     resolve(),
@@ -17,7 +17,7 @@ export default {
         "@hotwired/stimulus": "Stimulus",
         "@rails/request.js": "Rails",
         "pdfjs-dist": "pdfjsLib",
-        "pdf-lib": "PDFLib"
+        "@cantoo/pdf-lib": "PDFLib"
       }
     }
   ],
@@ -25,7 +25,7 @@ export default {
     "@hotwired/stimulus",
     "@rails/request.js",
     "pdfjs-dist",
-    "pdf-lib"
+    "@cantoo/pdf-lib"
   ],
   plugins: [
     resolve()
@@ -1,6 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
 import { PdfViewer, ToolMode } from "../lib"
-import { ScaleValue } from "../lib/core"
+import { ScaleValue, SpreadMode, ScrollMode } from "../lib/core"
 
 // Connects to data-controller="pdf-viewer"
 export default class extends Controller {
@@ -17,6 +17,12 @@ export default class extends Controller {
     initialAnnotation: String,
     autoHeight: { type: Boolean, default: true },
     detailPanel: { type: Boolean, default: false },
+    canvasPixelBudget: Number,
+    importAnnotations: { type: Boolean, default: false },
+    flattenForms: { type: Boolean, default: false },
+    cacheText: { type: Boolean, default: false },
+    prewarmTextCache: { type: Boolean, default: false },
+    urlHash: { type: Boolean, default: false },
     errorMessage: String
   }
 
@@ -27,6 +33,7 @@ export default class extends Controller {
 
   async connect() {
     this.resizeObserver.observe(this.containerTarget)
+    this._hasShownDocument = false
 
     // Create the PDF viewer instance
     this.pdfViewer = new PdfViewer(this.containerTarget, {
@@ -39,7 +46,13 @@ export default class extends Controller {
       documentId: this.documentIdValue,
       initialPage: this.initialPageValue || 1,
       initialAnnotation: this.initialAnnotationValue,
-      detailPanel: this.detailPanelValue
+      detailPanel: this.detailPanelValue,
+      canvasPixelBudget: this.canvasPixelBudgetValue || undefined,
+      importEmbeddedAnnotations: this.importAnnotationsValue,
+      flattenForms: this.flattenFormsValue,
+      cacheText: this.cacheTextValue,
+      prewarmTextCache: this.prewarmTextCacheValue,
+      urlHash: this.urlHashValue
     })
 
     // Set up the toolbar
@@ -57,13 +70,44 @@ export default class extends Controller {
     }
   }
 
+  // Swap documents in place when the URL changes (e.g. a Turbo morph or a
+  // host script setting data-pdf-viewer-document-url-value), keeping the
+  // toolbar, sidebars and zoom instead of reconnecting the controller.
+  // Stimulus also calls this before connect(), when there's no viewer yet.
+  async documentUrlValueChanged(value, previousValue) {
+    if (!this.pdfViewer || !value || value === previousValue) return
+
+    if (this.hasLoadingOverlayTarget) {
+      this.loadingOverlayTarget.classList.remove("hidden")
+    }
+    // Clear a load failure message left by the previous document
+    this.containerTarget.querySelector(":scope > .pdf-viewer-error")?.remove()
+
+    try {
+      await this.pdfViewer.openDocument(value, {
+        annotationsUrl: this.annotationsUrlValue,
+        documentId: this.documentIdValue,
+        documentName: this.documentNameValue,
+        trackingUrl: this.trackingUrlValue,
+        initialPage: this.initialPageValue || 1,
+        initialAnnotation: this.initialAnnotationValue
+      })
+    } catch (error) {
+      console.error("Failed to load PDF:", error)
+      this._handleLoadFailure(error)
+    }
+  }
+
   // Surface a final load failure: hide the spinner, show a host-customizable
   // message, and dispatch a DOM event so the host app can wire telemetry.
   _handleLoadFailure(error) {
     if (this.hasLoadingOverlayTarget) {
       this.loadingOverlayTarget.classList.add("hidden")
     }
-    const message = this.errorMessageValue || "Failed to load PDF document"
+    const defaultMessage = error?.name === "PasswordException"
+      ? "This PDF document is password-protected"
+      : "Failed to load PDF document"
+    const message = this.errorMessageValue || defaultMessage
     this._showError(message)
     this.containerTarget.dispatchEvent(new CustomEvent("pdf-viewer:load-failed", {
       bubbles: true,
@@ -119,6 +163,12 @@ export default class extends Controller {
     const colorPickerContainer = toolbar.querySelector(".pdf-toolbar-colors")
     if (colorPickerContainer && this.pdfViewer.colorPicker) {
       colorPickerContainer.appendChild(this.pdfViewer.colorPicker.element)
+
+      // Shape tools' stroke width and fill, shown while one is active
+      this.pdfViewer.shapeOptions?.render(colorPickerContainer)
+
+      // Text box tool's font size, border and background
+      this.pdfViewer.freeTextOptions?.render(colorPickerContainer)
     }
 
     // Append color picker clone to overflow menu
@@ -200,6 +250,33 @@ export default class extends Controller {
       // Only handle zoom shortcuts if not in an input/textarea
       if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA") return
 
+      // Escape leaves presentation mode when it fell back to presenting in
+      // place (in full screen the browser handles Escape itself)
+      if (e.key === "Escape" && this.pdfViewer?.isPresentationMode() && !document.fullscreenElement) {
+        this.pdfViewer.exitPresentationMode()
+        return
+      }
+
+      // Ctrl+Shift+B bookmarks the current spot; ] and [ cycle through bookmarks
+      if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === "b") {
+        e.preventDefault()
+        this.addBookmark()
+        return
+      }
+      // Plain brackets are typed text everywhere else, so they're only taken
+      // while focus is in the viewer, and not in an editor or select there
+      const inViewer = this.containerTarget.contains(document.activeElement)
+      const isEditing = e.target.isContentEditable || e.target.tagName === "SELECT"
+      if (inViewer && !isEditing && !e.ctrlKey && !e.metaKey && !e.altKey && (e.key === "]" || e.key === "[")) {
+        e.preventDefault()
+        if (e.key === "]") {
+          this.nextBookmark()
+        } else {
+          this.previousBookmark()
+        }
+        return
+      }
+
       if ((e.ctrlKey || e.metaKey) && (e.key === "+" || e.key === "=")) {
         e.preventDefault()
         this.zoomIn()
@@ -224,6 +301,33 @@ export default class extends Controller {
     this.pdfViewer?.thumbnailSidebar?.toggle()
   }
 
+  toggleOutline() {
+    this._closeOverflowMenu()
+    this.pdfViewer?.outlineSidebar?.toggle()
+  }
+
+  toggleBookmarks() {
+    this._closeOverflowMenu()
+    this.pdfViewer?.bookmarkSidebar?.toggle()
+  }
+
+  async addBookmark() {
+    this._closeOverflowMenu()
+    try {
+      await this.pdfViewer?.addBookmark()
+    } catch {
+      // The store failure is shown through pdf-viewer:user-error
+    }
+  }
+
+  nextBookmark() {
+    this.pdfViewer?.goToNextBookmark()
+  }
+
+  previousBookmark() {
+    this.pdfViewer?.goToPreviousBookmark()
+  }
+
   toggleAnnotationSidebar() {
     this._closeOverflowMenu()
     this.pdfViewer?.annotationSidebar?.toggle()
@@ -249,8 +353,17 @@ export default class extends Controller {
       select: ToolMode.SELECT,
       highlight: ToolMode.HIGHLIGHT,
       underline: ToolMode.UNDERLINE,
+      strikeout: ToolMode.STRIKEOUT,
+      squiggly: ToolMode.SQUIGGLY,
       note: ToolMode.NOTE,
-      ink: ToolMode.INK
+      ink: ToolMode.INK,
+      rectangle: ToolMode.RECTANGLE,
+      ellipse: ToolMode.ELLIPSE,
+      line: ToolMode.LINE,
+      arrow: ToolMode.ARROW,
+      polygon: ToolMode.POLYGON,
+      text: ToolMode.FREE_TEXT,
+      callout: ToolMode.CALLOUT
     }
 
     // Toggle behavior: if clicking the already-active tool, switch back to Select
@@ -392,6 +505,53 @@ export default class extends Controller {
     // If no match, leave the current selection (preset modes will show their label)
   }
 
+  // Rotation controls
+  rotateClockwise() {
+    this._rotate(90)
+  }
+
+  rotateCounterclockwise() {
+    this._rotate(-90)
+  }
+
+  _rotate(delta) {
+    this._closeOverflowMenu()
+    this.pdfViewer.rotate(delta)
+
+    // Fit presets depend on the page's orientation, so re-fit after turning
+    if (this._currentScalePreset) {
+      this._setZoomPreset(this._currentScalePreset)
+    }
+  }
+
+  // Page layout
+  setLayout(event) {
+    // "horizontal" scrolls single pages sideways and "page" shows one page at
+    // a time; the rest are spread modes in a vertical column
+    const layout = event.target.value
+    if (layout === "horizontal" || layout === "page") {
+      this.pdfViewer.setSpreadMode(SpreadMode.NONE)
+      this.pdfViewer.setScrollMode(layout === "page" ? ScrollMode.PAGE : ScrollMode.HORIZONTAL)
+    } else {
+      this.pdfViewer.setScrollMode(ScrollMode.VERTICAL)
+      this.pdfViewer.setSpreadMode(layout)
+    }
+
+    // Fit presets depend on how many pages sit side by side, so re-fit
+    if (this._currentScalePreset) {
+      this._setZoomPreset(this._currentScalePreset)
+    }
+  }
+
+  togglePresentationMode() {
+    this._closeOverflowMenu()
+    if (this.pdfViewer.isPresentationMode()) {
+      this.pdfViewer.exitPresentationMode()
+    } else {
+      this.pdfViewer.enterPresentationMode()
+    }
+  }
+
   // Page navigation
   previousPage() {
     const currentPage = this.pdfViewer.getCurrentPage()
@@ -464,8 +624,21 @@ export default class extends Controller {
     }
     this._updateNavigationButtons()
 
-    // Set initial zoom to "auto" which fits the page width for portrait documents
-    this._setZoomPreset("auto")
+    // Set initial zoom to "auto" which fits the page width for portrait
+    // documents. Documents opened later keep the user's zoom, re-fitting it
+    // to the new pages if it was a preset. A link's zoom (URL hash) wins; the
+    // viewer applies it as soon as the document is ready.
+    const linkedZoom = this.pdfViewer.getLinkedView()?.zoom
+    if (linkedZoom) {
+      this._hasShownDocument = true
+      this._currentScalePreset = typeof linkedZoom === "string" ? linkedZoom : null
+      if (typeof linkedZoom === "number") this._updateZoomSelect(linkedZoom)
+    } else if (!this._hasShownDocument) {
+      this._hasShownDocument = true
+      this._setZoomPreset("auto")
+    } else if (this._currentScalePreset) {
+      this._setZoomPreset(this._currentScalePreset)
+    }
   }
 
   _onPageChanged(currentPage, pageCount) {
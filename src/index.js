@@ -6,7 +6,10 @@ export { default as PdfViewerController } from "./controllers/pdf_viewer_control
 export { default as PdfDownloadController } from "./controllers/pdf_download_controller"
 
 // Core library exports
-export { PdfViewer, ToolMode, CoreViewer, ViewerEvents, ScaleValue } from "./lib"
+export { PdfViewer, ToolMode, CoreViewer, ViewerEvents, ScaleValue, SpreadMode, ScrollMode } from "./lib"
+
+// Page text cache, for features that need the document's text
+export { PageTextCache } from "./lib/page_text_cache"
 
 // Annotation stores for custom persistence
 export {
@@ -0,0 +1,125 @@
+import { SHAPE_ANNOTATION_TYPES, getShapeBounds } from "./shapes"
+
+/**
+ * Moving and reshaping annotations after they're drawn, for the handles on
+ * the selected annotation (see ui/annotation_handles.js).
+ *
+ * Everything here is in annotation space. The changes returned hold just the
+ * fields that change, ready for AnnotationManager#updateAnnotation().
+ */
+
+// Size of a note's icon, in points
+export const NOTE_SIZE = 24
+
+// Annotations that can be dragged somewhere else. Text markup stays on its text.
+export const MOVABLE_ANNOTATION_TYPES = ["note", "ink", "free_text", ...SHAPE_ANNOTATION_TYPES]
+
+// Annotations whose quads can be grown (or shrunk) over more of the text
+export const QUAD_ANNOTATION_TYPES = ["highlight", "line", "strikeout", "squiggly"]
+
+/**
+ * The box an annotation covers (not counting stroke widths).
+ * @param {Object} annotation
+ * @returns {Object|null} { minX, minY, maxX, maxY }, or null if it has no geometry
+ */
+export function getAnnotationBounds(annotation) {
+  const type = annotation.annotation_type
+
+  if (SHAPE_ANNOTATION_TYPES.includes(type)) {
+    return getShapeBounds(annotation)
+  }
+
+  if (type === "note") {
+    if (!annotation.rect) return null
+    const [x, y] = annotation.rect
+    return { minX: x, minY: y, maxX: x + NOTE_SIZE, maxY: y + NOTE_SIZE }
+  }
+
+  if (type === "free_text") {
+    if (!annotation.rect) return null
+    const [x, y, width, height] = annotation.rect
+    return { minX: x, minY: y, maxX: x + width, maxY: y + height }
+  }
+
+  if (type === "ink") {
+    return getPointsBounds((annotation.ink_strokes || []).flatMap(stroke => stroke.points || []))
+  }
+
+  if (annotation.quads) {
+    return getPointsBounds(annotation.quads.flatMap(quad => [quad.p1, quad.p2, quad.p3, quad.p4]))
+  }
+
+  return null
+}
+
+/**
+ * Move an annotation by an offset.
+ * @param {Object} annotation - A movable annotation
+ * @param {number} dx - Offset, in points
+ * @param {number} dy
+ * @returns {Object} The changed fields
+ */
+export function getMoveChanges(annotation, dx, dy) {
+  const movePoint = (point) => ({ ...point, x: point.x + dx, y: point.y + dy })
+  const changes = {}
+
+  if (annotation.rect) {
+    const [x, y, ...size] = annotation.rect
+    changes.rect = [x + dx, y + dy, ...size]
+  }
+  if (annotation.vertices) {
+    changes.vertices = annotation.vertices.map(movePoint)
+  }
+  if (annotation.callout_point) {
+    changes.callout_point = movePoint(annotation.callout_point)
+  }
+  if (annotation.ink_strokes) {
+    changes.ink_strokes = annotation.ink_strokes.map(stroke => ({
+      ...stroke,
+      points: (stroke.points || []).map(movePoint)
+    }))
+  }
+  return changes
+}
+
+/**
+ * Stretch an ink annotation's strokes away from (or towards) a fixed point.
+ * Stroke widths stay as they are.
+ * @param {Object} annotation - An ink annotation
+ * @param {{x: number, y: number}} origin - The point that stays put
+ * @param {number} scaleX
+ * @param {number} scaleY
+ * @returns {Object} The changed fields
+ */
+export function getScaleChanges(annotation, origin, scaleX, scaleY) {
+  const scalePoint = (point) => ({
+    ...point,
+    x: origin.x + (point.x - origin.x) * scaleX,
+    y: origin.y + (point.y - origin.y) * scaleY
+  })
+
+  const inkStrokes = (annotation.ink_strokes || []).map(stroke => ({
+    ...stroke,
+    points: (stroke.points || []).map(scalePoint)
+  }))
+
+  const changes = { ink_strokes: inkStrokes }
+  const bounds = getPointsBounds(inkStrokes.flatMap(stroke => stroke.points))
+  if (bounds) {
+    changes.rect = [bounds.minX, bounds.minY, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY]
+  }
+  return changes
+}
+
+function getPointsBounds(points) {
+  if (points.length === 0) return null
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+  for (const point of points) {
+    minX = Math.min(minX, point.x)
+    minY = Math.min(minY, point.y)
+    maxX = Math.max(maxX, point.x)
+    maxY = Math.max(maxY, point.y)
+  }
+  return { minX, minY, maxX, maxY }
+}
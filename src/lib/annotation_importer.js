@@ -0,0 +1,225 @@
+import { ColorPicker } from "./ui/color_picker"
+
+// Our note icons are a fixed size, whatever the PDF's Rect says
+const NOTE_ICON_SIZE = 24
+
+// PDF highlights are usually opaque and rely on a Multiply blend, which our
+// overlays don't use; draw those at the highlight tool's opacity instead
+const DEFAULT_HIGHLIGHT_OPACITY = 0.4
+
+// Text markup subtypes drawn as lines, and the annotation_type they become
+const TEXT_MARKUP_TYPES = {
+  Underline: "line",
+  StrikeOut: "strikeout",
+  Squiggly: "squiggly"
+}
+
+/**
+ * AnnotationImporter - Reads the PDF's own markup annotations and converts
+ * them into annotation data for AnnotationManager.createAnnotation().
+ *
+ * Supports Highlight, Underline, StrikeOut, Squiggly, Text (sticky note) and
+ * Ink annotations.
+ * Coordinates are converted from PDF user space (bottom-left origin) into the
+ * space our annotations live in: top-left origin, with the page's own /Rotate
+ * applied but not the viewer's rotation.
+ *
+ * Each result carries `source_annotation_id`, the PDF.js id of the original
+ * (e.g. "12R"), so it's only imported once and the original can be hidden in
+ * the viewer and left out of downloads.
+ */
+export class AnnotationImporter {
+  /**
+   * Convert the supported annotations on every page of a document.
+   * @param {PDFDocumentProxy} pdfDocument
+   * @returns {Promise<Array<Object>>} Annotation data, in page order
+   */
+  async readDocument(pdfDocument) {
+    const result = []
+    for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+      const page = await pdfDocument.getPage(pageNumber)
+      result.push(...await this.readPage(page))
+    }
+    return result
+  }
+
+  /**
+   * Convert the supported annotations on a page.
+   * @param {PDFPageProxy} page
+   * @returns {Promise<Array<Object>>} Annotation data
+   */
+  async readPage(page) {
+    // Default rotation is the page's /Rotate
+    const viewport = page.getViewport({ scale: 1.0 })
+    const annotations = await page.getAnnotations({ intent: "display" })
+
+    return annotations
+      .map(annotation => this._convert(annotation, page.pageNumber, viewport))
+      .filter(Boolean)
+  }
+
+  _convert(annotation, pageNumber, viewport) {
+    const data = {
+      page: pageNumber,
+      source_annotation_id: annotation.id
+    }
+
+    const contents = annotation.contentsObj?.str
+    if (contents) {
+      data.contents = contents
+    }
+
+    switch (annotation.subtype) {
+      case "Highlight":
+        return this._convertHighlight(annotation, data, viewport)
+      case "Underline":
+      case "StrikeOut":
+      case "Squiggly":
+        return this._convertTextMarkup(annotation, data, viewport)
+      case "Text":
+        return this._convertNote(annotation, data, viewport)
+      case "Ink":
+        return this._convertInk(annotation, data, viewport)
+      default:
+        return null
+    }
+  }
+
+  _convertHighlight(annotation, data, viewport) {
+    const quads = this._toQuads(annotation.quadPoints, viewport)
+    if (quads.length === 0) return null
+
+    const opacity = annotation.opacity < 1 ? annotation.opacity : DEFAULT_HIGHLIGHT_OPACITY
+    const color = this._toHexColor(annotation.color) || ColorPicker.DEFAULT_HIGHLIGHT_COLOR
+
+    return {
+      ...data,
+      annotation_type: "highlight",
+      quads,
+      rect: this._boundingRect(quads.flatMap(quad => [quad.p1, quad.p4])),
+      color: color + this._toAlphaHex(opacity),
+      opacity,
+      subject: "Highlight"
+    }
+  }
+
+  _convertTextMarkup(annotation, data, viewport) {
+    const quads = this._toQuads(annotation.quadPoints, viewport)
+    if (quads.length === 0) return null
+
+    return {
+      ...data,
+      annotation_type: TEXT_MARKUP_TYPES[annotation.subtype],
+      quads,
+      rect: this._boundingRect(quads.flatMap(quad => [quad.p1, quad.p4])),
+      color: this._toHexColor(annotation.color) || "#FF0000",
+      opacity: 1.0,
+      subject: annotation.subtype
+    }
+  }
+
+  _convertNote(annotation, data, viewport) {
+    // A note is its text; empty ones have nothing to carry over
+    if (!data.contents || !annotation.rect) return null
+
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect)
+
+    return {
+      ...data,
+      annotation_type: "note",
+      rect: [Math.min(x1, x2), Math.min(y1, y2), NOTE_ICON_SIZE, NOTE_ICON_SIZE],
+      color: this._toHexColor(annotation.color) || ColorPicker.DEFAULT_HIGHLIGHT_COLOR,
+      subject: "Comment"
+    }
+  }
+
+  _convertInk(annotation, data, viewport) {
+    const inkStrokes = (annotation.inkLists || [])
+      .map(inkList => {
+        const points = []
+        for (let i = 0; i < inkList.length; i += 2) {
+          const [x, y] = viewport.convertToViewportPoint(inkList[i], inkList[i + 1])
+          points.push({ x, y })
+        }
+        return { points }
+      })
+      .filter(stroke => stroke.points.length >= 2)
+
+    if (inkStrokes.length === 0) return null
+
+    const color = this._toHexColor(annotation.color) || ColorPicker.DEFAULT_INK_COLOR
+    const thickness = annotation.borderStyle?.width || 1
+    const rect = this._boundingRect(inkStrokes.flatMap(stroke => stroke.points))
+
+    // Translucent ink is how other editors store freehand highlighting
+    if (annotation.opacity < 1) {
+      return {
+        ...data,
+        annotation_type: "ink",
+        ink_strokes: inkStrokes,
+        rect,
+        color: color + this._toAlphaHex(annotation.opacity),
+        thickness,
+        subject: "Free Highlight"
+      }
+    }
+
+    return {
+      ...data,
+      annotation_type: "ink",
+      ink_strokes: inkStrokes,
+      rect,
+      color,
+      thickness,
+      subject: "Free Hand"
+    }
+  }
+
+  // PDF.js normalizes QuadPoints to axis-aligned boxes, 8 numbers each:
+  // top-left, top-right, bottom-left, bottom-right in PDF user space
+  _toQuads(quadPoints, viewport) {
+    const quads = []
+    if (!quadPoints) return quads
+
+    for (let i = 0; i < quadPoints.length; i += 8) {
+      const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([
+        quadPoints[i], quadPoints[i + 1], quadPoints[i + 6], quadPoints[i + 7]
+      ])
+      const left = Math.min(x1, x2)
+      const right = Math.max(x1, x2)
+      const top = Math.min(y1, y2)
+      const bottom = Math.max(y1, y2)
+
+      quads.push({
+        p1: { x: left, y: top },     // top-left
+        p2: { x: right, y: top },    // top-right
+        p3: { x: left, y: bottom },  // bottom-left
+        p4: { x: right, y: bottom }  // bottom-right
+      })
+    }
+
+    return quads
+  }
+
+  // [x, y, width, height] around a set of points
+  _boundingRect(points) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+    for (const point of points) {
+      minX = Math.min(minX, point.x)
+      minY = Math.min(minY, point.y)
+      maxX = Math.max(maxX, point.x)
+      maxY = Math.max(maxY, point.y)
+    }
+    return [minX, minY, maxX - minX, maxY - minY]
+  }
+
+  // PDF.js gives colors as RGB byte arrays, or null for none
+  _toHexColor(rgb) {
+    if (!rgb || rgb.length !== 3) return null
+    return "#" + Array.from(rgb, c => c.toString(16).padStart(2, "0")).join("").toUpperCase()
+  }
+
+  _toAlphaHex(opacity) {
+    return Math.round(opacity * 255).toString(16).padStart(2, "0").toUpperCase()
+  }
+}
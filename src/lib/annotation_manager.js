@@ -7,7 +7,15 @@ export const AnnotationErrorType = {
   CREATE_FAILED: "create_failed",
   UPDATE_FAILED: "update_failed",
   DELETE_FAILED: "delete_failed",
-  RESTORE_FAILED: "restore_failed"
+  RESTORE_FAILED: "restore_failed",
+  VIEW_STATE_LOAD_FAILED: "view_state_load_failed",
+  VIEW_STATE_SAVE_FAILED: "view_state_save_failed",
+  BOOKMARKS_LOAD_FAILED: "bookmarks_load_failed",
+  BOOKMARK_CREATE_FAILED: "bookmark_create_failed",
+  BOOKMARK_UPDATE_FAILED: "bookmark_update_failed",
+  BOOKMARK_DELETE_FAILED: "bookmark_delete_failed",
+  FORM_VALUES_LOAD_FAILED: "form_values_load_failed",
+  FORM_VALUES_SAVE_FAILED: "form_values_save_failed"
 }
 
 export class AnnotationManager {
@@ -19,6 +27,9 @@ export class AnnotationManager {
    * @param {Function} [options.onAnnotationCreated] - Callback when annotation created
    * @param {Function} [options.onAnnotationUpdated] - Callback when annotation updated
    * @param {Function} [options.onAnnotationDeleted] - Callback when annotation deleted
+   * @param {Function} [options.onBookmarkCreated] - Callback when bookmark created
+   * @param {Function} [options.onBookmarkUpdated] - Callback when bookmark updated
+   * @param {Function} [options.onBookmarkDeleted] - Callback when bookmark deleted
    * @param {Element} [options.eventTarget] - Element for dispatching error events
    */
   constructor(options = {}) {
@@ -26,19 +37,43 @@ export class AnnotationManager {
     this.onAnnotationCreated = options.onAnnotationCreated
     this.onAnnotationUpdated = options.onAnnotationUpdated
     this.onAnnotationDeleted = options.onAnnotationDeleted
+    this.onBookmarkCreated = options.onBookmarkCreated
+    this.onBookmarkUpdated = options.onBookmarkUpdated
+    this.onBookmarkDeleted = options.onBookmarkDeleted
     this.eventTarget = options.eventTarget
+    this.store = this._createStore(options)
 
+    this.annotations = new Map() // id -> annotation
+    this.annotationsByPage = new Map() // pageNumber -> [annotations]
+    this.bookmarks = new Map() // id -> bookmark
+  }
+
+  _createStore(options) {
     // Determine store: explicit > REST URL > memory
     if (options.store) {
-      this.store = options.store
+      return options.store
     } else if (options.annotationsUrl) {
-      this.store = new RestAnnotationStore({ baseUrl: options.annotationsUrl })
+      return new RestAnnotationStore({ baseUrl: options.annotationsUrl })
     } else {
-      this.store = new MemoryAnnotationStore()
+      return new MemoryAnnotationStore()
     }
+  }
 
-    this.annotations = new Map() // id -> annotation
-    this.annotationsByPage = new Map() // pageNumber -> [annotations]
+  /**
+   * Switch to another document's annotations. Clears the loaded annotations
+   * and bookmarks; call loadAnnotations() and loadBookmarks() to fetch the
+   * new ones.
+   * @param {Object} options
+   * @param {AnnotationStore} [options.store] - Custom store implementation
+   * @param {string} [options.annotationsUrl] - Base URL for REST store
+   * @param {number} [options.documentId] - Document ID
+   */
+  reset(options = {}) {
+    this.documentId = options.documentId
+    this.store = this._createStore(options)
+    this.annotations.clear()
+    this.annotationsByPage.clear()
+    this.bookmarks.clear()
   }
 
   /**
@@ -168,6 +203,169 @@ export class AnnotationManager {
     }
   }
 
+  /**
+   * Load per-document view state (e.g. per-page rotation) from the store.
+   * View state is optional, so failures are reported but never thrown - the
+   * document still opens with the default view.
+   * @returns {Promise<Object|null>}
+   */
+  async loadViewState() {
+    if (typeof this.store.loadViewState !== "function") return null
+
+    try {
+      return await this.store.loadViewState()
+    } catch (error) {
+      console.error("Failed to load view state:", error)
+      this._dispatchError(AnnotationErrorType.VIEW_STATE_LOAD_FAILED, "Failed to load saved view settings", error)
+      return null
+    }
+  }
+
+  /**
+   * Save per-document view state to the store.
+   * @param {Object} state - Complete view state
+   * @returns {Promise<Object|null>}
+   */
+  async saveViewState(state) {
+    if (typeof this.store.saveViewState !== "function") return null
+
+    try {
+      return await this.store.saveViewState(state)
+    } catch (error) {
+      console.error("Failed to save view state:", error)
+      this._dispatchError(AnnotationErrorType.VIEW_STATE_SAVE_FAILED, "Failed to save view settings", error)
+      return null
+    }
+  }
+
+  /**
+   * Load the values filled into the PDF's form fields from the store.
+   * Optional like view state: failures are reported but never thrown.
+   * @returns {Promise<Object|null>} Field name -> value
+   */
+  async loadFormValues() {
+    if (typeof this.store.loadFormValues !== "function") return null
+
+    try {
+      return await this.store.loadFormValues()
+    } catch (error) {
+      console.error("Failed to load form values:", error)
+      this._dispatchError(AnnotationErrorType.FORM_VALUES_LOAD_FAILED, "Failed to load saved form entries", error)
+      return null
+    }
+  }
+
+  /**
+   * Save the form's values to the store.
+   * @param {Object} values - Field name -> value, for every filled field
+   * @returns {Promise<Object|null>}
+   */
+  async saveFormValues(values) {
+    if (typeof this.store.saveFormValues !== "function") return null
+
+    try {
+      return await this.store.saveFormValues(values)
+    } catch (error) {
+      console.error("Failed to save form values:", error)
+      this._dispatchError(AnnotationErrorType.FORM_VALUES_SAVE_FAILED, "Failed to save form entries", error)
+      return null
+    }
+  }
+
+  /**
+   * Load the document's bookmarks from the store. Like view state, bookmarks
+   * are optional: failures are reported but never thrown.
+   * @returns {Promise<Array<Object>>} Bookmarks in document order
+   */
+  async loadBookmarks() {
+    this.bookmarks.clear()
+    if (typeof this.store.loadBookmarks !== "function") return []
+
+    const store = this.store
+    try {
+      const bookmarks = await store.loadBookmarks()
+      // reset() switched documents while loading
+      if (this.store !== store) return []
+
+      for (const bookmark of bookmarks || []) {
+        this.bookmarks.set(bookmark.id, bookmark)
+      }
+    } catch (error) {
+      console.error("Failed to load bookmarks:", error)
+      this._dispatchError(AnnotationErrorType.BOOKMARKS_LOAD_FAILED, "Failed to load bookmarks", error)
+    }
+
+    return this.getBookmarks()
+  }
+
+  getBookmark(id) {
+    return this.bookmarks.get(id)
+  }
+
+  /**
+   * Get all bookmarks in document order: by page, then top to bottom.
+   * @returns {Array<Object>}
+   */
+  getBookmarks() {
+    return Array.from(this.bookmarks.values()).sort((a, b) =>
+      (a.page - b.page) || ((a.y || 0) - (b.y || 0)) || ((a.x || 0) - (b.x || 0))
+    )
+  }
+
+  async createBookmark(data) {
+    try {
+      const bookmark = await this.store.createBookmark(data)
+      this.bookmarks.set(bookmark.id, bookmark)
+
+      if (this.onBookmarkCreated) {
+        this.onBookmarkCreated(bookmark)
+      }
+
+      return bookmark
+    } catch (error) {
+      console.error("Failed to create bookmark:", error)
+      this._dispatchError(AnnotationErrorType.BOOKMARK_CREATE_FAILED, "Failed to save bookmark", error)
+      throw error
+    }
+  }
+
+  async updateBookmark(id, data) {
+    try {
+      const bookmark = await this.store.updateBookmark(id, data)
+      this.bookmarks.set(bookmark.id, bookmark)
+
+      if (this.onBookmarkUpdated) {
+        this.onBookmarkUpdated(bookmark)
+      }
+
+      return bookmark
+    } catch (error) {
+      console.error("Failed to update bookmark:", error)
+      this._dispatchError(AnnotationErrorType.BOOKMARK_UPDATE_FAILED, "Failed to update bookmark", error)
+      throw error
+    }
+  }
+
+  async deleteBookmark(id) {
+    const existingBookmark = this.bookmarks.get(id)
+    if (!existingBookmark) return
+
+    try {
+      await this.store.deleteBookmark(id)
+      this.bookmarks.delete(id)
+
+      if (this.onBookmarkDeleted) {
+        this.onBookmarkDeleted(existingBookmark)
+      }
+
+      return existingBookmark
+    } catch (error) {
+      console.error("Failed to delete bookmark:", error)
+      this._dispatchError(AnnotationErrorType.BOOKMARK_DELETE_FAILED, "Failed to delete bookmark", error)
+      throw error
+    }
+  }
+
   _addAnnotation(annotation) {
     this.annotations.set(annotation.id, annotation)
 
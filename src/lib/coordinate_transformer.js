@@ -15,11 +15,24 @@ export class CoordinateTransformer {
     const screenX = event.clientX - rect.left
     const screenY = event.clientY - rect.top
 
-    // Scale to PDF coordinates
-    const pdfX = screenX / scale
-    const pdfY = screenY / scale
+    // Scale to PDF coordinates, undoing any view rotation
+    const { x, y } = this.viewer.displayToPagePoint(pageNumber, screenX / scale, screenY / scale)
 
-    return { x: pdfX, y: pdfY, pageNumber }
+    return { x, y, pageNumber }
+  }
+
+  // Displayed rect (unscaled, after view rotation) -> rect in page space.
+  // Rotation is always a multiple of 90, so the result stays axis-aligned.
+  _displayRectToPage(pageNumber, rect) {
+    const a = this.viewer.displayToPagePoint(pageNumber, rect.left, rect.top)
+    const b = this.viewer.displayToPagePoint(pageNumber, rect.right, rect.bottom)
+
+    return {
+      left: Math.min(a.x, b.x),
+      right: Math.max(a.x, b.x),
+      top: Math.min(a.y, b.y),
+      bottom: Math.max(a.y, b.y)
+    }
   }
 
   // Convert selection rectangles to quads format
@@ -49,7 +62,7 @@ export class CoordinateTransformer {
 
         return true
       })
-      .map(rect => ({
+      .map(rect => this._displayRectToPage(pageNumber, {
         left: (rect.left - pageRect.left) / scale,
         right: (rect.right - pageRect.left) / scale,
         top: (rect.top - pageRect.top) / scale,
@@ -119,6 +119,7 @@ export const ViewerEvents = {
   PAGE_RENDERED: "pagerendered",
   PAGE_CHANGING: "pagechanging",
   PAGES_LOADED: "pagesloaded",
+  PAGE_EVICTED: "pageevicted",
 
   // Text layer events
   TEXT_LAYER_RENDERED: "textlayerrendered",
@@ -126,6 +127,14 @@ export const ViewerEvents = {
   // Scale/zoom events
   SCALE_CHANGED: "scalechanged",
 
+  // Rotation events
+  ROTATION_CHANGED: "rotationchanged",
+  PAGE_ROTATION_CHANGED: "pagerotationchanged",
+
+  // Layout events
+  SPREAD_MODE_CHANGED: "spreadmodechanged",
+  SCROLL_MODE_CHANGED: "scrollmodechanged",
+
   // Scroll events
   SCROLL: "scroll",
 
@@ -2,14 +2,16 @@
  * Core PDF Viewer Module
  *
  * This module provides the foundational PDF rendering functionality:
- * - CoreViewer: Main viewer class with rendering, zoom, navigation
+ * - CoreViewer: Main viewer class with rendering, zoom, layout, navigation
  * - EventBus: Internal event system for component communication
  * - RenderingQueue: Lazy rendering for performance
+ * - LinkService: Link navigation for the PDF.js annotation layer
  *
  * The core module is designed to be stable and reusable.
  * Application-specific tools and UI should build on top of these primitives.
  */
 
-export { CoreViewer, ScaleValue } from "./viewer"
+export { CoreViewer, ScaleValue, SpreadMode, ScrollMode } from "./viewer"
 export { EventBus, ViewerEvents } from "./event_bus"
 export { RenderingQueue, RenderingStates } from "./rendering_queue"
+export { LinkService } from "./link_service"
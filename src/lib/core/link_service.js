@@ -0,0 +1,211 @@
+/**
+ * LinkService - Navigation for links in the PDF.js AnnotationLayer.
+ * Based on PDF.js pdf_link_service.js, trimmed to what CoreViewer supports
+ * (no history, page labels or optional content).
+ *
+ * Internal links (GoTo destinations and named actions) go through the
+ * viewer's goToPage(), scrolled to the spot the destination names; external
+ * links open in a new tab by default.
+ */
+
+const DEFAULT_LINK_REL = "noopener noreferrer nofollow"
+
+export class LinkService {
+  /**
+   * @param {Object} options
+   * @param {CoreViewer} options.viewer
+   * @param {EventBus} options.eventBus - PDF.js dispatches a few events through it
+   * @param {string} [options.externalLinkTarget] - Target for external links (default: "_blank")
+   */
+  constructor({ viewer, eventBus, externalLinkTarget = "_blank" }) {
+    this.viewer = viewer
+    this.eventBus = eventBus
+    this.externalLinkTarget = externalLinkTarget
+    this.externalLinkEnabled = true
+  }
+
+  get pdfDocument() {
+    return this.viewer.pdfDocument
+  }
+
+  get pagesCount() {
+    return this.viewer.getPageCount()
+  }
+
+  get page() {
+    return this.viewer.getCurrentPage()
+  }
+
+  set page(value) {
+    this.viewer.goToPage(value)
+  }
+
+  get rotation() {
+    return this.viewer.getRotation()
+  }
+
+  get isInPresentationMode() {
+    return false
+  }
+
+  /**
+   * Resolve a named or explicit destination to a page number.
+   * @param {string|Array} dest
+   * @returns {Promise<number|null>} null if the destination doesn't resolve
+   */
+  async getDestinationPageNumber(dest) {
+    const explicitDest = await this._getExplicitDestination(dest)
+    return explicitDest ? this._getPageNumber(explicitDest) : null
+  }
+
+  /**
+   * Resolve a named or explicit destination to a page and the point on it the
+   * destination scrolls to, in annotation space (top-left origin, the page's
+   * own /Rotate applied). The point is null for destinations that show the
+   * whole page; a coordinate the destination leaves out is the page's edge.
+   * @param {string|Array} dest
+   * @returns {Promise<{pageNumber: number, point: {x: number, y: number}|null}|null>}
+   *   null if the destination doesn't resolve
+   */
+  async resolveDestination(dest) {
+    const pdfDocument = this.pdfDocument
+    const explicitDest = await this._getExplicitDestination(dest)
+    if (!explicitDest) return null
+
+    const pageNumber = await this._getPageNumber(explicitDest)
+    if (!pageNumber) return null
+
+    const [, destType, ...args] = explicitDest
+    let left = null, top = null
+    switch (destType?.name) {
+      case "XYZ":
+        [left, top] = args
+        break
+      case "FitH":
+      case "FitBH":
+        [top] = args
+        break
+      case "FitV":
+      case "FitBV":
+        [left] = args
+        break
+      case "FitR":
+        [left, , , top] = args
+        break
+    }
+
+    if (typeof left !== "number" && typeof top !== "number") {
+      return { pageNumber, point: null }
+    }
+
+    // The document may have been replaced while resolving
+    if (this.pdfDocument !== pdfDocument) return null
+
+    // Convert from PDF user space; a missing coordinate means the page edge
+    const page = await pdfDocument.getPage(pageNumber)
+    const viewport = page.getViewport({ scale: 1.0 })
+    const [x, y] = viewport.convertToViewportPoint(
+      typeof left === "number" ? left : viewport.viewBox[0],
+      typeof top === "number" ? top : viewport.viewBox[3]
+    )
+
+    return { pageNumber, point: { x: Math.max(0, x), y: Math.max(0, y) } }
+  }
+
+  async _getExplicitDestination(dest) {
+    const pdfDocument = this.pdfDocument
+    if (!pdfDocument) return null
+
+    const explicitDest = typeof dest === "string" ? await pdfDocument.getDestination(dest) : await dest
+    return Array.isArray(explicitDest) ? explicitDest : null
+  }
+
+  async _getPageNumber(explicitDest) {
+    const pdfDocument = this.pdfDocument
+    if (!pdfDocument) return null
+
+    const [destRef] = explicitDest
+    let pageNumber = null
+    if (destRef && typeof destRef === "object") {
+      pageNumber = pdfDocument.cachedPageNumber(destRef)
+      if (!pageNumber) {
+        try {
+          pageNumber = (await pdfDocument.getPageIndex(destRef)) + 1
+        } catch {
+          return null
+        }
+      }
+    } else if (Number.isInteger(destRef)) {
+      pageNumber = destRef + 1
+    }
+
+    if (!pageNumber || pageNumber < 1 || pageNumber > this.pagesCount) return null
+    return pageNumber
+  }
+
+  async goToDestination(dest) {
+    const pdfDocument = this.pdfDocument
+    const destination = await this.resolveDestination(dest)
+
+    // The document may have been replaced while resolving
+    if (this.pdfDocument !== pdfDocument) return
+
+    if (destination) {
+      this.viewer.goToPage(destination.pageNumber, { point: destination.point })
+    } else {
+      console.warn("LinkService: destination doesn't resolve to a page:", dest)
+    }
+  }
+
+  goToPage(pageNumber) {
+    this.viewer.goToPage(pageNumber)
+  }
+
+  addLinkAttributes(link, url, newWindow = false) {
+    if (!url || typeof url !== "string") {
+      throw new Error('A valid "url" parameter must be provided.')
+    }
+
+    if (this.externalLinkEnabled) {
+      link.href = link.title = url
+    } else {
+      link.href = ""
+      link.title = `Disabled: ${url}`
+      link.onclick = () => false
+    }
+    link.target = newWindow ? "_blank" : (this.externalLinkTarget || "")
+    link.rel = DEFAULT_LINK_REL
+  }
+
+  // Internal links get an href of "#" (PDF.js handles the click); the hash
+  // itself isn't meaningful to this viewer.
+  getDestinationHash(dest) {
+    return this.getAnchorUrl("")
+  }
+
+  getAnchorUrl(anchor) {
+    return anchor || "#"
+  }
+
+  executeNamedAction(action) {
+    switch (action) {
+      case "NextPage":
+        this.viewer.nextPage()
+        break
+      case "PrevPage":
+        this.viewer.previousPage()
+        break
+      case "FirstPage":
+        this.viewer.goToPage(1)
+        break
+      case "LastPage":
+        this.viewer.goToPage(this.pagesCount)
+        break
+      default:
+        break
+    }
+  }
+
+  // Optional content isn't supported
+  async executeSetOCGState(action) {}
+}
@@ -3,9 +3,17 @@
  * Based on PDF.js pdf_rendering_queue.js pattern.
  *
  * Only renders visible pages and pre-renders adjacent pages for
- * smooth scrolling performance.
+ * smooth scrolling performance. At high zoom, sharp tiles for the visible
+ * region come after the visible pages but before pre-rendering.
+ *
+ * Rendered pages are tracked in least-recently-visible order; when their
+ * canvases exceed the pixel budget, the oldest ones outside the visible and
+ * pre-render range are evicted back to placeholders.
  */
 
+// Pages (or spreads) to pre-render on each side of the visible range
+const PRE_RENDER_COUNT = 2
+
 export const RenderingStates = {
   INITIAL: 0,
   RUNNING: 1,
@@ -20,6 +28,19 @@ export class RenderingQueue {
     this._highestPriorityPage = null
     this._idleTimeout = null
     this._onIdle = null
+
+    // Rendered pages, least recently visible first (Map keeps insertion order)
+    this._renderedPages = new Map()
+    this._canvasPixelBudget = Infinity
+  }
+
+  /**
+   * Set the total canvas size, in pixels, rendered pages may hold before the
+   * least recently visible ones are evicted.
+   * @param {number} pixels
+   */
+  setCanvasPixelBudget(pixels) {
+    this._canvasPixelBudget = pixels
   }
 
   /**
@@ -61,13 +82,29 @@ export class RenderingQueue {
       this._idleTimeout = null
     }
 
-    const pageToRender = this._getHighestPriorityPage(visiblePages)
+    visiblePages = visiblePages || this.pdfViewer.getVisiblePages()
+    this._markVisible(visiblePages)
 
-    if (pageToRender !== null) {
-      this._highestPriorityPage = pageToRender
+    const task = this._getHighestPriorityTask(visiblePages)
+
+    if (task !== null) {
+      this._highestPriorityPage = task.pageNumber
       try {
-        await this.pdfViewer.renderPage(pageToRender)
+        if (task.tile) {
+          await this.pdfViewer.renderTile(task.tile)
+        } else {
+          await this.pdfViewer.renderPage(task.pageNumber)
+        }
         this._highestPriorityPage = null
+
+        // The viewer may have been torn down while rendering
+        if (!this.pdfViewer) return
+
+        if (!this._renderedPages.has(task.pageNumber)) {
+          this._renderedPages.set(task.pageNumber, true)
+        }
+        this._evictOverBudget(visiblePages)
+
         // Check if there are more pages to render
         this.renderHighestPriority()
       } catch (err) {
@@ -83,17 +120,19 @@ export class RenderingQueue {
   }
 
   /**
-   * Determine which page should be rendered next.
-   * Priority: visible pages first, then adjacent pages for pre-rendering.
+   * Determine what should be rendered next.
+   * Priority: visible pages first, then tiles of visible pages, then adjacent
+   * pages for pre-rendering.
    * @param {Object} visiblePages - Object with first/last visible page info
-   * @returns {number|null} - Page number to render, or null if none
+   * @returns {{pageNumber: number, tile?: Object}|null} - Page (or page tile)
+   *   to render, or null if none
    */
-  _getHighestPriorityPage(visiblePages) {
+  _getHighestPriorityTask(visiblePages) {
     if (!this.pdfViewer) {
       return null
     }
 
-    const { first, last, scrollDirection } = visiblePages || this.pdfViewer.getVisiblePages()
+    const { first, last, scrollDirection, pagesPerSpread = 1 } = visiblePages || this.pdfViewer.getVisiblePages()
 
     if (first === null || last === null) {
       return null
@@ -104,25 +143,32 @@ export class RenderingQueue {
     if (scrollDirection === "down") {
       for (let page = first; page <= last; page++) {
         if (!this._isPageRendered(page)) {
-          return page
+          return { pageNumber: page }
         }
       }
     } else {
       for (let page = last; page >= first; page--) {
         if (!this._isPageRendered(page)) {
-          return page
+          return { pageNumber: page }
         }
       }
     }
 
-    // All visible pages rendered, pre-render adjacent pages
-    const preRenderCount = 2
+    // All visible pages rendered, sharpen them where tiling is needed
+    const tile = this.pdfViewer.getNextTile?.(first, last)
+    if (tile) {
+      return { pageNumber: tile.pageNumber, tile }
+    }
+
+    // Then pre-render adjacent pages. With facing pages that's two spreads'
+    // worth, so the next row is ready as a whole.
+    const preRenderCount = PRE_RENDER_COUNT * pagesPerSpread
 
     // Pre-render pages after visible area
     for (let i = 1; i <= preRenderCount; i++) {
       const nextPage = last + i
       if (nextPage <= this.pdfViewer.pageCount && !this._isPageRendered(nextPage)) {
-        return nextPage
+        return { pageNumber: nextPage }
       }
     }
 
@@ -130,7 +176,7 @@ export class RenderingQueue {
     for (let i = 1; i <= preRenderCount; i++) {
       const prevPage = first - i
       if (prevPage >= 1 && !this._isPageRendered(prevPage)) {
-        return prevPage
+        return { pageNumber: prevPage }
       }
     }
 
@@ -138,7 +184,50 @@ export class RenderingQueue {
   }
 
   /**
-   * Check if a page has been rendered at the current scale or is currently rendering.
+   * Move the visible pages to the most-recently-used end of the LRU order.
+   * @param {Object} visiblePages - Object with first/last visible page info
+   */
+  _markVisible({ first, last }) {
+    if (first === null || last === null) return
+
+    for (let page = first; page <= last; page++) {
+      if (this._renderedPages.delete(page)) {
+        this._renderedPages.set(page, true)
+      }
+    }
+  }
+
+  /**
+   * Evict least recently visible pages until the rendered canvases fit the
+   * pixel budget. Visible pages and the pre-render range around them are
+   * never evicted - they'd only be rendered again straight away.
+   * @param {Object} visiblePages - Object with first/last visible page info
+   */
+  _evictOverBudget({ first, last, pagesPerSpread = 1 }) {
+    let total = 0
+    for (const page of this._renderedPages.keys()) {
+      total += this.pdfViewer.getPagePixelCount(page)
+    }
+    if (total <= this._canvasPixelBudget) return
+
+    const keepFrom = first - PRE_RENDER_COUNT * pagesPerSpread
+    const keepTo = last + PRE_RENDER_COUNT * pagesPerSpread
+
+    for (const page of [...this._renderedPages.keys()]) {
+      if (total <= this._canvasPixelBudget) break
+      if (page >= keepFrom && page <= keepTo) continue
+
+      const pixels = this.pdfViewer.getPagePixelCount(page)
+      if (this.pdfViewer.evictPage(page)) {
+        this._renderedPages.delete(page)
+        total -= pixels
+      }
+    }
+  }
+
+  /**
+   * Check if a page has been rendered at the current scale and rotation, or is
+   * currently rendering.
    * @param {number} pageNumber
    * @returns {boolean}
    */
@@ -149,9 +238,10 @@ export class RenderingQueue {
     // Currently rendering - don't re-trigger
     if (pageData.renderingState === RenderingStates.RUNNING) return true
 
-    // Check if finished AND at current scale
+    // Check if finished AND at current scale and rotation
     if (pageData.renderingState === RenderingStates.FINISHED) {
-      return pageData.renderedScale === this.pdfViewer.displayScale
+      return pageData.renderedScale === this.pdfViewer.displayScale &&
+        pageData.renderedRotation === this.pdfViewer.getViewRotation(pageNumber)
     }
 
     return false
@@ -162,6 +252,7 @@ export class RenderingQueue {
    */
   reset() {
     this._highestPriorityPage = null
+    this._renderedPages.clear()
     if (this._idleTimeout) {
       clearTimeout(this._idleTimeout)
       this._idleTimeout = null
@@ -1,17 +1,35 @@
 import * as pdfjsLib from "pdfjs-dist"
 import { EventBus, ViewerEvents } from "./event_bus"
 import { RenderingQueue, RenderingStates } from "./rendering_queue"
+import { LinkService } from "./link_service"
 
 // Configure PDF.js worker from meta tag (set by Rails asset pipeline for cache busting)
 const workerSrcMeta = document.querySelector('meta[name="pdf-worker-src"]')
 pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrcMeta?.content || "/assets/pdfjs-dist--pdf.worker.js"
 
+// Where the annotation layer finds PDF.js's sticky-note icons
+// (pdfjs-dist/web/images/), e.g. "/assets/pdfjs/images/"
+const imageResourcesMeta = document.querySelector('meta[name="pdf-image-resources-path"]')
+
 // Browser canvas limits. Most engines cap a canvas at 16384px per side and a
 // total backing-store area; exceeding either silently produces a blank canvas.
 // Large-format pages or high zoom on retina displays can blow past these.
 const MAX_CANVAS_DIM = 16384
 const MAX_CANVAS_PIXELS = 16_777_216 // ~16.7M px, conservative for Safari/iOS
 
+// Tiled rendering. When a page is too large for one canvas at full resolution
+// (see _clampOutputScale), the clamped canvas stays as a low-res backdrop and
+// the region around the viewport is re-rendered sharp in square tiles of
+// TILE_SIZE CSS px. TILE_MARGIN CSS px beyond the viewport are tiled too, so
+// short scrolls don't reveal the backdrop.
+const TILE_SIZE = 512
+const TILE_MARGIN = 256
+
+// Default cap on the canvas backing store kept across all rendered pages, in
+// pixels, before far-away pages are evicted back to placeholders. At 4 bytes
+// per pixel this is ~256MB, under iOS Safari's total canvas memory limit.
+const DEFAULT_CANVAS_PIXEL_BUDGET = 67_108_864
+
 // How many pages on each side of the visible range to measure ahead of time.
 // Larger than the rendering queue's pre-render range because measuring is cheap.
 const MEASURE_BUFFER = 5
@@ -25,16 +43,47 @@ export const ScaleValue = {
   PAGE_WIDTH: "page-width"
 }
 
+/**
+ * Page layouts that can be used with setSpreadMode(), as in PDF.js's spreadMode
+ */
+export const SpreadMode = {
+  NONE: "none", // One page per row
+  ODD: "odd",   // Facing pages, spreads start on odd pages (1-2, 3-4, ...)
+  EVEN: "even"  // Facing pages, spreads start on even pages (1, 2-3, 4-5, ...) - book layout
+}
+
+/**
+ * Scroll directions that can be used with setScrollMode()
+ */
+export const ScrollMode = {
+  VERTICAL: "vertical",
+  HORIZONTAL: "horizontal",
+  PAGE: "page" // One page (or spread) at a time, flipped with goToPage()
+}
+
+// Minimum horizontal travel, in CSS px, for a touch swipe to flip pages in
+// page scroll mode.
+const SWIPE_THRESHOLD = 50
+
+const isValidRotation = (angle) => Number.isInteger(angle) && angle % 90 === 0
+
+const normalizeRotation = (angle) => ((angle % 360) + 360) % 360
+
 /**
  * CoreViewer - The foundational PDF rendering component.
  *
  * This class provides:
  * - PDF document loading and page rendering
  * - Text layer for text selection
- * - Re-rendering based zoom (crisp at all zoom levels)
- * - Lazy rendering of pages for performance
+ * - Re-rendering based zoom (crisp at all zoom levels, tiled at high zoom)
+ * - User-controlled page rotation
+ * - Spread (facing pages), horizontal scroll and single-page layouts
+ * - Lazy rendering of pages for performance, within a canvas memory budget
  * - Event-driven architecture for tool integration
  *
+ * Encrypted documents: pass `getPassword: async ({ incorrect }) => password`
+ * to answer PDF.js's password requests (resolve null to cancel).
+ *
  * Usage:
  *   const viewer = new CoreViewer(container, { eventBus })
  *   await viewer.load(pdfUrl)
@@ -50,28 +99,63 @@ export class CoreViewer {
     this._loadingTask = null
     this.pageCount = 0
 
+    // Asked for the password of encrypted documents (see _loadDocument)
+    this._getPassword = options.getPassword || null
+    this._documentPassword = null
+
+    // The PDF's own annotations (links, comments, form fields) are rendered in
+    // a PDF.js AnnotationLayer on each page. Form field objects are fetched
+    // once per document, for radio/checkbox groups.
+    this.linkService = new LinkService({ viewer: this, eventBus: this.eventBus })
+    this._imageResourcesPath = options.imageResourcesPath ?? imageResourcesMeta?.content ?? ""
+    this._fieldObjectsPromise = null
+
+    // Embedded annotations replaced by imported copies, kept off the canvas
+    // and out of the annotation layer (see setHiddenEmbeddedAnnotations)
+    this._hiddenAnnotations = new Set()
+
     // Page data storage: pageNumber -> PageData
     this.pages = new Map()
 
     // Pages with an in-flight dimension measurement (dedup for _measurePage)
     this._measuringPages = new Set()
 
+    // Pages that currently have tiles (see renderTile)
+    this._tiledPages = new Set()
+
     // Device pixel ratio for high-DPI displays
     this.devicePixelRatio = window.devicePixelRatio || 1
 
     // Display scale (zoom level) - pages are re-rendered at this scale
     this.displayScale = options.initialScale || 1.0
 
-    // Rotation in degrees (0, 90, 180, 270)
+    // User-applied rotation in degrees (0, 90, 180, 270), on top of each
+    // page's intrinsic /Rotate. Change it via rotate() / setRotation().
     this.rotation = 0
 
-    // Scroll tracking for rendering priority
+    // Per-page user rotation (pageNumber -> degrees), on top of this.rotation.
+    // Change it via rotatePage() / setPageRotation() / setPageRotations().
+    this._pageRotations = new Map()
+
+    // Page layout. Change it via setSpreadMode() / setScrollMode().
+    this.spreadMode = SpreadMode.NONE
+    this.scrollMode = ScrollMode.VERTICAL
+    this.container.dataset.scrollMode = this.scrollMode
+
+    // The page shown in page scroll mode (with its spread partner, if any)
+    this._pageModePage = 1
+
+    // Scroll tracking for rendering priority. The direction is along the
+    // scroll mode's axis: "down" means toward later pages in either mode.
     this._lastScrollTop = 0
+    this._lastScrollLeft = 0
     this._scrollDirection = "down"
 
-    // Rendering queue for lazy loading
+    // Rendering queue for lazy loading. It also tracks rendered pages in LRU
+    // order and evicts far-away ones once their canvases exceed the budget.
     this._renderingQueue = new RenderingQueue()
     this._renderingQueue.setViewer(this)
+    this._renderingQueue.setCanvasPixelBudget(options.canvasPixelBudget || DEFAULT_CANVAS_PIXEL_BUDGET)
 
     // Single AbortController for every DOM/document/window listener this viewer
     // adds, so destroy() can remove them all at once. Several of these live on
@@ -92,13 +176,16 @@ export class CoreViewer {
     // Pinch-to-zoom for mobile devices
     this._setupPinchToZoom()
 
+    // Key and swipe page flipping in page scroll mode
+    this._setupPageModeNavigation()
+
     // Text layer selection tracking (for multi-page selection)
     this._textLayers = new Map()
     this._setupGlobalSelectionListener()
   }
 
   /**
-   * Load a PDF document from a URL.
+   * Load a PDF document from a URL or from bytes already in memory.
    *
    * PDF.js loads PDFs via streamed HTTP Range requests by default, which some
    * corporate antivirus / web-filter products block while letting plain GETs
@@ -106,12 +193,13 @@ export class CoreViewer {
    * we retry once by fetching the entire PDF as an ArrayBuffer and handing the
    * bytes to PDF.js directly.
    *
-   * @param {string} url - The PDF URL
+   * @param {string|Blob|ArrayBuffer|Uint8Array} url - The PDF URL, or its
+   *   contents (e.g. a File picked or dropped by the user)
    * @returns {Promise<PDFDocumentProxy>}
    */
   async load(url) {
     try {
-      return await this._loadDocument(url)
+      return await this._loadDocument(await this._toDocumentSource(url))
     } catch (error) {
       if (typeof url === "string" && this._shouldRetryAsBlob(error)) {
         console.warn("PDF streamed load failed, retrying as full fetch:", error)
@@ -146,8 +234,48 @@ export class CoreViewer {
     // worker-side resources.
     await this._teardownDocument()
 
-    this._loadingTask = pdfjsLib.getDocument(source)
-    this.pdfDocument = await this._loadingTask.promise
+    const loadingTask = pdfjsLib.getDocument(source)
+    this._loadingTask = loadingTask
+
+    // PDF.js calls onPassword for encrypted documents, and again after each
+    // wrong attempt. Cancelling destroys the task, so its promise rejects;
+    // we report that like the PasswordException PDF.js throws without a prompt
+    // (which pdfjs-dist doesn't export, hence the hand-built error).
+    let password = null
+    let passwordCancelled = false
+    loadingTask.onPassword = async (updatePassword, reason) => {
+      const incorrect = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD
+      let answer = null
+      try {
+        answer = await this._getPassword?.({ incorrect })
+      } catch (error) {
+        console.error("Error getting PDF password:", error)
+      }
+
+      // A newer load replaced this one while we were waiting
+      if (loadingTask !== this._loadingTask) return
+
+      if (answer == null) {
+        passwordCancelled = true
+        loadingTask.destroy()
+      } else {
+        password = answer
+        updatePassword(answer)
+      }
+    }
+
+    try {
+      this.pdfDocument = await loadingTask.promise
+    } catch (error) {
+      if (passwordCancelled) {
+        const cancelled = new Error("No password given")
+        cancelled.name = "PasswordException"
+        cancelled.code = pdfjsLib.PasswordResponses.NEED_PASSWORD
+        throw cancelled
+      }
+      throw error
+    }
+    this._documentPassword = password
     this.pageCount = this.pdfDocument.numPages
 
     // Set initial display scale on container
@@ -170,6 +298,40 @@ export class CoreViewer {
     return this.pdfDocument
   }
 
+  /**
+   * Turn what load() was given into a PDF.js getDocument() source.
+   * PDF.js transfers `data` to its worker, detaching the buffer, so caller-owned
+   * bytes are copied rather than handed over.
+   * @param {string|Blob|ArrayBuffer|Uint8Array} source
+   * @returns {Promise<string|{data: Uint8Array}>}
+   */
+  async _toDocumentSource(source) {
+    if (typeof source === "string") return source
+    if (source instanceof Blob) {
+      return { data: new Uint8Array(await source.arrayBuffer()) }
+    }
+    if (source instanceof ArrayBuffer) {
+      return { data: new Uint8Array(source.slice(0)) }
+    }
+    if (ArrayBuffer.isView(source)) {
+      return { data: new Uint8Array(source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength)) }
+    }
+    throw new TypeError("PDF source must be a URL, Blob, ArrayBuffer or Uint8Array")
+  }
+
+  /**
+   * Get the raw bytes of the loaded document, as PDF.js holds them (i.e. still
+   * encrypted if the file is). For documents loaded from a URL this waits for
+   * the whole file to arrive.
+   * @returns {Promise<Uint8Array>}
+   */
+  getDocumentData() {
+    if (!this.pdfDocument) {
+      return Promise.reject(new Error("No PDF document loaded"))
+    }
+    return this.pdfDocument.getData()
+  }
+
   /**
    * Decide whether a load failure is worth retrying via full-fetch.
    * Skips errors where a different transport won't help: password-protected
@@ -198,7 +360,21 @@ export class CoreViewer {
    * @returns {number} rotation in degrees, normalized to 0-359
    */
   _rotationFor(page) {
-    return (((this.rotation + (page.rotate || 0)) % 360) + 360) % 360
+    return normalizeRotation(this.getViewRotation(page.pageNumber) + (page.rotate || 0))
+  }
+
+  /**
+   * User-applied rotation for a page, excluding its intrinsic /Rotate.
+   *
+   * Annotation coordinates are stored in the page's unrotated-by-the-user
+   * space (the space a page is displayed in at view rotation 0), so anything
+   * that draws annotations, or converts pointer positions into annotation
+   * coordinates, needs this to map between the two.
+   * @param {number} pageNumber
+   * @returns {number} rotation in degrees (0, 90, 180 or 270)
+   */
+  getViewRotation(pageNumber) {
+    return normalizeRotation(this.rotation + (this._pageRotations.get(pageNumber) || 0))
   }
 
   /**
@@ -247,8 +423,6 @@ export class CoreViewer {
       pageContainer.style.setProperty("--page-height", `${firstViewport.height}px`)
       pageContainer.style.setProperty("--display-scale", String(this.displayScale))
 
-      this.container.appendChild(pageContainer)
-
       // Store page data with INITIAL rendering state
       this.pages.set(pageNum, {
         page: pageNum === 1 ? firstPage : null,
@@ -256,10 +430,13 @@ export class CoreViewer {
         unitViewport: pageNum === 1 ? firstViewport : null,
         canvas: null,
         textLayer: null,
+        annotationLayer: null,
         renderingState: RenderingStates.INITIAL
       })
     }
 
+    this._layoutPages()
+
     this.eventBus.dispatch(ViewerEvents.PAGES_LOADED, {
       pageCount: this.pageCount
     })
@@ -334,9 +511,10 @@ export class CoreViewer {
       return
     }
 
-    // If already rendered at current scale, skip
+    // If already rendered at current scale and rotation, skip
     if (pageData.renderingState === RenderingStates.FINISHED &&
-        pageData.renderedScale === this.displayScale) {
+        pageData.renderedScale === this.displayScale &&
+        pageData.renderedRotation === this.getViewRotation(pageNumber)) {
       return
     }
 
@@ -360,13 +538,15 @@ export class CoreViewer {
         container.style.setProperty("--page-height", `${unitViewport.height}px`)
       }
 
-      // Clear existing canvas if re-rendering at new scale
+      // Clear existing canvas (and tiles drawn over it) if re-rendering at new scale
+      this._clearTiles(pageData)
       if (pageData.canvas) {
         pageData.canvas.remove()
       }
 
       const dpr = this.devicePixelRatio
       const displayScale = this.displayScale
+      const viewRotation = this.getViewRotation(pageNumber)
 
       // Get viewport at display scale (what we want to show on screen)
       const displayViewport = page.getViewport({ scale: displayScale, rotation: this._rotationFor(page) })
@@ -387,19 +567,23 @@ export class CoreViewer {
       // Clamp the backing-store resolution to the browser's canvas limits.
       // We scale down the device-pixel multiplier (not the displayed CSS size),
       // so an oversized page degrades to slightly softer rendering instead of a
-      // blank canvas.
+      // blank canvas - and is then sharpened where it's visible by tiles.
       const outputScale = this._clampOutputScale(cssWidth, cssHeight, dpr)
       canvas.width = Math.floor(cssWidth * outputScale)
       canvas.height = Math.floor(cssHeight * outputScale)
 
       container.appendChild(canvas)
 
-      // Render PDF page at displayScale, with outputScale transform for retina
+      // Render PDF page at displayScale, with outputScale transform for retina.
+      // Form fields are left to the annotation layer.
+      const transform = [outputScale, 0, 0, outputScale, 0, 0] // Scale drawing to backing store
       await page.render({
         canvasContext: context,
         viewport: displayViewport,
-        transform: [outputScale, 0, 0, outputScale, 0, 0] // Scale drawing to backing store
+        transform,
+        annotationMode: pdfjsLib.AnnotationMode.ENABLE_FORMS
       }).promise
+      await this.coverHiddenEmbeddedAnnotations(page, context, displayViewport, transform)
 
       // Create or update text layer
       if (pageData.textLayer) {
@@ -430,11 +614,23 @@ export class CoreViewer {
       // Bind selection handling
       this._bindTextLayerSelection(textLayerDiv, endOfContent)
 
+      // The PDF's own annotations, above the text layer. A malformed
+      // annotation shouldn't cost the user the whole page.
+      pageData.annotationLayer?.remove()
+      pageData.annotationLayer = null
+      try {
+        pageData.annotationLayer = await this._renderAnnotationLayer(page, container, displayViewport)
+      } catch (error) {
+        console.error(`Error rendering annotation layer for page ${pageNumber}:`, error)
+      }
+
       // Update page data
       pageData.canvas = canvas
       pageData.textLayer = textLayerDiv
       pageData.displayViewport = displayViewport
       pageData.renderedScale = displayScale
+      pageData.renderedRotation = viewRotation
+      pageData.needsTiles = outputScale < dpr
       pageData.renderingState = RenderingStates.FINISHED
 
       // Dispatch events
@@ -449,6 +645,13 @@ export class CoreViewer {
         textLayer: textLayerDiv
       })
 
+      if (pageData.annotationLayer) {
+        this.eventBus.dispatch(ViewerEvents.ANNOTATION_LAYER_RENDERED, {
+          pageNumber,
+          annotationLayer: pageData.annotationLayer
+        })
+      }
+
     } catch (error) {
       console.error(`Error rendering page ${pageNumber}:`, error)
       pageData.renderingState = RenderingStates.INITIAL
@@ -456,25 +659,500 @@ export class CoreViewer {
     }
   }
 
+  /**
+   * Render the PDF's embedded annotations for a page: clickable links, comment
+   * popups and fillable form fields. Annotation appearances (highlights, note
+   * icons, ...) are already drawn on the canvas; this layer adds the parts
+   * you interact with. Form values live in the document's annotationStorage.
+   * @returns {Promise<HTMLElement|null>} The layer, or null if the page has no annotations
+   */
+  async _renderAnnotationLayer(page, container, displayViewport) {
+    const hiddenIds = this._hiddenAnnotations
+    const annotations = (await page.getAnnotations({ intent: "display" }))
+      .filter(annotation => !hiddenIds.has(annotation.id))
+    if (annotations.length === 0) return null
+
+    const fieldObjects = await this.getFieldObjects()
+
+    const div = document.createElement("div")
+    div.className = "annotationLayer"
+    container.appendChild(div)
+
+    // PDF.js lays the layer out unrotated and stamps data-main-rotation on
+    // it, like the text layer
+    const annotationLayer = new pdfjsLib.AnnotationLayer({
+      div,
+      page,
+      viewport: displayViewport.clone({ dontFlip: true }),
+      accessibilityManager: null,
+      annotationCanvasMap: null,
+      annotationEditorUIManager: null,
+      structTreeLayer: null
+    })
+    await annotationLayer.render({
+      annotations,
+      linkService: this.linkService,
+      annotationStorage: this.pdfDocument.annotationStorage,
+      imageResourcesPath: this._imageResourcesPath,
+      renderForms: true,
+      enableScripting: false,
+      hasJSActions: false,
+      fieldObjects
+    })
+
+    // Without the icon images, leave the canvas-drawn note icon showing rather
+    // than a broken image over it
+    if (!this._imageResourcesPath) {
+      for (const img of div.querySelectorAll(".textAnnotation img")) {
+        img.removeAttribute("src")
+      }
+    }
+
+    return div
+  }
+
+  /**
+   * Get the document's form fields, keyed by fully qualified field name, as
+   * PDF.js describes them (one entry per widget, with its annotation id).
+   * @returns {Promise<Object|null>} null if the document has no form
+   */
+  getFieldObjects() {
+    if (!this.pdfDocument) return Promise.resolve(null)
+
+    this._fieldObjectsPromise ||= this.pdfDocument.getFieldObjects()
+    return this._fieldObjectsPromise
+  }
+
+  /**
+   * Re-create the annotation layers of rendered pages, e.g. after form values
+   * in annotationStorage were changed from outside the layer. The canvas and
+   * text layer are left alone.
+   */
+  async refreshAnnotationLayers() {
+    for (const [pageNumber, pageData] of this.pages) {
+      const { page, container, displayViewport, annotationLayer } = pageData
+      if (pageData.renderingState !== RenderingStates.FINISHED || !annotationLayer) continue
+
+      let layer = null
+      try {
+        layer = await this._renderAnnotationLayer(page, container, displayViewport)
+      } catch (error) {
+        console.error(`Error rendering annotation layer for page ${pageNumber}:`, error)
+        continue
+      }
+
+      // The page was re-rendered (or released) meanwhile and has a fresh layer
+      if (pageData.annotationLayer !== annotationLayer) {
+        layer?.remove()
+        continue
+      }
+
+      // Take the old layer's place, below this viewer's own overlays
+      if (layer) {
+        annotationLayer.replaceWith(layer)
+      } else {
+        annotationLayer.remove()
+      }
+      pageData.annotationLayer = layer
+
+      if (layer) {
+        this.eventBus.dispatch(ViewerEvents.ANNOTATION_LAYER_RENDERED, {
+          pageNumber,
+          annotationLayer: layer
+        })
+      }
+    }
+  }
+
+  /**
+   * Hide some of the PDF's own annotations, e.g. ones imported as editable
+   * annotations, so they aren't shown twice. Rendered pages are redrawn.
+   * @param {Iterable<string>} ids - PDF.js annotation ids (e.g. "12R")
+   */
+  setHiddenEmbeddedAnnotations(ids) {
+    const hidden = new Set(ids)
+    const previous = this._hiddenAnnotations
+    if (hidden.size === previous.size && [...hidden].every(id => previous.has(id))) return
+
+    this._hiddenAnnotations = hidden
+
+    for (const pageData of this.pages.values()) {
+      if (pageData.renderingState !== RenderingStates.FINISHED) continue
+
+      // Keep the current canvas up until the page re-renders
+      this._clearTiles(pageData)
+      pageData.renderedScale = null
+    }
+
+    this._renderingQueue.renderHighestPriority(this.getVisiblePages())
+  }
+
+  /**
+   * Get the ids of the embedded annotations hidden by
+   * setHiddenEmbeddedAnnotations().
+   * @returns {string[]}
+   */
+  getHiddenEmbeddedAnnotations() {
+    return [...this._hiddenAnnotations]
+  }
+
+  /**
+   * Paint over the hidden embedded annotations on a freshly rendered canvas
+   * with the page as it looks without annotations. PDF.js draws every
+   * annotation but form fields onto the canvas, so hidden ones are covered
+   * afterwards. Anything else drawn over the same spot is covered with them.
+   * @param {PDFPageProxy} page
+   * @param {CanvasRenderingContext2D} canvasContext - The context rendered into
+   * @param {PageViewport} viewport - The viewport it was rendered with
+   * @param {Array<number>} [transform] - The transform it was rendered with
+   */
+  async coverHiddenEmbeddedAnnotations(page, canvasContext, viewport, transform = [1, 0, 0, 1, 0, 0]) {
+    const hiddenIds = this._hiddenAnnotations
+    if (hiddenIds.size === 0) return
+
+    const annotations = (await page.getAnnotations({ intent: "display" }))
+      .filter(annotation => hiddenIds.has(annotation.id))
+    if (annotations.length === 0) return
+
+    // Bounds of the hidden annotations in canvas pixels, with a pixel to spare
+    // for antialiasing
+    const [a, b, c, d, e, f] = transform
+    const { width: canvasWidth, height: canvasHeight } = canvasContext.canvas
+    const rects = []
+    for (const annotation of annotations) {
+      const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect)
+      const xs = [a * x1 + c * y1 + e, a * x2 + c * y2 + e]
+      const ys = [b * x1 + d * y1 + f, b * x2 + d * y2 + f]
+      const left = Math.max(0, Math.floor(Math.min(...xs)) - 1)
+      const top = Math.max(0, Math.floor(Math.min(...ys)) - 1)
+      const right = Math.min(canvasWidth, Math.ceil(Math.max(...xs)) + 1)
+      const bottom = Math.min(canvasHeight, Math.ceil(Math.max(...ys)) + 1)
+      if (right > left && bottom > top) rects.push({ left, top, right, bottom })
+    }
+    if (rects.length === 0) return
+
+    // Render just the region they cover, without annotations
+    const left = Math.min(...rects.map(rect => rect.left))
+    const top = Math.min(...rects.map(rect => rect.top))
+    const width = Math.max(...rects.map(rect => rect.right)) - left
+    const height = Math.max(...rects.map(rect => rect.bottom)) - top
+
+    const cover = typeof OffscreenCanvas !== "undefined"
+      ? new OffscreenCanvas(width, height)
+      : Object.assign(document.createElement("canvas"), { width, height })
+    await page.render({
+      canvasContext: cover.getContext("2d"),
+      viewport,
+      transform: [a, b, c, d, e - left, f - top],
+      annotationMode: pdfjsLib.AnnotationMode.DISABLE
+    }).promise
+
+    canvasContext.save()
+    canvasContext.setTransform(1, 0, 0, 1, 0, 0)
+    for (const rect of rects) {
+      const rectWidth = rect.right - rect.left
+      const rectHeight = rect.bottom - rect.top
+      canvasContext.drawImage(
+        cover,
+        rect.left - left, rect.top - top, rectWidth, rectHeight,
+        rect.left, rect.top, rectWidth, rectHeight
+      )
+    }
+    canvasContext.restore()
+  }
+
+  /**
+   * Get the canvas backing-store size currently held by a page: its page
+   * canvas plus any tiles.
+   * @param {number} pageNumber
+   * @returns {number} pixels
+   */
+  getPagePixelCount(pageNumber) {
+    const pageData = this.pages.get(pageNumber)
+    if (!pageData?.canvas) return 0
+
+    let pixels = pageData.canvas.width * pageData.canvas.height
+    for (const tile of pageData.tiles?.values() || []) {
+      if (tile.canvas) pixels += tile.canvas.width * tile.canvas.height
+    }
+    return pixels
+  }
+
+  /**
+   * Return a rendered page to a placeholder, releasing its canvas, tiles and
+   * text layer. The page keeps its measured size, so the layout doesn't move,
+   * and re-renders like any other page when it's next needed. Called by the
+   * rendering queue when over its canvas memory budget.
+   * @param {number} pageNumber
+   * @returns {boolean} false if the page is rendering and was left alone
+   */
+  evictPage(pageNumber) {
+    const pageData = this.pages.get(pageNumber)
+    if (!pageData || pageData.renderingState === RenderingStates.RUNNING) return false
+
+    this._clearTiles(pageData)
+
+    if (pageData.canvas) {
+      // Release the backing store now rather than whenever GC gets to it
+      pageData.canvas.width = 0
+      pageData.canvas.height = 0
+      pageData.canvas.remove()
+      pageData.canvas = null
+    }
+
+    if (pageData.textLayer) {
+      this._textLayers.delete(pageData.textLayer)
+      pageData.textLayer.remove()
+      pageData.textLayer = null
+    }
+
+    // Form values typed into the layer are kept in annotationStorage, so
+    // they're restored when the page renders again
+    pageData.annotationLayer?.remove()
+    pageData.annotationLayer = null
+
+    pageData.renderedScale = null
+    pageData.renderedRotation = null
+    pageData.needsTiles = false
+    pageData.renderingState = RenderingStates.INITIAL
+
+    // Let PDF.js drop the page's parsed operator lists and decoded images
+    pageData.page?.cleanup()
+
+    this.eventBus.dispatch(ViewerEvents.PAGE_EVICTED, { pageNumber })
+    return true
+  }
+
+  // ===== Tiled Rendering =====
+
+  /**
+   * Find the next tile the rendering queue should draw: the first missing tile
+   * in the tiled region of a visible page whose full-page canvas had to be
+   * clamped. Only pages already rendered at the current scale and rotation
+   * qualify, since tiles sit on top of that backdrop.
+   * @param {number} first - First visible page
+   * @param {number} last - Last visible page
+   * @returns {{pageNumber: number, col: number, row: number}|null}
+   */
+  getNextTile(first, last) {
+    for (let pageNumber = first; pageNumber <= last; pageNumber++) {
+      const pageData = this.pages.get(pageNumber)
+      if (!pageData?.needsTiles ||
+          pageData.renderingState !== RenderingStates.FINISHED ||
+          pageData.renderedScale !== this.displayScale ||
+          pageData.renderedRotation !== this.getViewRotation(pageNumber)) {
+        continue
+      }
+
+      const region = this._getTileRegion(pageData)
+      if (!region) continue
+
+      for (let row = region.firstRow; row <= region.lastRow; row++) {
+        for (let col = region.firstCol; col <= region.lastCol; col++) {
+          if (!pageData.tiles?.has(`${col},${row}`)) {
+            return { pageNumber, col, row }
+          }
+        }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Render one tile of a page at full device resolution. The tile is drawn
+   * into an OffscreenCanvas (where supported) and only then handed to the
+   * visible tile canvas, so a half-drawn tile never shows over the backdrop.
+   * Called by the rendering queue.
+   * @param {{pageNumber: number, col: number, row: number}} tile
+   * @returns {Promise<void>}
+   */
+  async renderTile({ pageNumber, col, row }) {
+    const pageData = this.pages.get(pageNumber)
+    const key = `${col},${row}`
+    if (!pageData?.displayViewport || pageData.tiles?.has(key)) return
+
+    const viewport = pageData.displayViewport
+    const x = col * TILE_SIZE
+    const y = row * TILE_SIZE
+    const width = Math.min(TILE_SIZE, Math.round(viewport.width) - x)
+    const height = Math.min(TILE_SIZE, Math.round(viewport.height) - y)
+    if (width <= 0 || height <= 0) return
+
+    const outputScale = this._clampOutputScale(width, height, this.devicePixelRatio)
+    const pixelWidth = Math.floor(width * outputScale)
+    const pixelHeight = Math.floor(height * outputScale)
+
+    const useOffscreen = typeof OffscreenCanvas !== "undefined"
+    const target = useOffscreen
+      ? new OffscreenCanvas(pixelWidth, pixelHeight)
+      : Object.assign(document.createElement("canvas"), { width: pixelWidth, height: pixelHeight })
+
+    // Claim the slot before awaiting so the queue doesn't request it again
+    const tile = { canvas: null, renderTask: null }
+    if (!pageData.tiles) pageData.tiles = new Map()
+    pageData.tiles.set(key, tile)
+    this._tiledPages.add(pageNumber)
+
+    // Shift the page so this tile's top-left corner lands at the origin
+    const context = target.getContext("2d")
+    const transform = [outputScale, 0, 0, outputScale, -x * outputScale, -y * outputScale]
+    tile.renderTask = pageData.page.render({
+      canvasContext: context,
+      viewport,
+      transform,
+      annotationMode: pdfjsLib.AnnotationMode.ENABLE_FORMS
+    })
+
+    try {
+      await tile.renderTask.promise
+      await this.coverHiddenEmbeddedAnnotations(pageData.page, context, viewport, transform)
+    } catch (error) {
+      if (pageData.tiles?.get(key) === tile) pageData.tiles.delete(key)
+      if (error?.name === "RenderingCancelledException") return
+      throw error
+    }
+
+    // Cleared (zoom, rotation, scrolled away) while rendering
+    if (pageData.tiles?.get(key) !== tile) return
+    tile.renderTask = null
+
+    let canvas = target
+    if (useOffscreen) {
+      canvas = document.createElement("canvas")
+      canvas.width = pixelWidth
+      canvas.height = pixelHeight
+      canvas.getContext("bitmaprenderer").transferFromImageBitmap(target.transferToImageBitmap())
+    }
+    canvas.className = "pdf-tile"
+    canvas.style.left = `${x}px`
+    canvas.style.top = `${y}px`
+    canvas.style.width = `${width}px`
+    canvas.style.height = `${height}px`
+
+    // Tiles sit directly above the backdrop canvas, below the text layer and
+    // annotation overlays (which blend with whatever is under them)
+    if (!pageData.tileLayer) {
+      pageData.tileLayer = document.createElement("div")
+      pageData.tileLayer.className = "pdf-tile-layer"
+      pageData.canvas.after(pageData.tileLayer)
+    }
+    pageData.tileLayer.appendChild(canvas)
+    tile.canvas = canvas
+  }
+
+  /**
+   * Get the range of tiles covering the part of a page within TILE_MARGIN of
+   * the viewport, in displayed (rotated, scaled) page space.
+   * @param {Object} pageData
+   * @returns {{firstCol, lastCol, firstRow, lastRow}|null} null if the page is
+   *   nowhere near the viewport (or hidden)
+   */
+  _getTileRegion(pageData) {
+    const pageRect = pageData.container.getBoundingClientRect()
+    if (pageRect.width === 0 || pageRect.height === 0) return null
+
+    const containerRect = this.container.getBoundingClientRect()
+    const left = Math.max(0, containerRect.left - pageRect.left - TILE_MARGIN)
+    const top = Math.max(0, containerRect.top - pageRect.top - TILE_MARGIN)
+    const right = Math.min(pageRect.width, containerRect.right - pageRect.left + TILE_MARGIN)
+    const bottom = Math.min(pageRect.height, containerRect.bottom - pageRect.top + TILE_MARGIN)
+    if (right <= left || bottom <= top) return null
+
+    return {
+      firstCol: Math.floor(left / TILE_SIZE),
+      lastCol: Math.ceil(right / TILE_SIZE) - 1,
+      firstRow: Math.floor(top / TILE_SIZE),
+      lastRow: Math.ceil(bottom / TILE_SIZE) - 1
+    }
+  }
+
+  /**
+   * Drop tiles outside their page's tiled region, so memory stays bounded by
+   * roughly one viewport's worth of full-resolution pixels however far the
+   * user pans around a large drawing.
+   */
+  _pruneTiles() {
+    for (const pageNumber of this._tiledPages) {
+      const pageData = this.pages.get(pageNumber)
+      const region = pageData && this._getTileRegion(pageData)
+      if (!region) {
+        if (pageData) this._clearTiles(pageData)
+        this._tiledPages.delete(pageNumber)
+        continue
+      }
+
+      for (const [key, tile] of pageData.tiles) {
+        const [col, row] = key.split(",").map(Number)
+        if (col < region.firstCol || col > region.lastCol || row < region.firstRow || row > region.lastRow) {
+          this._removeTile(pageData, key, tile)
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove every tile of a page, cancelling any still rendering.
+   * @param {Object} pageData
+   */
+  _clearTiles(pageData) {
+    if (pageData.tiles) {
+      for (const [key, tile] of pageData.tiles) {
+        this._removeTile(pageData, key, tile)
+      }
+    }
+    pageData.tileLayer?.remove()
+    pageData.tileLayer = null
+  }
+
+  _removeTile(pageData, key, tile) {
+    tile.renderTask?.cancel()
+    if (tile.canvas) {
+      // Release the backing store now rather than whenever GC gets to it
+      tile.canvas.width = 0
+      tile.canvas.height = 0
+      tile.canvas.remove()
+    }
+    pageData.tiles.delete(key)
+  }
+
   /**
    * Get the currently visible pages in the scroll container.
    * Used by the rendering queue to prioritize rendering.
-   * @returns {Object} - { first, last, scrollDirection }
+   * @returns {Object} - { first, last, scrollDirection, pagesPerSpread }
    */
   getVisiblePages() {
     const containerRect = this.container.getBoundingClientRect()
-    const scrollTop = this.container.scrollTop
-    const scrollBottom = scrollTop + containerRect.height
+    const pagesPerSpread = this.spreadMode === SpreadMode.NONE ? 1 : 2
 
-    // If container has no height yet, return first page
-    if (containerRect.height === 0) {
+    // In page mode only the current page (or spread) is shown, whatever its
+    // size relative to the viewport
+    if (this.scrollMode === ScrollMode.PAGE && this.pageCount > 0) {
+      const shown = this._getSpreadPageNumbers(this._pageModePage)
+      return {
+        first: shown[0],
+        last: shown[shown.length - 1],
+        scrollDirection: this._scrollDirection,
+        pagesPerSpread
+      }
+    }
+
+    // If container has no size yet, return first page
+    if (containerRect.height === 0 || containerRect.width === 0) {
       return {
         first: 1,
         last: 1,
-        scrollDirection: this._scrollDirection
+        scrollDirection: this._scrollDirection,
+        pagesPerSpread
       }
     }
 
+    const scrollTop = this.container.scrollTop
+    const scrollBottom = scrollTop + containerRect.height
+    const scrollLeft = this.container.scrollLeft
+    const scrollRight = scrollLeft + containerRect.width
+    const horizontal = this.scrollMode === ScrollMode.HORIZONTAL
+
     let first = null
     let last = null
 
@@ -482,17 +1160,21 @@ export class CoreViewer {
       const pageData = this.pages.get(pageNum)
       if (!pageData) continue
 
-      const pageTop = pageData.container.offsetTop
-      // offsetHeight already includes CSS scaling, don't multiply again
-      const pageHeight = pageData.container.offsetHeight
-      const pageBottom = pageTop + pageHeight
-
-      // Check if page intersects with visible area
-      if (pageBottom > scrollTop && pageTop < scrollBottom) {
+      // Spread wrappers aren't positioned, so offsets are relative to the
+      // scroll container either way. offsetWidth/Height already include CSS
+      // scaling, don't multiply again.
+      const { offsetTop, offsetLeft, offsetWidth, offsetHeight } = pageData.container
+      const pageBottom = offsetTop + offsetHeight
+      const pageRight = offsetLeft + offsetWidth
+
+      // Check if page intersects with visible area. Both axes matter: with
+      // spreads or a zoomed-in page, a page can be beside the viewport.
+      if (pageBottom > scrollTop && offsetTop < scrollBottom &&
+          pageRight > scrollLeft && offsetLeft < scrollRight) {
         if (first === null) first = pageNum
         last = pageNum
-      } else if (first !== null) {
-        // We've passed the visible area
+      } else if (first !== null && (horizontal ? offsetLeft >= scrollRight : offsetTop >= scrollBottom)) {
+        // We've passed the visible area along the scroll axis
         break
       }
     }
@@ -500,7 +1182,8 @@ export class CoreViewer {
     return {
       first: first || 1,
       last: last || first || 1,
-      scrollDirection: this._scrollDirection
+      scrollDirection: this._scrollDirection,
+      pagesPerSpread
     }
   }
 
@@ -512,11 +1195,21 @@ export class CoreViewer {
     if (!this.pdfDocument) return
 
     const scrollTop = this.container.scrollTop
-    this._scrollDirection = scrollTop > this._lastScrollTop ? "down" : "up"
+    const scrollLeft = this.container.scrollLeft
+    if (this.scrollMode === ScrollMode.HORIZONTAL) {
+      this._scrollDirection = scrollLeft > this._lastScrollLeft ? "down" : "up"
+    } else {
+      this._scrollDirection = scrollTop > this._lastScrollTop ? "down" : "up"
+    }
     this._lastScrollTop = scrollTop
+    this._lastScrollLeft = scrollLeft
+
+    // Drop tiles that scrolled well out of view before queueing new ones
+    this._pruneTiles()
 
     this.eventBus.dispatch(ViewerEvents.SCROLL, {
       scrollTop,
+      scrollLeft,
       direction: this._scrollDirection
     })
 
@@ -566,7 +1259,7 @@ export class CoreViewer {
     // Only do this if user has scrolled - skip on initial load to keep top of document visible
     const scrollTop = this.container.scrollTop
     const scrollLeft = this.container.scrollLeft
-    const shouldAnchor = scrollTop > 10 // Small threshold to avoid float imprecision
+    const shouldAnchor = scrollTop > 10 || scrollLeft > 10 // Small threshold to avoid float imprecision
 
     let ratioY = 0, ratioX = 0
     if (shouldAnchor) {
@@ -590,6 +1283,10 @@ export class CoreViewer {
     for (const pageData of this.pages.values()) {
       pageData.container.style.setProperty("--display-scale", String(newScale))
 
+      // Tiles are laid out in pixels at the old scale; the backdrop canvas
+      // stretches with the page until it re-renders, tiles wouldn't
+      this._clearTiles(pageData)
+
       // Mark pages for re-render at new scale (but keep FINISHED state for
       // dimension calculations - renderPage will check renderedScale)
     }
@@ -624,7 +1321,8 @@ export class CoreViewer {
   _calculateScale(preset) {
     // Fit presets are computed from the page the user is actually looking at,
     // not always page 1 — documents often mix portrait and landscape pages.
-    const pageData = this.pages.get(this.getCurrentPage()) || this.pages.get(1)
+    const currentPage = this.pages.has(this.getCurrentPage()) ? this.getCurrentPage() : 1
+    const pageData = this.pages.get(currentPage)
     if (!pageData || !pageData.unitViewport) return 1.0
 
     // Get computed padding from the container
@@ -636,11 +1334,26 @@ export class CoreViewer {
 
     // clientWidth/Height include padding, so we need to subtract it
     // to get the actual available space for the page
-    const availableWidth = this.container.clientWidth - paddingLeft - paddingRight
+    let availableWidth = this.container.clientWidth - paddingLeft - paddingRight
     const availableHeight = this.container.clientHeight - paddingTop - paddingBottom
 
-    const pageWidth = pageData.unitViewport.width
-    const pageHeight = pageData.unitViewport.height
+    let pageWidth = pageData.unitViewport.width
+    let pageHeight = pageData.unitViewport.height
+
+    // In spread modes, fit the whole spread: facing pages side by side plus
+    // the (unscaled) gap between them. A partner page that hasn't been
+    // measured yet is assumed to match the current one.
+    const spreadPages = this._getSpreadPageNumbers(currentPage)
+    if (spreadPages.length > 1) {
+      pageWidth = 0
+      for (const pageNum of spreadPages) {
+        const viewport = this.pages.get(pageNum).unitViewport || pageData.unitViewport
+        pageWidth += viewport.width
+        pageHeight = Math.max(pageHeight, viewport.height)
+      }
+      const spreadStyle = window.getComputedStyle(pageData.container.parentElement)
+      availableWidth -= parseFloat(spreadStyle.columnGap) || 0
+    }
 
     switch (preset) {
       case ScaleValue.PAGE_WIDTH:
@@ -668,6 +1381,324 @@ export class CoreViewer {
     }
   }
 
+  // ===== Layout Methods =====
+
+  /**
+   * Get the current spread mode.
+   * @returns {string} SpreadMode constant
+   */
+  getSpreadMode() {
+    return this.spreadMode
+  }
+
+  /**
+   * Show pages one per row, or side by side as facing-page spreads.
+   * @param {string} mode - SpreadMode constant
+   */
+  setSpreadMode(mode) {
+    if (!Object.values(SpreadMode).includes(mode)) {
+      console.error(`CoreViewer.setSpreadMode: invalid spread mode ${mode}`)
+      return
+    }
+    if (mode === this.spreadMode) return
+
+    const previousMode = this.spreadMode
+    this._updateLayout(() => { this.spreadMode = mode })
+
+    this.eventBus.dispatch(ViewerEvents.SPREAD_MODE_CHANGED, {
+      spreadMode: mode,
+      previousSpreadMode: previousMode
+    })
+  }
+
+  /**
+   * Get the current scroll mode.
+   * @returns {string} ScrollMode constant
+   */
+  getScrollMode() {
+    return this.scrollMode
+  }
+
+  /**
+   * Lay pages (or spreads) out in a vertical column or a horizontal row, or
+   * show one at a time (page mode, for presenting).
+   * @param {string} mode - ScrollMode constant
+   */
+  setScrollMode(mode) {
+    if (!Object.values(ScrollMode).includes(mode)) {
+      console.error(`CoreViewer.setScrollMode: invalid scroll mode ${mode}`)
+      return
+    }
+    if (mode === this.scrollMode) return
+
+    const previousMode = this.scrollMode
+    this._updateLayout(() => {
+      this.scrollMode = mode
+      this.container.dataset.scrollMode = mode
+    })
+
+    this.eventBus.dispatch(ViewerEvents.SCROLL_MODE_CHANGED, {
+      scrollMode: mode,
+      previousScrollMode: previousMode
+    })
+  }
+
+  /**
+   * Get the pages shown together with a page in the current spread mode.
+   * @param {number} pageNumber
+   * @returns {number[]} page numbers, in order
+   */
+  _getSpreadPageNumbers(pageNumber) {
+    if (this.spreadMode === SpreadMode.NONE) return [pageNumber]
+
+    // In EVEN mode page 1 stands alone, so spreads start one page later
+    const offset = this.spreadMode === SpreadMode.EVEN ? 1 : 0
+    const start = Math.floor((pageNumber - 1 + offset) / 2) * 2 + 1 - offset
+
+    return [start, start + 1].filter(pageNum => pageNum >= 1 && pageNum <= this.pageCount)
+  }
+
+  /**
+   * Apply a layout change while keeping the current page in view, then render
+   * whatever became visible.
+   * @param {Function} change - Mutates the layout state
+   */
+  _updateLayout(change) {
+    const currentPage = this.getCurrentPage()
+    this._pageModePage = currentPage
+
+    change()
+    this._layoutPages()
+
+    if (!this.pdfDocument) return
+
+    this._scrollToPage(currentPage)
+    this._renderingQueue.renderHighestPriority(this.getVisiblePages())
+    this._measurePagesAround()
+  }
+
+  /**
+   * (Re)attach page containers to the scroll container for the current spread
+   * mode. In spread modes each group of facing pages is wrapped in a
+   * .pdf-spread row; otherwise pages are direct children. Moving the existing
+   * containers keeps their rendered canvases and text layers.
+   */
+  _layoutPages() {
+    this.container.querySelectorAll(":scope > .pdf-spread").forEach(spread => spread.remove())
+
+    let spread = null
+    for (let pageNum = 1; pageNum <= this.pageCount; pageNum++) {
+      const pageData = this.pages.get(pageNum)
+      if (!pageData) continue
+
+      if (this.spreadMode === SpreadMode.NONE) {
+        this.container.appendChild(pageData.container)
+        continue
+      }
+
+      if (this._getSpreadPageNumbers(pageNum)[0] === pageNum) {
+        spread = document.createElement("div")
+        spread.className = "pdf-spread"
+        this.container.appendChild(spread)
+      }
+      spread.appendChild(pageData.container)
+    }
+
+    this._updatePageVisibility()
+  }
+
+  /**
+   * In page scroll mode, hide everything but the current page (or spread);
+   * otherwise show all pages. Hidden pages keep their rendered canvases, so
+   * flipping back to a pre-rendered page is instant.
+   */
+  _updatePageVisibility() {
+    const pageMode = this.scrollMode === ScrollMode.PAGE
+    const shown = new Set(this._getSpreadPageNumbers(this._pageModePage))
+
+    for (const [pageNum, pageData] of this.pages) {
+      const { container } = pageData
+      const layoutElement = container.parentElement?.classList.contains("pdf-spread")
+        ? container.parentElement
+        : container
+      layoutElement.hidden = pageMode && !shown.has(pageNum)
+    }
+  }
+
+  // ===== Rotation Methods =====
+
+  /**
+   * Get the current user-applied rotation.
+   * @returns {number} rotation in degrees (0, 90, 180 or 270)
+   */
+  getRotation() {
+    return this.rotation
+  }
+
+  /**
+   * Rotate every page by a number of degrees relative to the current rotation.
+   * @param {number} delta - Multiple of 90; positive rotates clockwise
+   */
+  rotate(delta) {
+    this.setRotation(this.rotation + delta)
+  }
+
+  /**
+   * Set the user-applied rotation for every page. This is added to each
+   * page's intrinsic /Rotate, so it can straighten scans that were stored
+   * sideways without a /Rotate flag.
+   * @param {number} rotation - Multiple of 90 (any sign; normalized to 0-270)
+   */
+  setRotation(rotation) {
+    if (!isValidRotation(rotation)) {
+      console.error(`CoreViewer.setRotation: invalid rotation ${rotation}, must be a multiple of 90`)
+      return
+    }
+
+    const newRotation = normalizeRotation(rotation)
+    if (newRotation === this.rotation) return
+
+    const previousRotation = this.rotation
+    const currentPage = this.getCurrentPage()
+
+    this.rotation = newRotation
+    for (const pageData of this.pages.values()) {
+      this._updatePageSize(pageData, newRotation - previousRotation)
+    }
+
+    this.eventBus.dispatch(ViewerEvents.ROTATION_CHANGED, {
+      rotation: newRotation,
+      previousRotation
+    })
+
+    // Keep the page the user was reading in view; its position moves as every
+    // page above it changes shape.
+    this._scrollToPage(currentPage)
+
+    this._renderingQueue.renderHighestPriority(this.getVisiblePages())
+    this._measurePagesAround()
+  }
+
+  /**
+   * Get the user-applied rotation of a single page, excluding the rotation
+   * shared by all pages (see getViewRotation() for the combined value).
+   * @param {number} pageNumber
+   * @returns {number} rotation in degrees (0, 90, 180 or 270)
+   */
+  getPageRotation(pageNumber) {
+    return this._pageRotations.get(pageNumber) || 0
+  }
+
+  /**
+   * Get every non-zero per-page rotation, e.g. for persisting.
+   * @returns {Object<number, number>} pageNumber -> degrees
+   */
+  getPageRotations() {
+    return Object.fromEntries(this._pageRotations)
+  }
+
+  /**
+   * Rotate a single page relative to its current per-page rotation.
+   * @param {number} pageNumber
+   * @param {number} delta - Multiple of 90; positive rotates clockwise
+   */
+  rotatePage(pageNumber, delta) {
+    this.setPageRotation(pageNumber, this.getPageRotation(pageNumber) + delta)
+  }
+
+  /**
+   * Set the user-applied rotation of a single page, for mixed documents where
+   * only some pages are sideways. Combined with setRotation() and the page's
+   * /Rotate.
+   * @param {number} pageNumber
+   * @param {number} rotation - Multiple of 90 (any sign; normalized to 0-270)
+   */
+  setPageRotation(pageNumber, rotation) {
+    if (!isValidRotation(rotation)) {
+      console.error(`CoreViewer.setPageRotation: invalid rotation ${rotation}, must be a multiple of 90`)
+      return
+    }
+
+    const pageData = this.pages.get(pageNumber)
+    if (!pageData) return
+
+    const newRotation = normalizeRotation(rotation)
+    const previousRotation = this.getPageRotation(pageNumber)
+    if (newRotation === previousRotation) return
+
+    const currentPage = this.getCurrentPage()
+
+    this._setPageRotationEntry(pageNumber, newRotation)
+    this._updatePageSize(pageData, newRotation - previousRotation)
+
+    this.eventBus.dispatch(ViewerEvents.PAGE_ROTATION_CHANGED, {
+      pageNumber,
+      rotation: newRotation,
+      previousRotation
+    })
+
+    // Only pages above the current one shift it
+    if (pageNumber < currentPage) {
+      this._scrollToPage(currentPage)
+    }
+
+    this._renderingQueue.renderHighestPriority(this.getVisiblePages())
+  }
+
+  /**
+   * Replace every per-page rotation at once, e.g. when restoring saved view
+   * state. Pages missing from the map go back to 0.
+   * @param {Object<number, number>} rotations - pageNumber -> degrees
+   */
+  setPageRotations(rotations) {
+    const pageNumbers = new Set([
+      ...this._pageRotations.keys(),
+      ...Object.keys(rotations || {}).map(Number)
+    ])
+
+    for (const pageNumber of pageNumbers) {
+      const rotation = Number(rotations?.[pageNumber] || 0)
+      if (isValidRotation(rotation)) {
+        this.setPageRotation(pageNumber, rotation)
+      }
+    }
+  }
+
+  _setPageRotationEntry(pageNumber, rotation) {
+    if (rotation === 0) {
+      this._pageRotations.delete(pageNumber)
+    } else {
+      this._pageRotations.set(pageNumber, rotation)
+    }
+  }
+
+  /**
+   * Resize a page placeholder after its view rotation changed. Measured pages
+   * get their viewport recomputed; pages not measured yet still carry page 1's
+   * provisional size, which is swapped on quarter turns so the layout stays
+   * roughly right until they're measured. Rendered pages are left in place and
+   * re-rendered by the queue (see renderPage's renderedRotation check).
+   * @param {Object} pageData
+   * @param {number} delta - Change in rotation, in degrees
+   */
+  _updatePageSize(pageData, delta) {
+    const { container, page } = pageData
+
+    this._clearTiles(pageData)
+
+    if (page && pageData.unitViewport) {
+      const viewport = page.getViewport({ scale: 1.0, rotation: this._rotationFor(page) })
+      pageData.unitViewport = viewport
+      container.style.setProperty("--page-width", `${viewport.width}px`)
+      container.style.setProperty("--page-height", `${viewport.height}px`)
+    } else if (Math.abs(delta) % 180 === 90) {
+      const width = container.style.getPropertyValue("--page-width")
+      const height = container.style.getPropertyValue("--page-height")
+      container.style.setProperty("--page-width", height)
+      container.style.setProperty("--page-height", width)
+    }
+  }
+
   // ===== Pinch-to-Zoom for Mobile =====
 
   /**
@@ -727,13 +1758,103 @@ export class CoreViewer {
     }, { signal })
   }
 
+  // ===== Page Mode Navigation =====
+
+  /**
+   * Set up page flipping for page scroll mode: arrow keys and PageUp/PageDown
+   * on the keyboard, horizontal swipes on touch. Up/Down arrows only flip once
+   * a page taller than the viewport has been scrolled to its end, so zoomed-in
+   * pages can still be read top to bottom.
+   */
+  _setupPageModeNavigation() {
+    const signal = this._abortController.signal
+
+    document.addEventListener("keydown", (e) => {
+      if (this.scrollMode !== ScrollMode.PAGE || !this.pdfDocument) return
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return
+
+      // Keys belong to this viewer when focus is inside it, nowhere in
+      // particular, or it's (inside) the full-screen element
+      const ownsKeys = this.container.contains(e.target) ||
+        e.target === document.body ||
+        document.fullscreenElement?.contains(this.container)
+      if (!ownsKeys) return
+
+      const { scrollTop, scrollHeight, clientHeight } = this.container
+      const atTop = scrollTop <= 0
+      const atBottom = scrollTop + clientHeight >= scrollHeight - 1
+
+      let flip = null
+      switch (e.key) {
+        case "ArrowRight":
+        case "PageDown":
+          flip = "next"
+          break
+        case "ArrowLeft":
+        case "PageUp":
+          flip = "previous"
+          break
+        case "ArrowDown":
+          if (atBottom) flip = "next"
+          break
+        case "ArrowUp":
+          if (atTop) flip = "previous"
+          break
+        case "Home":
+          flip = "first"
+          break
+        case "End":
+          flip = "last"
+          break
+      }
+      if (!flip) return
+
+      e.preventDefault()
+      if (flip === "next") this.nextPage()
+      else if (flip === "previous") this.previousPage()
+      else this.goToPage(flip === "first" ? 1 : this.pageCount)
+    }, { signal })
+
+    let swipeStart = null
+
+    this.container.addEventListener("touchstart", (e) => {
+      swipeStart = e.touches.length === 1
+        ? { x: e.touches[0].clientX, y: e.touches[0].clientY }
+        : null
+    }, { passive: true, signal })
+
+    this.container.addEventListener("touchend", (e) => {
+      if (!swipeStart || this.scrollMode !== ScrollMode.PAGE) return
+
+      const touch = e.changedTouches[0]
+      const dx = touch.clientX - swipeStart.x
+      const dy = touch.clientY - swipeStart.y
+      swipeStart = null
+
+      // Leave horizontal panning alone on pages zoomed wider than the viewport
+      if (this.container.scrollWidth > this.container.clientWidth) return
+      if (Math.abs(dx) < SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return
+
+      if (dx < 0) this.nextPage()
+      else this.previousPage()
+    }, { signal })
+
+    this.container.addEventListener("touchcancel", () => {
+      swipeStart = null
+    }, { signal })
+  }
+
   // ===== Navigation Methods =====
 
   /**
    * Navigate to a specific page.
    * @param {number} pageNumber
+   * @param {Object} [options]
+   * @param {{x: number, y: number}} [options.point] - Spot on the page to bring
+   *   to the top-left of the view, in annotation space (see displayToPagePoint)
    */
-  goToPage(pageNumber) {
+  goToPage(pageNumber, { point = null } = {}) {
     // Ensure pageNumber is an integer
     pageNumber = parseInt(pageNumber, 10)
 
@@ -741,9 +1862,64 @@ export class CoreViewer {
       return
     }
 
+    if (!this._scrollToPage(pageNumber, "smooth", point)) {
+      return
+    }
+
+    this.eventBus.dispatch(ViewerEvents.PAGE_CHANGING, { pageNumber })
+  }
+
+  /**
+   * Go to the page (or spread) after the current one.
+   */
+  nextPage() {
+    const shown = this._getSpreadPageNumbers(this.getCurrentPage())
+    this.goToPage(shown[shown.length - 1] + 1)
+  }
+
+  /**
+   * Go to the page (or spread) before the current one.
+   */
+  previousPage() {
+    const shown = this._getSpreadPageNumbers(this.getCurrentPage())
+    if (shown[0] > 1) {
+      this.goToPage(this._getSpreadPageNumbers(shown[0] - 1)[0])
+    }
+  }
+
+  /**
+   * Scroll the container so a page's leading edge (top, or left in horizontal
+   * scroll mode) sits just inside it, or so a given point on the page sits at
+   * the top-left.
+   * @param {number} pageNumber
+   * @param {ScrollBehavior} behavior - "smooth" or "auto" (instant)
+   * @param {{x: number, y: number}} [point] - In annotation space
+   * @returns {boolean} false if the page doesn't exist
+   */
+  _scrollToPage(pageNumber, behavior = "auto", point = null) {
     const pageData = this.pages.get(pageNumber)
     if (!pageData || !pageData.container) {
-      return
+      return false
+    }
+
+    // Offset of the point from the page's top-left corner, on screen
+    let offsetX = 0, offsetY = 0
+    if (point) {
+      const displayPoint = this.pageToDisplayPoint(pageNumber, point.x, point.y)
+      offsetX = displayPoint.x * this.displayScale
+      offsetY = displayPoint.y * this.displayScale
+    }
+
+    // Page mode has nothing to scroll to: swap the shown page, start at its
+    // top-left, and render it (no scroll event will do that for us)
+    if (this.scrollMode === ScrollMode.PAGE) {
+      this._scrollDirection = pageNumber >= this._pageModePage ? "down" : "up"
+      this._pageModePage = pageNumber
+      this._updatePageVisibility()
+      this.container.scrollTo({ top: offsetY, left: offsetX })
+      this._renderingQueue.renderHighestPriority(this.getVisiblePages())
+      this._measurePagesAround()
+      return true
     }
 
     // Calculate scroll position relative to the scroll container (not the positioned parent)
@@ -752,23 +1928,37 @@ export class CoreViewer {
     const containerRect = this.container.getBoundingClientRect()
     const pageRect = pageData.container.getBoundingClientRect()
 
+    if (this.scrollMode === ScrollMode.HORIZONTAL) {
+      const pageOffsetFromContainer = pageRect.left - containerRect.left
+      const targetScrollLeft = this.container.scrollLeft + pageOffsetFromContainer - 16 + offsetX
+      const scrollOptions = { left: Math.max(0, targetScrollLeft), behavior }
+      if (point) {
+        scrollOptions.top = Math.max(0, this.container.scrollTop + pageRect.top - containerRect.top + offsetY)
+      }
+
+      this.container.scrollTo(scrollOptions)
+      return true
+    }
+
     // How far the page currently is from the top of the scroll container
     const pageOffsetFromContainer = pageRect.top - containerRect.top
 
     // Add current scroll position to get absolute position, subtract padding for breathing room
-    const targetScrollTop = this.container.scrollTop + pageOffsetFromContainer - 16
+    const targetScrollTop = this.container.scrollTop + pageOffsetFromContainer - 16 + offsetY
+    const scrollOptions = { top: Math.max(0, targetScrollTop), behavior }
+    if (point) {
+      scrollOptions.left = Math.max(0, this.container.scrollLeft + pageRect.left - containerRect.left + offsetX)
+    }
 
-    this.container.scrollTo({
-      top: Math.max(0, targetScrollTop),
-      behavior: "smooth"
-    })
+    this.container.scrollTo(scrollOptions)
 
-    this.eventBus.dispatch(ViewerEvents.PAGE_CHANGING, { pageNumber })
+    return true
   }
 
   /**
    * Get the current page (the one most visible in the viewport).
-   * Uses the page that occupies the most vertical space in the viewport.
+   * Uses the page that occupies the most area in the viewport; with facing
+   * pages equally visible, the earlier one wins.
    * @returns {number}
    */
   getCurrentPage() {
@@ -776,10 +1966,12 @@ export class CoreViewer {
       return 1
     }
 
+    if (this.scrollMode === ScrollMode.PAGE) {
+      return this._pageModePage
+    }
+
     const containerRect = this.container.getBoundingClientRect()
-    const containerTop = containerRect.top
-    const containerBottom = containerRect.bottom
-    const containerHeight = containerRect.height
+    const horizontal = this.scrollMode === ScrollMode.HORIZONTAL
 
     let bestPage = 1
     let bestVisibleArea = 0
@@ -791,17 +1983,17 @@ export class CoreViewer {
       const pageRect = pageData.container.getBoundingClientRect()
 
       // Calculate how much of the page is visible in the container
-      const visibleTop = Math.max(pageRect.top, containerTop)
-      const visibleBottom = Math.min(pageRect.bottom, containerBottom)
-      const visibleHeight = Math.max(0, visibleBottom - visibleTop)
+      const visibleWidth = Math.max(0, Math.min(pageRect.right, containerRect.right) - Math.max(pageRect.left, containerRect.left))
+      const visibleHeight = Math.max(0, Math.min(pageRect.bottom, containerRect.bottom) - Math.max(pageRect.top, containerRect.top))
+      const visibleArea = visibleWidth * visibleHeight
 
-      if (visibleHeight > bestVisibleArea) {
-        bestVisibleArea = visibleHeight
+      if (visibleArea > bestVisibleArea) {
+        bestVisibleArea = visibleArea
         bestPage = pageNum
       }
 
       // If we've scrolled past this page entirely, we can stop checking
-      if (pageRect.top > containerBottom) {
+      if (horizontal ? pageRect.left > containerRect.right : pageRect.top > containerRect.bottom) {
         break
       }
     }
@@ -809,12 +2001,49 @@ export class CoreViewer {
     return bestPage
   }
 
+  /**
+   * Get the spot on the current page at the top-left of the view, in
+   * annotation space. Passing it to goToPage() as the point scrolls back to
+   * the same place.
+   * @returns {{pageNumber: number, point: {x: number, y: number}}}
+   */
+  getViewPosition() {
+    const pageNumber = this.getCurrentPage()
+    const pageData = this.pages.get(pageNumber)
+    if (!pageData?.container) {
+      return { pageNumber, point: { x: 0, y: 0 } }
+    }
+
+    const containerRect = this.container.getBoundingClientRect()
+    const pageRect = pageData.container.getBoundingClientRect()
+
+    // Undo the breathing room _scrollToPage() leaves before the leading edge
+    const padding = this.scrollMode === ScrollMode.PAGE ? 0 : 16
+    const paddingX = this.scrollMode === ScrollMode.HORIZONTAL ? padding : 0
+    const paddingY = this.scrollMode === ScrollMode.HORIZONTAL ? 0 : padding
+
+    const clamp = (value, max) => Math.min(Math.max(0, value), max)
+    const x = clamp((containerRect.left + paddingX - pageRect.left) / this.displayScale, pageRect.width / this.displayScale)
+    const y = clamp((containerRect.top + paddingY - pageRect.top) / this.displayScale, pageRect.height / this.displayScale)
+
+    return { pageNumber, point: this.displayToPagePoint(pageNumber, x, y) }
+  }
+
   // ===== Accessor Methods =====
 
   getPageCount() {
     return this.pageCount
   }
 
+  /**
+   * Get the password the current document was opened with, e.g. to decrypt it
+   * again for export.
+   * @returns {string|null} null if the document isn't password-protected
+   */
+  getDocumentPassword() {
+    return this._documentPassword
+  }
+
   getPageContainer(pageNumber) {
     return this.pages.get(pageNumber)?.container
   }
@@ -823,6 +2052,60 @@ export class CoreViewer {
     return this.pages.get(pageNumber)?.textLayer
   }
 
+  /**
+   * Convert a point in a page's displayed space (unscaled, top-left origin,
+   * after view rotation) to annotation space (the same, but before view
+   * rotation). Inverse of pageToDisplayPoint().
+   * @param {number} pageNumber
+   * @param {number} x
+   * @param {number} y
+   * @returns {{x: number, y: number}}
+   */
+  displayToPagePoint(pageNumber, x, y) {
+    const { width, height } = this.getUnrotatedPageSize(pageNumber)
+
+    switch (this.getViewRotation(pageNumber)) {
+      case 90: return { x: y, y: height - x }
+      case 180: return { x: width - x, y: height - y }
+      case 270: return { x: width - y, y: x }
+      default: return { x, y }
+    }
+  }
+
+  /**
+   * Convert a point in annotation space to the page's displayed space.
+   * @param {number} pageNumber
+   * @param {number} x
+   * @param {number} y
+   * @returns {{x: number, y: number}}
+   */
+  pageToDisplayPoint(pageNumber, x, y) {
+    const { width, height } = this.getUnrotatedPageSize(pageNumber)
+
+    switch (this.getViewRotation(pageNumber)) {
+      case 90: return { x: height - y, y: x }
+      case 180: return { x: width - x, y: height - y }
+      case 270: return { x: y, y: width - x }
+      default: return { x, y }
+    }
+  }
+
+  /**
+   * Unscaled size of a page before view rotation is applied, i.e. the size of
+   * the space annotation coordinates live in.
+   * @param {number} pageNumber
+   * @returns {{width: number, height: number}}
+   */
+  getUnrotatedPageSize(pageNumber) {
+    const container = this.getPageContainer(pageNumber)
+    const width = parseFloat(container?.style.getPropertyValue("--page-width")) || 612
+    const height = parseFloat(container?.style.getPropertyValue("--page-height")) || 792
+
+    return this.getViewRotation(pageNumber) % 180 === 0
+      ? { width, height }
+      : { width: height, height: width }
+  }
+
   // ===== Text Layer Selection Handling =====
 
   /**
@@ -1038,10 +2321,18 @@ export class CoreViewer {
   async _teardownDocument() {
     // Release page-level rendering resources before destroying the document.
     for (const pageData of this.pages.values()) {
+      this._clearTiles(pageData)
       pageData.page?.cleanup?.()
       pageData.canvas?.remove()
     }
     this.pages.clear()
+    this._pageRotations.clear()
+    this._documentPassword = null
+    this._fieldObjectsPromise = null
+    this._hiddenAnnotations = new Set()
+    this._tiledPages.clear()
+    this._renderingQueue.reset()
+    this._pageModePage = 1
     this._textLayers.clear()
     this.container.innerHTML = ""
 
@@ -1,5 +1,27 @@
-import { PDFDocument, rgb, degrees, StandardFonts, PDFName, PDFArray, PDFString } from "pdf-lib"
+import {
+  PDFDocument, rgb, degrees, StandardFonts,
+  PDFName, PDFArray, PDFDict, PDFRef, PDFString, PDFHexString, PDFNumber, PDFBool,
+  PDFTextField, PDFCheckBox, PDFRadioGroup, PDFDropdown, PDFOptionList
+} from "@cantoo/pdf-lib"
 import { FetchRequest } from "@rails/request.js"
+import { getStrikeOutLine, getSquigglePoints } from "./text_markup"
+import { getArrowHead, getShapeBounds, DEFAULT_SHAPE_THICKNESS } from "./shapes"
+import {
+  DEFAULT_FREE_TEXT_FONT_SIZE, DEFAULT_FREE_TEXT_COLOR, FREE_TEXT_PADDING, FREE_TEXT_LINE_HEIGHT,
+  getCalloutLine, getCalloutLineWidth
+} from "./free_text"
+
+// Bézier control point distance for a quarter ellipse, as a share of its radius
+const ELLIPSE_KAPPA = 0.5523
+
+// PDF annotation subtype for each shape
+const SHAPE_SUBTYPES = {
+  rectangle: "Square",
+  ellipse: "Circle",
+  straight_line: "Line",
+  arrow: "Line",
+  polygon: "Polygon"
+}
 
 export class DownloadManager {
   constructor(options = {}) {
@@ -8,19 +30,28 @@ export class DownloadManager {
     this.organizationName = options.organizationName
     this.userName = options.userName
     this.annotationManager = options.annotationManager
+    this.viewer = options.viewer // CoreViewer, for per-page rotation
+    this.formManager = options.formManager // Values filled into the PDF's form
+    this.flattenForms = options.flattenForms || false
     this.producer = options.producer || "stimulus-pdf-viewer"
     this._extGStateCache = new Map()
   }
 
-  async downloadWithAnnotations() {
+  /**
+   * Download the PDF with annotations, bookmarks and form values written in.
+   * @param {Object} [options]
+   * @param {boolean} [options.flattenForms] - Bake form fields into the page
+   *   content so they can't be edited any more (defaults to the flattenForms option)
+   */
+  async downloadWithAnnotations({ flattenForms = this.flattenForms } = {}) {
     // Clear cache for fresh download
     this._extGStateCache.clear()
 
-    // Fetch original PDF using Rails request.js for consistent CSRF handling
-    const request = new FetchRequest("get", this.documentUrl, { responseKind: "blob" })
-    const response = await request.perform()
-    const existingPdfBytes = await response.response.arrayBuffer()
-    const pdfDoc = await PDFDocument.load(existingPdfBytes)
+    const existingPdfBytes = await this._loadOriginalBytes()
+
+    // Encrypted documents are decrypted with the password they were opened with
+    const password = this.viewer?.getDocumentPassword() || ""
+    const pdfDoc = await PDFDocument.load(existingPdfBytes, { password })
 
     // Set document metadata
     this._setDocumentMetadata(pdfDoc)
@@ -28,7 +59,10 @@ export class DownloadManager {
     // Get all annotations
     const annotations = this.annotationManager.getAllAnnotations()
 
-    // Embed font for watermark
+    // Embedded annotations that were imported are written back from our copy
+    const replacedIds = new Set(this.viewer?.getHiddenEmbeddedAnnotations() || [])
+
+    // Embed font for watermark and text boxes
     const font = await pdfDoc.embedFont(StandardFonts.Helvetica)
 
     // Process each page
@@ -41,9 +75,25 @@ export class DownloadManager {
       // Apply watermark
       this._applyWatermarkToPage(page, font, width, height)
 
+      this._removeReplacedAnnotations(pdfDoc, page, replacedIds)
+
       // Apply annotations for this page
       const pageAnnotations = annotations.filter(a => a.page === pageNumber)
-      this._applyAnnotationsToPage(pdfDoc, page, pageAnnotations, height)
+      this._applyAnnotationsToPage(pdfDoc, page, pageAnnotations, height, font)
+
+      // Apply per-page rotation from the viewer. Annotations above are written
+      // in the page's unrotated space, so PDF readers rotate them along with it.
+      this._applyPageRotation(page, pageNumber)
+    }
+
+    // User bookmarks become entries in the document outline
+    this._applyBookmarks(pdfDoc, this.annotationManager.getBookmarks())
+
+    this._applyFormValues(pdfDoc, this.formManager?.getValues() || {}, flattenForms)
+
+    // Keep the export protected by the same password as the original
+    if (password) {
+      pdfDoc.encrypt({ userPassword: password })
     }
 
     // Save and download
@@ -52,6 +102,27 @@ export class DownloadManager {
     this._triggerDownload(pdfBytes, filename)
   }
 
+  async _loadOriginalBytes() {
+    // Documents opened from a Blob/ArrayBuffer have no URL; reuse the bytes
+    // the viewer already has instead
+    if (!this.documentUrl) {
+      return this.viewer.getDocumentData()
+    }
+
+    // Fetch original PDF using Rails request.js for consistent CSRF handling
+    const request = new FetchRequest("get", this.documentUrl, { responseKind: "blob" })
+    const response = await request.perform()
+    return response.response.arrayBuffer()
+  }
+
+  _applyPageRotation(page, pageNumber) {
+    const rotation = this.viewer?.getPageRotation(pageNumber) || 0
+    if (!rotation) return
+
+    const angle = (((page.getRotation().angle + rotation) % 360) + 360) % 360
+    page.setRotation(degrees(angle))
+  }
+
   _applyWatermarkToPage(page, font, width, height) {
     if (!this.userName) return
 
@@ -78,23 +149,190 @@ export class DownloadManager {
     })
   }
 
-  _applyAnnotationsToPage(pdfDoc, page, annotations, pageHeight) {
+  _applyAnnotationsToPage(pdfDoc, page, annotations, pageHeight, font) {
     for (const annotation of annotations) {
       switch (annotation.annotation_type) {
         case "highlight":
           this._applyHighlight(pdfDoc, page, annotation, pageHeight)
           break
+        // The underline tool stores underlines as "line"
+        case "line":
         case "underline":
           this._applyUnderline(pdfDoc, page, annotation, pageHeight)
           break
+        case "strikeout":
+          this._applyStrikeOut(pdfDoc, page, annotation, pageHeight)
+          break
+        case "squiggly":
+          this._applySquiggly(pdfDoc, page, annotation, pageHeight)
+          break
         case "ink":
           this._applyInk(pdfDoc, page, annotation, pageHeight)
           break
         case "note":
           this._applyNote(pdfDoc, page, annotation, pageHeight)
           break
+        case "rectangle":
+        case "ellipse":
+        case "straight_line":
+        case "arrow":
+        case "polygon":
+          this._applyShape(pdfDoc, page, annotation, pageHeight)
+          break
+        case "free_text":
+          this._applyFreeText(pdfDoc, page, annotation, pageHeight, font)
+          break
+      }
+    }
+  }
+
+  // Drop embedded annotations (and their popups) that our annotations replace,
+  // so they aren't in the file twice
+  _removeReplacedAnnotations(pdfDoc, page, replacedIds) {
+    if (replacedIds.size === 0) return
+
+    const annots = page.node.lookup(PDFName.of("Annots"))
+    if (!(annots instanceof PDFArray)) return
+
+    const removed = new Set()
+    for (let i = 0; i < annots.size(); i++) {
+      const ref = annots.get(i)
+      if (!(ref instanceof PDFRef) || !replacedIds.has(this._toPdfjsId(ref))) continue
+
+      removed.add(ref)
+      const popupRef = pdfDoc.context.lookupMaybe(ref, PDFDict)?.get(PDFName.of("Popup"))
+      if (popupRef instanceof PDFRef) removed.add(popupRef)
+    }
+
+    for (let i = annots.size() - 1; i >= 0; i--) {
+      if (removed.has(annots.get(i))) annots.remove(i)
+    }
+  }
+
+  // Append bookmarks to the top level of the document outline (creating the
+  // outline if there isn't one), each jumping to its spot at the reader's
+  // current zoom
+  _applyBookmarks(pdfDoc, bookmarks) {
+    const pages = pdfDoc.getPages()
+    const entries = bookmarks.filter(bookmark => pages[bookmark.page - 1])
+    if (entries.length === 0) return
+
+    const context = pdfDoc.context
+    const catalog = pdfDoc.catalog
+
+    // Outline items point back at the outline by reference
+    let outlines = catalog.lookup(PDFName.of("Outlines"))
+    let outlinesRef = catalog.get(PDFName.of("Outlines"))
+    if (!(outlines instanceof PDFDict)) {
+      outlines = context.obj({ Type: PDFName.of("Outlines") })
+      outlinesRef = null
+    }
+    if (!(outlinesRef instanceof PDFRef)) {
+      outlinesRef = context.register(outlines)
+      catalog.set(PDFName.of("Outlines"), outlinesRef)
+    }
+
+    const refs = entries.map(() => context.nextRef())
+    const items = entries.map((bookmark, i) => {
+      const page = pages[bookmark.page - 1]
+      const { height } = page.getSize()
+
+      const item = context.obj({
+        Title: PDFHexString.fromText(bookmark.title || `Page ${bookmark.page}`),
+        Parent: outlinesRef,
+        // Convert from top-left origin to bottom-left; null keeps the zoom
+        Dest: [page.ref, PDFName.of("XYZ"), bookmark.x || 0, height - (bookmark.y || 0), null],
+      })
+      if (i > 0) item.set(PDFName.of("Prev"), refs[i - 1])
+      if (i < refs.length - 1) item.set(PDFName.of("Next"), refs[i + 1])
+      return item
+    })
+
+    // Chain on after the existing top-level entries
+    const lastRef = outlines.get(PDFName.of("Last"))
+    const last = outlines.lookup(PDFName.of("Last"))
+    if (lastRef instanceof PDFRef && last instanceof PDFDict) {
+      last.set(PDFName.of("Next"), refs[0])
+      items[0].set(PDFName.of("Prev"), lastRef)
+    } else {
+      outlines.set(PDFName.of("First"), refs[0])
+    }
+    outlines.set(PDFName.of("Last"), refs[refs.length - 1])
+
+    const count = outlines.lookup(PDFName.of("Count"))
+    const openCount = count instanceof PDFNumber ? Math.max(0, count.asNumber()) : 0
+    outlines.set(PDFName.of("Count"), PDFNumber.of(openCount + items.length))
+
+    items.forEach((item, i) => context.assign(refs[i], item))
+  }
+
+  // Fill the PDF's form fields with the values entered in the viewer, by field
+  // name, and optionally flatten them into the page content
+  _applyFormValues(pdfDoc, values, flatten) {
+    const names = Object.keys(values)
+    const hasForm = pdfDoc.catalog.has(PDFName.of("AcroForm"))
+    if (!hasForm || (names.length === 0 && !flatten)) return
+
+    const form = pdfDoc.getForm()
+    const font = form.getDefaultFont()
+    let needAppearances = false
+
+    for (const name of names) {
+      const field = form.getFieldMaybe(name)
+      if (!field) continue
+
+      try {
+        this._setFieldValue(field, values[name])
+        field.defaultUpdateAppearances(font)
+      } catch (error) {
+        // e.g. text the standard font can't encode: keep the value and leave
+        // drawing it to the reader (flattening keeps the old appearance)
+        console.warn(`Could not fill form field "${name}":`, error)
+        form.markFieldAsClean(field.ref)
+        needAppearances = true
       }
     }
+
+    if (flatten) {
+      form.flatten()
+    } else if (needAppearances) {
+      form.acroForm.dict.set(PDFName.of("NeedAppearances"), PDFBool.True)
+    }
+  }
+
+  _setFieldValue(field, value) {
+    if (field instanceof PDFTextField) {
+      field.setText(value === null || value === undefined ? undefined : String(value))
+    } else if (field instanceof PDFCheckBox) {
+      if (value) {
+        field.check()
+      } else {
+        field.uncheck()
+      }
+    } else if (field instanceof PDFRadioGroup) {
+      // PDF.js reports the chosen button's "on" state name, which is what /V holds
+      if (value) {
+        field.acroField.setValue(PDFName.of(value))
+      } else {
+        field.clear()
+      }
+    } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+      // Values are export values, which is what /V holds
+      const selected = [].concat(value ?? [])
+      if (selected.length > 0) {
+        field.acroField.setValues(selected.map(option => PDFHexString.fromText(option)))
+      } else {
+        field.clear()
+      }
+    }
+  }
+
+  // PDF.js ids annotations by object reference: "12R", or "12R1" for a
+  // non-zero generation
+  _toPdfjsId(ref) {
+    return ref.generationNumber === 0
+      ? `${ref.objectNumber}R`
+      : `${ref.objectNumber}R${ref.generationNumber}`
   }
 
   _applyHighlight(pdfDoc, page, annotation, pageHeight) {
@@ -181,6 +419,95 @@ export class DownloadManager {
     this._addAnnotationToPage(pdfDoc, page, annotationDict)
   }
 
+  _applyStrikeOut(pdfDoc, page, annotation, pageHeight) {
+    this._applyTextMarkupLines(pdfDoc, page, annotation, pageHeight, {
+      subtype: "StrikeOut",
+      strokeWidth: 1.5,
+      getLine: getStrikeOutLine
+    })
+  }
+
+  _applySquiggly(pdfDoc, page, annotation, pageHeight) {
+    this._applyTextMarkupLines(pdfDoc, page, annotation, pageHeight, {
+      subtype: "Squiggly",
+      strokeWidth: 1,
+      getLine: getSquigglePoints
+    })
+  }
+
+  // Text markup drawn as a line per quad. Unlike Underline, viewers don't all
+  // draw StrikeOut and Squiggly from QuadPoints alone, so these get an
+  // appearance stream with the same lines as the viewer shows.
+  _applyTextMarkupLines(pdfDoc, page, annotation, pageHeight, { subtype, strokeWidth, getLine }) {
+    const { quads, color } = annotation
+    if (!quads || quads.length === 0) return
+
+    const rgba = this._parseColor(color)
+
+    const quadPoints = []
+    const lines = []
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+
+    for (const quad of quads) {
+      // Convert from top-left origin to bottom-left
+      const pdfQuad = {}
+      for (const name of ["p1", "p2", "p3", "p4"]) {
+        pdfQuad[name] = { x: quad[name].x, y: pageHeight - quad[name].y }
+      }
+
+      const { p1, p2, p3, p4 } = pdfQuad
+      quadPoints.push(p3.x, p3.y, p4.x, p4.y, p2.x, p2.y, p1.x, p1.y)
+      lines.push(getLine(pdfQuad))
+
+      for (const point of [p1, p2, p3, p4]) {
+        minX = Math.min(minX, point.x)
+        maxX = Math.max(maxX, point.x)
+        minY = Math.min(minY, point.y)
+        maxY = Math.max(maxY, point.y)
+      }
+    }
+
+    // Room for the stroke
+    const padding = strokeWidth
+    minX -= padding
+    minY -= padding
+    maxX += padding
+    maxY += padding
+
+    // Appearance stream coordinates are relative to the BBox origin
+    let streamContent = `${strokeWidth} w 1 J 1 j `
+    streamContent += `${rgba.r} ${rgba.g} ${rgba.b} RG `
+    for (const points of lines) {
+      points.forEach((point, i) => {
+        const x = point.x - minX
+        const y = point.y - minY
+        streamContent += `${x.toFixed(2)} ${y.toFixed(2)} ${i === 0 ? "m" : "l"} `
+      })
+      streamContent += "S "
+    }
+
+    const appearanceStream = pdfDoc.context.stream(streamContent, {
+      Type: PDFName.of("XObject"),
+      Subtype: PDFName.of("Form"),
+      FormType: 1,
+      BBox: [0, 0, maxX - minX, maxY - minY],
+    })
+    const appearanceRef = pdfDoc.context.register(appearanceStream)
+
+    const annotationDict = pdfDoc.context.obj({
+      Type: PDFName.of("Annot"),
+      Subtype: PDFName.of(subtype),
+      Rect: [minX, minY, maxX, maxY],
+      QuadPoints: quadPoints,
+      C: [rgba.r, rgba.g, rgba.b],
+      F: 4,
+      AP: { N: appearanceRef },
+      ...this._getAnnotationMetadata(annotation),
+    })
+
+    this._addAnnotationToPage(pdfDoc, page, annotationDict)
+  }
+
   _applyInk(pdfDoc, page, annotation, pageHeight) {
     // Freehand highlights need different rendering (thick, semi-transparent strokes)
     if (annotation.subject === "Free Highlight") {
@@ -365,6 +692,119 @@ export class DownloadManager {
     this._addAnnotationToPage(pdfDoc, page, annotationDict)
   }
 
+  _applyShape(pdfDoc, page, annotation, pageHeight) {
+    const type = annotation.annotation_type
+    const strokeWidth = annotation.thickness || DEFAULT_SHAPE_THICKNESS
+
+    // Convert from top-left origin to bottom-left
+    const shape = { annotation_type: type, thickness: strokeWidth }
+    if (annotation.rect) {
+      const [x, y, width, height] = annotation.rect
+      shape.rect = [x, pageHeight - y - height, width, height]
+    }
+    if (annotation.vertices) {
+      shape.vertices = annotation.vertices.map(point => ({ x: point.x, y: pageHeight - point.y }))
+    }
+
+    const bounds = getShapeBounds(shape)
+    if (!bounds) return
+    if (type !== "rectangle" && type !== "ellipse" && shape.vertices.length < 2) return
+
+    // Add padding to bounding box for stroke width
+    const padding = strokeWidth / 2 + 2
+    const minX = bounds.minX - padding
+    const minY = bounds.minY - padding
+    const maxX = bounds.maxX + padding
+    const maxY = bounds.maxY + padding
+
+    const stroke = this._parseColor(annotation.color)
+    const fill = annotation.fill_color && type !== "straight_line" && type !== "arrow"
+      ? this._parseColor(annotation.fill_color)
+      : null
+
+    // Outline path, relative to the BBox origin
+    const point = (x, y) => `${(x - minX).toFixed(2)} ${(y - minY).toFixed(2)}`
+    let path = ""
+    if (type === "rectangle") {
+      const [x, y, width, height] = shape.rect
+      path = `${point(x, y)} ${width.toFixed(2)} ${height.toFixed(2)} re `
+    } else if (type === "ellipse") {
+      // Four Bézier quarters, counter-clockwise from the right
+      const [x, y, width, height] = shape.rect
+      const rx = width / 2
+      const ry = height / 2
+      const cx = x + rx
+      const cy = y + ry
+      const kx = rx * ELLIPSE_KAPPA
+      const ky = ry * ELLIPSE_KAPPA
+      path = `${point(cx + rx, cy)} m `
+      path += `${point(cx + rx, cy + ky)} ${point(cx + kx, cy + ry)} ${point(cx, cy + ry)} c `
+      path += `${point(cx - kx, cy + ry)} ${point(cx - rx, cy + ky)} ${point(cx - rx, cy)} c `
+      path += `${point(cx - rx, cy - ky)} ${point(cx - kx, cy - ry)} ${point(cx, cy - ry)} c `
+      path += `${point(cx + kx, cy - ry)} ${point(cx + rx, cy - ky)} ${point(cx + rx, cy)} c h `
+    } else {
+      shape.vertices.forEach((vertex, i) => {
+        path += `${point(vertex.x, vertex.y)} ${i === 0 ? "m" : "l"} `
+      })
+      if (type === "polygon") path += "h "
+    }
+
+    // Fill under the outline (at its own opacity, multiplied like highlights
+    // so the page shows through), then the stroke
+    const extGStates = {}
+    let streamContent = ""
+    if (fill) {
+      extGStates.GS1 = this._getExtGState(pdfDoc, { opacity: fill.a })
+      streamContent += `q /GS1 gs ${fill.r} ${fill.g} ${fill.b} rg ${path}f Q `
+    }
+    streamContent += "q "
+    if (stroke.a < 1) {
+      extGStates.GS2 = this._getExtGState(pdfDoc, { opacity: stroke.a, blendMode: "Normal" })
+      streamContent += "/GS2 gs "
+    }
+    streamContent += `${strokeWidth} w 1 J 1 j ${stroke.r} ${stroke.g} ${stroke.b} RG ${path}S `
+    if (type === "arrow") {
+      const [start, end] = shape.vertices
+      getArrowHead(start, end, strokeWidth).forEach((headPoint, i) => {
+        streamContent += `${point(headPoint.x, headPoint.y)} ${i === 0 ? "m" : "l"} `
+      })
+      streamContent += "S "
+    }
+    streamContent += "Q"
+
+    const appearanceStream = pdfDoc.context.stream(streamContent, {
+      Type: PDFName.of("XObject"),
+      Subtype: PDFName.of("Form"),
+      FormType: 1,
+      BBox: [0, 0, maxX - minX, maxY - minY],
+      Resources: pdfDoc.context.obj({ ExtGState: extGStates }),
+    })
+    const appearanceRef = pdfDoc.context.register(appearanceStream)
+
+    const entries = {
+      Type: PDFName.of("Annot"),
+      Subtype: PDFName.of(SHAPE_SUBTYPES[type]),
+      Rect: [minX, minY, maxX, maxY],
+      C: [stroke.r, stroke.g, stroke.b],
+      BS: { W: strokeWidth },
+      F: 4,
+      AP: { N: appearanceRef },
+      ...this._getAnnotationMetadata(annotation),
+    }
+    if (fill) {
+      entries.IC = [fill.r, fill.g, fill.b]
+    }
+    if (type === "straight_line" || type === "arrow") {
+      const [start, end] = shape.vertices
+      entries.L = [start.x, start.y, end.x, end.y]
+      entries.LE = [PDFName.of("None"), PDFName.of(type === "arrow" ? "OpenArrow" : "None")]
+    } else if (type === "polygon") {
+      entries.Vertices = shape.vertices.flatMap(vertex => [vertex.x, vertex.y])
+    }
+
+    this._addAnnotationToPage(pdfDoc, page, pdfDoc.context.obj(entries))
+  }
+
   _applyNote(pdfDoc, page, annotation, pageHeight) {
     const { rect, contents, color } = annotation
     if (!rect || !contents) return
@@ -390,6 +830,152 @@ export class DownloadManager {
     this._addAnnotationToPage(pdfDoc, page, annotationDict)
   }
 
+  _applyFreeText(pdfDoc, page, annotation, pageHeight, font) {
+    const { rect, contents } = annotation
+    if (!rect || !contents) return
+
+    const fontSize = annotation.font_size || DEFAULT_FREE_TEXT_FONT_SIZE
+    const borderWidth = annotation.border_width || 0
+    const color = this._parseColor(annotation.color || DEFAULT_FREE_TEXT_COLOR)
+    const background = annotation.background_color ? this._parseColor(annotation.background_color) : null
+    const textColor = `${color.r} ${color.g} ${color.b}`
+
+    // Convert from top-left origin to bottom-left
+    const [x, y, width, height] = rect
+    const boxY = pageHeight - y - height
+    const callout = annotation.callout_point
+      ? getCalloutLine({
+        rect: [x, boxY, width, height],
+        callout_point: { x: annotation.callout_point.x, y: pageHeight - annotation.callout_point.y }
+      })
+      : null
+    const lineWidth = getCalloutLineWidth(annotation)
+    const arrowHead = callout ? getArrowHead(callout[1], callout[0], lineWidth) : []
+
+    // The annotation covers the box and, for callouts, the leader line
+    let minX = x
+    let minY = boxY
+    let maxX = x + width
+    let maxY = boxY + height
+    if (callout) {
+      const padding = lineWidth / 2 + 2
+      for (const point of [...callout, ...arrowHead]) {
+        minX = Math.min(minX, point.x - padding)
+        minY = Math.min(minY, point.y - padding)
+        maxX = Math.max(maxX, point.x + padding)
+        maxY = Math.max(maxY, point.y + padding)
+      }
+    }
+
+    // Box contents are drawn from the box's own corner, and cut off at its edge
+    let streamContent = `q 1 0 0 1 ${x - minX} ${boxY - minY} cm 0 0 ${width} ${height} re W n `
+
+    // Background, then the border inside the box's edge
+    if (background) {
+      streamContent += `${background.r} ${background.g} ${background.b} rg 0 0 ${width} ${height} re f `
+    }
+    if (borderWidth > 0) {
+      const edge = borderWidth / 2
+      streamContent += `${borderWidth} w ${textColor} RG ${edge} ${edge} ${width - borderWidth} ${height - borderWidth} re S `
+    }
+
+    // Text lines from the top, inside the border and padding, laid out like
+    // the box on screen
+    const inset = borderWidth + FREE_TEXT_PADDING
+    const lineHeight = fontSize * FREE_TEXT_LINE_HEIGHT
+    const firstBaseline = (lineHeight - fontSize) / 2 + font.heightAtSize(fontSize, { descender: false })
+    const lines = this._wrapText(contents, font, fontSize, width - inset * 2)
+
+    streamContent += `BT /Helv ${fontSize} Tf ${textColor} rg `
+    lines.forEach((line, i) => {
+      const baseline = height - inset - firstBaseline - i * lineHeight
+      streamContent += `1 0 0 1 ${inset} ${baseline.toFixed(2)} Tm ${font.encodeText(line)} Tj `
+    })
+    streamContent += "ET Q"
+
+    // Leader line from the box to the point, with an open arrow at the point
+    if (callout) {
+      const point = (p) => `${(p.x - minX).toFixed(2)} ${(p.y - minY).toFixed(2)}`
+      streamContent += ` q ${lineWidth} w 1 J 1 j ${textColor} RG `
+      streamContent += `${point(callout[1])} m ${point(callout[0])} l S `
+      arrowHead.forEach((headPoint, i) => {
+        streamContent += `${point(headPoint)} ${i === 0 ? "m" : "l"} `
+      })
+      streamContent += "S Q"
+    }
+
+    const appearanceStream = pdfDoc.context.stream(streamContent, {
+      Type: PDFName.of("XObject"),
+      Subtype: PDFName.of("Form"),
+      FormType: 1,
+      BBox: [0, 0, maxX - minX, maxY - minY],
+      Resources: pdfDoc.context.obj({ Font: { Helv: font.ref } }),
+    })
+    const appearanceRef = pdfDoc.context.register(appearanceStream)
+
+    const entries = {
+      Type: PDFName.of("Annot"),
+      Subtype: PDFName.of("FreeText"),
+      Rect: [minX, minY, maxX, maxY],
+      Contents: PDFHexString.fromText(contents),
+      // Default appearance, for readers that regenerate the box when edited
+      DA: PDFString.of(`/Helv ${fontSize} Tf ${textColor} rg`),
+      BS: { W: borderWidth },
+      F: 4,
+      AP: { N: appearanceRef },
+      ...this._getAnnotationMetadata(annotation),
+    }
+    if (background) {
+      entries.C = [background.r, background.g, background.b]
+    }
+    if (callout) {
+      // Callout line from the point to the box, and where the box sits in
+      // Rect (left, top, right and bottom insets)
+      const [calloutPoint, calloutStart] = callout
+      entries.IT = PDFName.of("FreeTextCallout")
+      entries.CL = [calloutPoint.x, calloutPoint.y, calloutStart.x, calloutStart.y]
+      entries.LE = PDFName.of("OpenArrow")
+      entries.RD = [x - minX, maxY - (boxY + height), maxX - (x + width), boxY - minY]
+    }
+
+    this._addAnnotationToPage(pdfDoc, page, pdfDoc.context.obj(entries))
+  }
+
+  // Break text into lines that fit a width, at spaces where possible.
+  // Characters the standard font can't encode are replaced with "?".
+  _wrapText(text, font, fontSize, maxWidth) {
+    const supported = new Set(font.getCharacterSet())
+    const clean = [...text.replace(/\r\n?/g, "\n").replace(/\t/g, " ")]
+      .map(char => (char === "\n" || supported.has(char.codePointAt(0)) ? char : "?"))
+      .join("")
+    const fits = (line) => font.widthOfTextAtSize(line, fontSize) <= maxWidth
+
+    const lines = []
+    for (const paragraph of clean.split("\n")) {
+      let line = ""
+      for (const word of paragraph.split(" ")) {
+        const candidate = line ? `${line} ${word}` : word
+        if (fits(candidate)) {
+          line = candidate
+          continue
+        }
+        if (line) lines.push(line)
+
+        // Words wider than the box are broken where they run out of room
+        line = ""
+        for (const char of word) {
+          if (line && !fits(line + char)) {
+            lines.push(line)
+            line = ""
+          }
+          line += char
+        }
+      }
+      lines.push(line)
+    }
+    return lines
+  }
+
   _getExtGState(pdfDoc, { opacity, blendMode = "Multiply" }) {
     const key = `${opacity}:${blendMode}`
     if (this._extGStateCache.has(key)) {
@@ -2,13 +2,21 @@
  * FindController - PDF text search functionality.
  *
  * Provides search capabilities for the PDF viewer:
- * - Lazy text extraction (only when search is initiated)
+ * - Lazy text extraction (only when search is initiated), cached across
+ *   visits by PageTextCache
  * - Case-insensitive and case-sensitive search
  * - Whole word matching
+ * - Regular expressions
+ * - Accent and ligature insensitive matching ("cafe" finds "café", "fi" finds "ﬁ")
+ * - Matching across line breaks and hyphenation ("example" finds "exam-⏎ple")
+ * - Several terms at once, each highlighted in its own colour
+ * - Optionally the text of annotations too: highlighted text and comments
  * - Match highlighting in text layer
- * - Navigation between matches
+ * - Navigation between matches, and results with their context for listing
  */
 
+import { PageTextCache } from "./page_text_cache"
+
 export const FindState = {
   FOUND: 0,
   NOT_FOUND: 1,
@@ -16,21 +24,60 @@ export const FindState = {
   PENDING: 3
 }
 
+// Options that change which matches a query finds
+const SEARCH_OPTIONS = ["caseSensitive", "entireWord", "regex", "ignoreDiacritics", "ignoreLineBreaks", "multipleTerms", "searchAnnotations"]
+
+// Annotation fields searched with the searchAnnotations option: the text a
+// highlight or other text markup was made on, and note text / comments
+const ANNOTATION_FIELDS = ["title", "contents"]
+
+// Number of term-N highlight colours the stylesheet defines
+const TERM_COLOR_COUNT = 5
+
+// Order matches by page; on a page, its text first, then its annotations
+function compareMatches(a, b) {
+  if (a.pageNumber !== b.pageNumber) {
+    return a.pageNumber - b.pageNumber
+  }
+  return (a.annotationOrder ?? -1) - (b.annotationOrder ?? -1) || a.startOffset - b.startOffset
+}
+
+// Decompose ligatures and accented letters ("ﬁ" -> "fi", "é" -> "e" + accent)
+// and drop the accents
+function stripDiacritics(text) {
+  return text.normalize("NFKD").replace(/\p{M}/gu, "")
+}
+
 export class FindController {
   constructor(viewer, options = {}) {
     this.viewer = viewer
     this.pdfDocument = null
 
-    // Text content storage: pageNumber -> { textContent, textItems, str }
+    // Text content storage: pageNumber -> { textItems, str, lineBreaks }
     this.pageContents = new Map()
 
+    // Where page text comes from; shared with other features when given
+    this._ownsTextCache = !options.textCache
+    this.textCache = options.textCache || new PageTextCache({ persist: false })
+
     // Current search state
     this.query = ""
     this.caseSensitive = false
     this.entireWord = false
+    this.regex = false
+    this.ignoreDiacritics = false
+    this.ignoreLineBreaks = false
+    this.multipleTerms = false
+    this.searchAnnotations = false
     this.highlightAll = true
 
-    // Match data: array of { pageNumber, matchIndex, startOffset, endOffset }
+    // One RegExp per search term (a single one unless multipleTerms is on)
+    this.terms = []
+    this.invalidQuery = false // The query isn't a valid regular expression
+
+    // Match data: array of { pageNumber, startOffset, endOffset, text, termIndex },
+    // plus { annotationId, annotationType, field, annotationOrder } for matches
+    // in annotations (offsets are then into the annotation's field)
     this.matches = []
     this.currentMatchIndex = -1
 
@@ -41,6 +88,11 @@ export class FindController {
 
     // Callbacks
     this.onUpdateState = options.onUpdateState || (() => {})
+    // ({ reset, pageNumber }) => void: the matches were replaced (reset), or a
+    // newly extracted page added its matches (pageNumber)
+    this.onMatchesUpdated = options.onMatchesUpdated || (() => {})
+    // (annotationId) => void: select an annotation a match was found in
+    this.onSelectAnnotation = options.onSelectAnnotation || (() => {})
   }
 
   /**
@@ -49,12 +101,29 @@ export class FindController {
    * @param {PDFDocumentProxy} pdfDocument
    */
   setDocument(pdfDocument) {
+    const hadQuery = !!this.query
+
     this.pdfDocument = pdfDocument
+    if (this._ownsTextCache) {
+      this.textCache.setDocument(pdfDocument)
+    }
     this.pageContents.clear()
     this.matches = []
     this.currentMatchIndex = -1
+    this.query = ""
+    this.terms = []
+    this.invalidQuery = false
+    this.state = FindState.PENDING
+    // An extraction still running for the previous document stops itself
+    this.extracting = false
     this.extractionComplete = false
     // Text extraction is now lazy - starts when find() is called
+
+    // Clear the previous document's results from the find bar
+    if (hadQuery) {
+      this.onMatchesUpdated({ reset: true, pageNumber: null })
+      this.onUpdateState(this.state, { current: 0, total: 0, extracting: false })
+    }
   }
 
   /**
@@ -74,7 +143,34 @@ export class FindController {
     if (!this.pdfDocument || this.extracting) return
 
     this.extracting = true
-    const numPages = this.pdfDocument.numPages
+    const pdfDocument = this.pdfDocument
+    const numPages = pdfDocument.numPages
+
+    // Text stored on an earlier visit is searched straight away
+    try {
+      const cachedPages = await this.textCache.getCachedPages()
+      if (this.pdfDocument !== pdfDocument) return
+
+      const pageNumbers = Array.from(cachedPages.keys()).sort((a, b) => a - b)
+      for (const pageNum of pageNumbers) {
+        if (this.pageContents.has(pageNum)) continue
+
+        this._setPageContent(pageNum, cachedPages.get(pageNum))
+        if (this.query) {
+          this._searchPage(pageNum)
+        }
+      }
+
+      if (this.query && pageNumbers.length > 0) {
+        this._sortMatchesAndFixIndex()
+        this.onMatchesUpdated({ reset: true, pageNumber: null })
+        this._updateAllHighlights()
+        this._notifyStateUpdate()
+      }
+    } catch (error) {
+      if (this.pdfDocument !== pdfDocument) return
+      console.error("Error reading cached page text:", error)
+    }
 
     // Get visible pages to prioritize them
     const visiblePages = this.viewer.viewer.getVisiblePages()
@@ -105,6 +201,9 @@ export class FindController {
       try {
         await this._extractPage(pageNum)
 
+        // The document was replaced while we were waiting
+        if (this.pdfDocument !== pdfDocument) return
+
         // If we have an active query, search this page and update UI
         if (this.query) {
           const matchCountBefore = this.matches.length
@@ -113,12 +212,14 @@ export class FindController {
           // If new matches were added, re-sort and fix current index
           if (this.matches.length > matchCountBefore) {
             this._sortMatchesAndFixIndex()
+            this.onMatchesUpdated({ reset: false, pageNumber: pageNum })
           }
 
           this._updateHighlights(pageNum)
           this._notifyStateUpdate()
         }
       } catch (error) {
+        if (this.pdfDocument !== pdfDocument) return
         console.error(`Error extracting text from page ${pageNum}:`, error)
       }
     }
@@ -133,37 +234,81 @@ export class FindController {
   }
 
   /**
-   * Extract text from a single page.
+   * Extract text from a single page (or read it from the text cache).
    * @param {number} pageNum
    */
   async _extractPage(pageNum) {
-    const page = await this.pdfDocument.getPage(pageNum)
-    const textContent = await page.getTextContent()
-
-    // Build a searchable string and track item positions
-    let pageText = ""
-    const textItems = []
-
-    for (const item of textContent.items) {
-      if (item.str) {
-        textItems.push({
-          str: item.str,
-          startOffset: pageText.length,
-          endOffset: pageText.length + item.str.length
-        })
-        pageText += item.str
+    const pdfDocument = this.pdfDocument
+    const pageText = await this.textCache.getPageText(pageNum)
+    if (this.pdfDocument !== pdfDocument || !pageText) return
+
+    this._setPageContent(pageNum, pageText)
+  }
+
+  /**
+   * Store a page's text for searching.
+   * @param {number} pageNum
+   * @param {Object} pageText - From PageTextCache: { str, items, lineBreaks }
+   */
+  _setPageContent(pageNum, { str, items, lineBreaks }) {
+    this.pageContents.set(pageNum, {
+      textItems: items,
+      str,
+      lineBreaks: new Set(lineBreaks) // Offsets of the spaces standing in for line breaks
+    })
+  }
+
+  /**
+   * Get the page text as searched with the current options (see
+   * _normalizeText). Cached on the page content until the options change.
+   * @param {Object} pageContent
+   */
+  _getSearchText(pageContent) {
+    const key = `${this.ignoreDiacritics}:${this.ignoreLineBreaks}`
+    if (pageContent.searchText?.key !== key) {
+      pageContent.searchText = { key, ...this._normalizeText(pageContent.str, pageContent.lineBreaks) }
+    }
+    return pageContent.searchText
+  }
+
+  /**
+   * Get a text as searched with the current options, along with the offset in
+   * the original text each of its characters came from.
+   * @param {string} str
+   * @param {Set<number>} [lineBreaks] - Offsets of spaces that stand for line breaks
+   * @returns {{text: string, starts: Array<number>|null, ends: Array<number>|null}}
+   *   starts/ends are null when the text is unchanged
+   */
+  _normalizeText(str, lineBreaks = new Set()) {
+    if (!this.ignoreDiacritics && !this.ignoreLineBreaks) {
+      return { text: str, starts: null, ends: null }
+    }
+
+    let text = ""
+    const starts = []
+    const ends = []
+    for (let i = 0; i < str.length;) {
+      const length = str.codePointAt(i) > 0xffff ? 2 : 1
+      let chars = str.substring(i, i + length)
+
+      // A word hyphenated at the end of a line: drop the hyphen and the break
+      if (this.ignoreLineBreaks && chars === "-" && lineBreaks.has(i + 1)) {
+        i += 2
+        continue
+      }
+
+      if (this.ignoreDiacritics) {
+        chars = stripDiacritics(chars)
       }
-      // Handle end-of-line markers
-      if (item.hasEOL) {
-        pageText += " " // Add space for line breaks
+      for (let j = 0; j < chars.length; j++) {
+        starts.push(i)
+        ends.push(i + length)
       }
+      text += chars
+      i += length
     }
 
-    this.pageContents.set(pageNum, {
-      textContent,
-      textItems,
-      str: pageText
-    })
+    return { text, starts, ends }
   }
 
   /**
@@ -173,7 +318,8 @@ export class FindController {
     this.onUpdateState(this.state, {
       current: this.currentMatchIndex + 1,
       total: this.matches.length,
-      extracting: this.extracting
+      extracting: this.extracting,
+      invalidQuery: this.invalidQuery
     })
   }
 
@@ -183,23 +329,33 @@ export class FindController {
    * @param {Object} options - Search options
    * @param {boolean} options.caseSensitive - Case-sensitive matching
    * @param {boolean} options.entireWord - Match whole words only
+   * @param {boolean} options.regex - Treat the query as a regular expression
+   * @param {boolean} options.ignoreDiacritics - Ignore accents and ligatures
+   * @param {boolean} options.ignoreLineBreaks - Let whitespace in the query match
+   *   any whitespace (or none), and find words hyphenated across lines
+   * @param {boolean} options.multipleTerms - Find each word (or "quoted phrase")
+   *   of the query separately, highlighted in its own colour
+   * @param {boolean} options.searchAnnotations - Also search the text of
+   *   annotations: what highlights and underlines were made on, notes and comments
    * @param {boolean} options.highlightAll - Highlight all matches
    * @param {boolean} options.findPrevious - Search backwards
    */
   find(query, options = {}) {
     const queryChanged = query !== this.query
-    const optionsChanged =
-      options.caseSensitive !== this.caseSensitive ||
-      options.entireWord !== this.entireWord
+    const optionsChanged = SEARCH_OPTIONS.some(name => (options[name] || false) !== this[name])
 
     this.query = query
-    this.caseSensitive = options.caseSensitive || false
-    this.entireWord = options.entireWord || false
+    for (const name of SEARCH_OPTIONS) {
+      this[name] = options[name] || false
+    }
     this.highlightAll = options.highlightAll !== false
 
     if (!query) {
       this._clearMatches()
+      this.terms = []
+      this.invalidQuery = false
       this.state = FindState.PENDING
+      this.onMatchesUpdated({ reset: true, pageNumber: null })
       this.onUpdateState(this.state, { current: 0, total: 0, extracting: false })
       return
     }
@@ -210,7 +366,16 @@ export class FindController {
     if (queryChanged || optionsChanged) {
       // New search - search all already-extracted pages
       this._clearMatches()
+      try {
+        this.terms = this._buildTermPatterns(query)
+        this.invalidQuery = false
+      } catch {
+        // Most likely a regular expression that's still being typed
+        this.terms = []
+        this.invalidQuery = true
+      }
       this._searchExtractedPages()
+      this.onMatchesUpdated({ reset: true, pageNumber: null })
 
       if (this.matches.length > 0) {
         this.currentMatchIndex = 0
@@ -218,7 +383,7 @@ export class FindController {
       } else {
         this.currentMatchIndex = -1
         // Only show NOT_FOUND if extraction is complete
-        this.state = this.extractionComplete ? FindState.NOT_FOUND : FindState.PENDING
+        this.state = this.extractionComplete || this.invalidQuery ? FindState.NOT_FOUND : FindState.PENDING
       }
     } else {
       // Navigate to next/previous
@@ -246,9 +411,10 @@ export class FindController {
     // Update highlights on all pages
     this._updateAllHighlights()
 
-    // Scroll to current match
+    // Scroll to current match (annotations are only selected when the user
+    // moves to them, not while typing)
     if (this.currentMatchIndex >= 0) {
-      this._scrollToMatch(this.currentMatchIndex)
+      this._scrollToMatch(this.currentMatchIndex, { selectAnnotation: !(queryChanged || optionsChanged) })
     }
 
     this._notifyStateUpdate()
@@ -259,8 +425,7 @@ export class FindController {
    */
   findNext() {
     this.find(this.query, {
-      caseSensitive: this.caseSensitive,
-      entireWord: this.entireWord,
+      ...this.getOptions(),
       highlightAll: this.highlightAll,
       findPrevious: false
     })
@@ -271,15 +436,136 @@ export class FindController {
    */
   findPrevious() {
     this.find(this.query, {
-      caseSensitive: this.caseSensitive,
-      entireWord: this.entireWord,
+      ...this.getOptions(),
       highlightAll: this.highlightAll,
       findPrevious: true
     })
   }
 
   /**
-   * Search all already-extracted pages.
+   * Make a match the current one and scroll to it.
+   * @param {number} index - Index into this.matches
+   */
+  goToMatch(index) {
+    if (index < 0 || index >= this.matches.length) return
+
+    this.currentMatchIndex = index
+    this.state = FindState.FOUND
+    this._updateAllHighlights()
+    this._scrollToMatch(index)
+    this._notifyStateUpdate()
+  }
+
+  /**
+   * Get the text around a match, for listing results. For matches in an
+   * annotation, this is the text of the annotation field. The context is cut at
+   * word boundaries and whitespace is collapsed.
+   * @param {Object} match - One of this.matches
+   * @param {number} [contextLength] - Characters to include either side
+   * @returns {{before: string, text: string, after: string}} before and after
+   *   start/end with "…" where the page text goes on
+   */
+  getMatchContext(match, contextLength = 40) {
+    const pageText = this._getMatchSourceText(match)
+    let start = Math.max(0, match.startOffset - contextLength)
+    let end = Math.min(pageText.length, match.endOffset + contextLength)
+
+    // Don't start or end half way through a word
+    if (start > 0) {
+      const space = pageText.indexOf(" ", start)
+      if (space !== -1 && space < match.startOffset) start = space + 1
+    }
+    if (end < pageText.length) {
+      const space = pageText.lastIndexOf(" ", end)
+      if (space >= match.endOffset) end = space
+    }
+
+    const collapse = (text) => text.replace(/\s+/g, " ")
+    return {
+      before: (start > 0 ? "…" : "") + collapse(pageText.slice(start, match.startOffset)).trimStart(),
+      text: collapse(pageText.slice(match.startOffset, match.endOffset)),
+      after: collapse(pageText.slice(match.endOffset, end)).trimEnd() + (end < pageText.length ? "…" : "")
+    }
+  }
+
+  // The text a match was found in: its page's, or its annotation field's
+  _getMatchSourceText(match) {
+    if (match.annotationId) {
+      return this.viewer.annotationManager?.getAnnotation(match.annotationId)?.[match.field] || ""
+    }
+    return this.pageContents.get(match.pageNumber)?.str || ""
+  }
+
+  /**
+   * Get the colour class of a match's term when searching for several terms.
+   * @param {Object} match - One of this.matches
+   * @returns {string} "term-N", or "" for single-term searches
+   */
+  getTermClassName(match) {
+    return this.multipleTerms ? `term-${match.termIndex % TERM_COLOR_COUNT}` : ""
+  }
+
+  /**
+   * Count the matches on each page, annotation matches included.
+   * @returns {Map<number, number>} pageNumber -> match count, for pages with matches
+   */
+  getMatchCounts() {
+    const counts = new Map()
+    for (const match of this.matches) {
+      counts.set(match.pageNumber, (counts.get(match.pageNumber) || 0) + 1)
+    }
+    return counts
+  }
+
+  /**
+   * Get the options the current query is searched with.
+   * @returns {Object} caseSensitive, entireWord, regex, ignoreDiacritics,
+   *   ignoreLineBreaks, multipleTerms and searchAnnotations
+   */
+  getOptions() {
+    return Object.fromEntries(SEARCH_OPTIONS.map(name => [name, this[name]]))
+  }
+
+  /**
+   * Build the regular expressions a query is searched with, one per term.
+   * Throws if the query is an invalid regular expression.
+   * @param {string} query
+   * @returns {Array<RegExp>}
+   */
+  _buildTermPatterns(query) {
+    const terms = this.multipleTerms ? this._splitTerms(query) : [query]
+
+    return terms.map(term => {
+      if (this.ignoreDiacritics) {
+        term = stripDiacritics(term)
+      }
+
+      let pattern = this.regex ? term : this._escapeRegExp(term)
+      if (this.ignoreLineBreaks && !this.regex) {
+        // Whitespace may differ or be missing in the extracted text, and
+        // hyphens at line ends are dropped from it
+        pattern = pattern.replace(/\s+/g, "\\s*").replace(/-/g, "-?")
+      }
+      if (this.entireWord) {
+        pattern = `\\b(?:${pattern})\\b`
+      }
+
+      return new RegExp(pattern, this.caseSensitive ? "g" : "gi")
+    })
+  }
+
+  /**
+   * Split a query into its words, keeping "quoted phrases" together.
+   * @param {string} query
+   * @returns {Array<string>}
+   */
+  _splitTerms(query) {
+    const terms = Array.from(query.matchAll(/"([^"]+)"|(\S+)/g), match => match[1] ?? match[2])
+    return [...new Set(terms)]
+  }
+
+  /**
+   * Search all already-extracted pages, and the annotations.
    * Results accumulate as more pages are extracted in the background.
    */
   _searchExtractedPages() {
@@ -290,6 +576,9 @@ export class FindController {
     for (const pageNum of pageNumbers) {
       this._searchPage(pageNum)
     }
+
+    this._searchAnnotations()
+    this.matches.sort(compareMatches)
   }
 
   /**
@@ -301,34 +590,110 @@ export class FindController {
     if (!pageContent) return
 
     const { str: pageText } = pageContent
-    const query = this.caseSensitive ? this.query : this.query.toLowerCase()
-    const searchText = this.caseSensitive ? pageText : pageText.toLowerCase()
+    for (const found of this._findTerms(this._getSearchText(pageContent))) {
+      this.matches.push({
+        pageNumber: pageNum,
+        ...found,
+        text: pageText.substring(found.startOffset, found.endOffset)
+      })
+    }
+  }
+
+  /**
+   * Search the annotations' text (with the searchAnnotations option).
+   */
+  _searchAnnotations() {
+    if (!this.searchAnnotations) return
+
+    const annotations = this.viewer.annotationManager?.getAllAnnotations() || []
+    annotations.forEach((annotation, annotationIndex) => {
+      ANNOTATION_FIELDS.forEach((field, fieldIndex) => {
+        const str = annotation[field]
+        if (!str || typeof str !== "string") return
+
+        for (const found of this._findTerms(this._normalizeText(str))) {
+          this.matches.push({
+            pageNumber: annotation.page,
+            ...found,
+            text: str.substring(found.startOffset, found.endOffset),
+            annotationId: annotation.id,
+            annotationType: annotation.annotation_type,
+            field,
+            annotationOrder: annotationIndex * ANNOTATION_FIELDS.length + fieldIndex
+          })
+        }
+      })
+    })
+  }
 
-    // Build regex for matching
-    let pattern = this._escapeRegExp(query)
-    if (this.entireWord) {
-      pattern = `\\b${pattern}\\b`
+  /**
+   * Search annotations again after they were created, edited or deleted.
+   * Keeps the current match where it can.
+   */
+  onAnnotationsChanged() {
+    if (!this.searchAnnotations || !this.query || this.invalidQuery) return
+
+    const previousIndex = this.currentMatchIndex
+    const current = this.matches[previousIndex]
+
+    this.matches = this.matches.filter(match => !match.annotationId)
+    this._searchAnnotations()
+    this.matches.sort(compareMatches)
+
+    // Annotation matches are new objects; find the current one by position
+    this.currentMatchIndex = this.matches.findIndex(match => match === current || (
+      current?.annotationId &&
+      match.annotationId === current.annotationId &&
+      match.field === current.field &&
+      match.startOffset === current.startOffset
+    ))
+    if (this.currentMatchIndex === -1 && this.matches.length > 0) {
+      this.currentMatchIndex = Math.min(Math.max(previousIndex, 0), this.matches.length - 1)
     }
 
-    try {
-      const regex = new RegExp(pattern, this.caseSensitive ? "g" : "gi")
+    if (this.matches.length > 0) {
+      this.state = FindState.FOUND
+    } else {
+      this.state = this.extractionComplete ? FindState.NOT_FOUND : FindState.PENDING
+    }
+
+    this._updateAllHighlights()
+    this.onMatchesUpdated({ reset: true, pageNumber: null })
+    this._notifyStateUpdate()
+  }
+
+  /**
+   * Find the current terms in a text.
+   * @param {Object} searchText - The text as searched, from _normalizeText()
+   * @returns {Array<{startOffset: number, endOffset: number, termIndex: number}>}
+   *   Offsets into the original text, in text order
+   */
+  _findTerms({ text, starts, ends }) {
+    const found = []
+
+    this.terms.forEach((regex, termIndex) => {
+      regex.lastIndex = 0
       let match
 
-      while ((match = regex.exec(searchText)) !== null) {
-        // Find which text items this match spans
-        const startOffset = match.index
-        const endOffset = startOffset + match[0].length
+      while ((match = regex.exec(text)) !== null) {
+        // Patterns that match nothing (e.g. "a*") would never move on
+        if (match[0].length === 0) {
+          regex.lastIndex++
+          continue
+        }
 
-        this.matches.push({
-          pageNumber: pageNum,
-          startOffset,
-          endOffset,
-          text: pageText.substring(startOffset, endOffset)
+        // Map back to offsets in the original text (which the text items use)
+        const matchEnd = match.index + match[0].length
+        found.push({
+          startOffset: starts ? starts[match.index] : match.index,
+          endOffset: ends ? ends[matchEnd - 1] : matchEnd,
+          termIndex
         })
       }
-    } catch (e) {
-      console.error("Search regex error:", e)
-    }
+    })
+
+    // Terms are searched one after the other; number matches in text order
+    return found.sort((a, b) => a.startOffset - b.startOffset)
   }
 
   /**
@@ -339,13 +704,7 @@ export class FindController {
     // Remember the current match to find its new position after sorting
     const currentMatch = this.currentMatchIndex >= 0 ? this.matches[this.currentMatchIndex] : null
 
-    // Sort by page number, then by start offset within page
-    this.matches.sort((a, b) => {
-      if (a.pageNumber !== b.pageNumber) {
-        return a.pageNumber - b.pageNumber
-      }
-      return a.startOffset - b.startOffset
-    })
+    this.matches.sort(compareMatches)
 
     // Find the new index of the current match
     if (currentMatch) {
@@ -422,7 +781,7 @@ export class FindController {
     if (!pageContent) return
 
     const { textItems } = pageContent
-    const pageMatches = this.matches.filter(m => m.pageNumber === pageNum)
+    const pageMatches = this.matches.filter(m => m.pageNumber === pageNum && !m.annotationId)
 
     if (pageMatches.length === 0) return
 
@@ -448,21 +807,36 @@ export class FindController {
           const highlightStart = Math.max(0, match.startOffset - spanStart)
           const highlightEnd = Math.min(item.str.length, match.endOffset - spanStart)
 
-          this._wrapTextInHighlight(span, highlightStart, highlightEnd, isCurrentMatch)
+          this._wrapTextInHighlight(span, highlightStart, highlightEnd, this._highlightClassName(match, isCurrentMatch))
         }
       }
     }
   }
 
+  /**
+   * Get the class names for a match's highlight: selected for the current
+   * match, and a colour per term when searching for several.
+   */
+  _highlightClassName(match, isSelected) {
+    let className = "search-highlight"
+    if (this.multipleTerms) {
+      className += ` ${this.getTermClassName(match)}`
+    }
+    if (isSelected) {
+      className += " selected"
+    }
+    return className
+  }
+
   /**
    * Wrap a portion of text within a span in a highlight element.
    * Handles spans that may already have some highlights from previous matches.
    * @param {HTMLElement} span - The text span
    * @param {number} start - Start character index within the span's original text
    * @param {number} end - End character index within the span's original text
-   * @param {boolean} isSelected - Whether this is the current match
+   * @param {string} className - Class names for the highlight element
    */
-  _wrapTextInHighlight(span, start, end, isSelected) {
+  _wrapTextInHighlight(span, start, end, className) {
     // Walk through child nodes to find the text node containing our range
     // This handles spans that have already been partially highlighted
     let charOffset = 0
@@ -486,7 +860,7 @@ export class FindController {
 
             // Create the highlight wrapper
             const highlightSpan = document.createElement("span")
-            highlightSpan.className = isSelected ? "search-highlight selected" : "search-highlight"
+            highlightSpan.className = className
             highlightSpan.textContent = matched
 
             // Build replacement fragment
@@ -517,11 +891,23 @@ export class FindController {
   /**
    * Scroll to a match.
    * @param {number} matchIndex
+   * @param {Object} [options]
+   * @param {boolean} [options.selectAnnotation] - Select the annotation a
+   *   match in an annotation was found in (otherwise just go to its page)
    */
-  _scrollToMatch(matchIndex) {
+  _scrollToMatch(matchIndex, { selectAnnotation = true } = {}) {
     const match = this.matches[matchIndex]
     if (!match) return
 
+    if (match.annotationId) {
+      if (selectAnnotation) {
+        this.onSelectAnnotation(match.annotationId)
+      } else {
+        this.viewer.viewer.goToPage(match.pageNumber)
+      }
+      return
+    }
+
     // Go to the page containing the match
     this.viewer.viewer.goToPage(match.pageNumber)
 
@@ -551,6 +937,9 @@ export class FindController {
    * Clean up.
    */
   destroy() {
+    if (this._ownsTextCache) {
+      this.textCache.destroy()
+    }
     this.pageContents.clear()
     this.matches = []
     this.pdfDocument = null
@@ -0,0 +1,153 @@
+// Field types the viewer can fill in (push buttons and signatures aren't)
+const FILLABLE_TYPES = ["text", "checkbox", "radiobutton", "combobox", "listbox"]
+
+/**
+ * FormManager - Maps the values typed into the PDF's form fields to and from
+ * plain data, so they can be saved and written into downloads.
+ *
+ * The PDF.js annotation layer keeps what the user fills in in the document's
+ * annotationStorage, keyed by widget annotation id. FormManager translates
+ * that to values keyed by fully qualified field name:
+ *
+ *   { "applicant.name": "Ada", "agree": true, "plan": "Pro", "topics": ["a", "b"] }
+ *
+ * Text fields hold a string, checkboxes a boolean, radio groups the export
+ * value of the chosen button (null for none), and choice lists the export
+ * value of the selected option (an array for multiple selection).
+ */
+export class FormManager {
+  /**
+   * @param {Object} options
+   * @param {CoreViewer} options.viewer - Provides the document's field objects
+   */
+  constructor({ viewer }) {
+    this.viewer = viewer
+    this.pdfDocument = null
+    this.fields = new Map() // field name -> { type, widgets }
+  }
+
+  /**
+   * Read the form fields of a document.
+   * @param {PDFDocumentProxy|null} pdfDocument
+   */
+  async setDocument(pdfDocument) {
+    this.pdfDocument = pdfDocument
+    this.fields = new Map()
+    if (!pdfDocument) return
+
+    let fieldObjects = null
+    try {
+      fieldObjects = await this.viewer.getFieldObjects()
+    } catch (error) {
+      console.error("Error reading form fields:", error)
+    }
+
+    // Another document was set while we were waiting
+    if (this.pdfDocument !== pdfDocument) return
+
+    for (const [name, entries] of Object.entries(fieldObjects || {})) {
+      const widgets = entries.filter(entry => FILLABLE_TYPES.includes(entry.type) && entry.id)
+      if (widgets.length > 0) {
+        this.fields.set(name, { type: widgets[0].type, widgets })
+      }
+    }
+  }
+
+  /**
+   * Whether the document has fields the user can fill in.
+   * @returns {boolean}
+   */
+  hasFields() {
+    return this.fields.size > 0
+  }
+
+  /**
+   * Get the values of the fields the user has filled in (or that were
+   * restored with setValues()). Untouched fields are left out.
+   * @returns {Object} Field name -> value
+   */
+  getValues() {
+    const storage = this.pdfDocument?.annotationStorage
+    const values = {}
+    if (!storage) return values
+
+    for (const [name, field] of this.fields) {
+      if (!field.widgets.some(widget => storage.has(widget.id))) continue
+
+      // Widgets that were never rendered have no stored value yet
+      const widgetValue = (widget) => storage.has(widget.id)
+        ? storage.getRawValue(widget.id).value
+        : this._defaultWidgetValue(field.type, widget)
+
+      switch (field.type) {
+        case "checkbox":
+          values[name] = field.widgets.some(widget => widgetValue(widget) === true)
+          break
+        case "radiobutton":
+          values[name] = field.widgets.find(widget => widgetValue(widget) === true)?.exportValues ?? null
+          break
+        case "combobox":
+        case "listbox": {
+          // PDF.js stores a single selection as a string, restored ones as arrays
+          const selected = [].concat(widgetValue(field.widgets[0]) ?? [])
+          values[name] = field.widgets[0].multipleSelection ? selected : (selected[0] ?? null)
+          break
+        }
+        default:
+          values[name] = widgetValue(field.widgets[0]) ?? null
+          break
+      }
+    }
+
+    return values
+  }
+
+  /**
+   * Write values into annotationStorage. Pages already showing their fields
+   * need CoreViewer#refreshAnnotationLayers() to pick them up.
+   * @param {Object} values - Field name -> value, as returned by getValues()
+   * @returns {boolean} Whether any field of this document was set
+   */
+  setValues(values) {
+    const storage = this.pdfDocument?.annotationStorage
+    if (!storage || !values) return false
+
+    let changed = false
+    for (const [name, value] of Object.entries(values)) {
+      const field = this.fields.get(name)
+      if (!field) continue
+
+      for (const widget of field.widgets) {
+        storage.setValue(widget.id, { value: this._toWidgetValue(field.type, widget, value) })
+      }
+      changed = true
+    }
+    return changed
+  }
+
+  // The value PDF.js shows for a widget before anything is stored for it
+  _defaultWidgetValue(type, widget) {
+    switch (type) {
+      case "checkbox":
+      case "radiobutton":
+        return widget.value === widget.exportValues
+      default:
+        return widget.value
+    }
+  }
+
+  // The annotationStorage value each PDF.js widget element reads
+  _toWidgetValue(type, widget, value) {
+    switch (type) {
+      case "checkbox":
+        return Boolean(value)
+      case "radiobutton":
+        return value !== null && value !== undefined && value === widget.exportValues
+      case "combobox":
+      case "listbox":
+        return value === null || value === undefined ? [] : [].concat(value)
+      default:
+        return value === null || value === undefined ? "" : String(value)
+    }
+  }
+}
@@ -0,0 +1,162 @@
+import { getArrowHead } from "./shapes"
+
+/**
+ * Free-text (typewriter) annotations: text boxes placed on the page.
+ *
+ * - `rect` is [x, y, width, height] of the box, in annotation space
+ * - `contents` is the text, with line breaks kept as typed
+ * - `color` is the text color, also used for the border
+ * - `font_size` is in points
+ * - `border_width` is in points, 0 for no border
+ * - `background_color` is #RRGGBB, or null for a transparent box
+ * - `callout_point` is set on callouts: the {x, y} the leader line points at
+ *
+ * The box is laid out the same way on screen and in the appearance written on
+ * download: Helvetica, padded by FREE_TEXT_PADDING inside the border, with
+ * lines FREE_TEXT_LINE_HEIGHT font sizes apart. A callout's leader line runs
+ * from the middle of the box side facing its point, and ends in an open arrow.
+ */
+
+export const FREE_TEXT_FONT_SIZES = [8, 10, 12, 14, 18, 24]
+
+export const DEFAULT_FREE_TEXT_FONT_SIZE = 12
+export const DEFAULT_FREE_TEXT_COLOR = "#000000"
+
+// Width of a new text box, in points
+export const DEFAULT_FREE_TEXT_WIDTH = 200
+
+// Smallest a text box can be resized to, in points
+export const MIN_FREE_TEXT_SIZE = 16
+
+// Space between the border and the text, in points
+export const FREE_TEXT_PADDING = 4
+
+// Distance between baselines, as a multiple of the font size
+export const FREE_TEXT_LINE_HEIGHT = 1.2
+
+export const FREE_TEXT_FONT_FAMILY = "Helvetica, Arial, sans-serif"
+
+/**
+ * Style an element (the rendered box or the inline editor) like a text box.
+ * Sizes follow the page's --scale-factor, so they zoom with it.
+ * @param {HTMLElement} element
+ * @param {Object} annotation - A free_text annotation (or the settings for a new one)
+ */
+export function applyFreeTextStyle(element, annotation) {
+  const fontSize = annotation.font_size || DEFAULT_FREE_TEXT_FONT_SIZE
+  const borderWidth = annotation.border_width || 0
+  const color = annotation.color || DEFAULT_FREE_TEXT_COLOR
+  const scaled = (points) => `calc(var(--scale-factor, 1) * ${points}px)`
+
+  element.style.boxSizing = "border-box"
+  element.style.fontFamily = FREE_TEXT_FONT_FAMILY
+  element.style.fontSize = scaled(fontSize)
+  element.style.lineHeight = String(FREE_TEXT_LINE_HEIGHT)
+  element.style.color = color
+  element.style.padding = scaled(FREE_TEXT_PADDING)
+  element.style.border = borderWidth > 0 ? `${scaled(borderWidth)} solid ${color}` : "none"
+  element.style.backgroundColor = annotation.background_color || "transparent"
+}
+
+/**
+ * Position a rendered box, and the leader line and handles of a callout, on
+ * its page. Used when rendering and while dragging.
+ * @param {HTMLElement} element - The box's annotation element
+ * @param {Object} annotation - A free_text annotation (or a draft of one)
+ * @param {number} pageWidth - Unrotated page size, in points
+ * @param {number} pageHeight
+ */
+export function layoutFreeTextElement(element, annotation, pageWidth, pageHeight) {
+  const [x, y, width, height] = annotation.rect
+  element.style.left = `${(x / pageWidth) * 100}%`
+  element.style.top = `${(y / pageHeight) * 100}%`
+  element.style.width = `${(width / pageWidth) * 100}%`
+  element.style.height = `${(height / pageHeight) * 100}%`
+
+  // The line's SVG covers the whole page, so the line can reach anywhere on it
+  const svg = element.querySelector(".callout-svg")
+  if (svg) {
+    svg.style.left = `${(-x / width) * 100}%`
+    svg.style.top = `${(-y / height) * 100}%`
+    svg.style.width = `${(pageWidth / width) * 100}%`
+    svg.style.height = `${(pageHeight / height) * 100}%`
+    svg.setAttribute("viewBox", `0 0 ${pageWidth} ${pageHeight}`)
+    svg.replaceChildren(...createCalloutElements(annotation))
+  }
+
+  // Handles sit on the ends of the line (positioned relative to the box)
+  const line = getCalloutLine(annotation)
+  const handles = [
+    [element.querySelector(".callout-tip-handle"), line?.[0]],
+    [element.querySelector(".callout-box-handle"), line?.[1]]
+  ]
+  for (const [handle, point] of handles) {
+    if (!handle) continue
+    handle.classList.toggle("hidden", !point)
+    if (point) {
+      handle.style.left = `${((point.x - x) / width) * 100}%`
+      handle.style.top = `${((point.y - y) / height) * 100}%`
+    }
+  }
+}
+
+/**
+ * The leader line of a callout.
+ * @param {Object} annotation - A free_text annotation
+ * @returns {Array<{x: number, y: number}>|null} The point it points at and
+ *   where it leaves the box, or null if it isn't a callout or the point is
+ *   inside the box
+ */
+export function getCalloutLine(annotation) {
+  const point = annotation.callout_point
+  if (!point || !annotation.rect) return null
+
+  const [x, y, width, height] = annotation.rect
+  let start
+  if (point.x < x) {
+    start = { x, y: y + height / 2 }
+  } else if (point.x > x + width) {
+    start = { x: x + width, y: y + height / 2 }
+  } else if (point.y < y) {
+    start = { x: x + width / 2, y }
+  } else if (point.y > y + height) {
+    start = { x: x + width / 2, y: y + height }
+  } else {
+    return null
+  }
+  return [point, start]
+}
+
+/**
+ * SVG elements drawing a callout's leader line and arrowhead, in annotation
+ * space. Used for the rendered box and for the callout tool's preview.
+ * @param {Object} annotation - A free_text annotation (or a draft of one)
+ * @returns {Array<SVGElement>}
+ */
+export function createCalloutElements(annotation) {
+  const line = getCalloutLine(annotation)
+  if (!line) return []
+
+  const [point, start] = line
+  const thickness = getCalloutLineWidth(annotation)
+  const toPoints = (points) => points.map(p => `${p.x},${p.y}`).join(" ")
+
+  return [
+    toPoints([start, point]),
+    toPoints(getArrowHead(start, point, thickness))
+  ].map(points => {
+    const polyline = document.createElementNS("http://www.w3.org/2000/svg", "polyline")
+    polyline.setAttribute("points", points)
+    polyline.setAttribute("fill", "none")
+    polyline.setAttribute("stroke", annotation.color || DEFAULT_FREE_TEXT_COLOR)
+    polyline.setAttribute("stroke-width", thickness)
+    polyline.setAttribute("stroke-linecap", "round")
+    polyline.setAttribute("stroke-linejoin", "round")
+    return polyline
+  })
+}
+
+// Leader lines match the border, but are drawn even for boxes without one
+export function getCalloutLineWidth(annotation) {
+  return annotation.border_width || 1
+}
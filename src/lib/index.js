@@ -1,35 +1,70 @@
-import { CoreViewer, ViewerEvents } from "./core"
+import { CoreViewer, ViewerEvents, ScaleValue, SpreadMode, ScrollMode } from "./core"
 import { AnnotationManager } from "./annotation_manager"
 import { Watermark } from "./watermark"
 import { DownloadManager } from "./download_manager"
+import { FormManager } from "./form_manager"
+import { AnnotationImporter } from "./annotation_importer"
 import { AnnotationEditToolbar } from "./ui/annotation_edit_toolbar"
 import { AnnotationDetailPanel } from "./ui/annotation_detail_panel"
 import { UndoBar } from "./ui/undo_bar"
+import { AnnotationHandles } from "./ui/annotation_handles"
 import { ColorPicker } from "./ui/color_picker"
+import { ShapeOptions } from "./ui/shape_options"
+import { FreeTextOptions } from "./ui/free_text_options"
 import { sanitizeColor } from "./color_utils"
 import { ThumbnailSidebar } from "./ui/thumbnail_sidebar"
+import { OutlineSidebar } from "./ui/outline_sidebar"
+import { BookmarkSidebar } from "./ui/bookmark_sidebar"
 import { AnnotationSidebar } from "./ui/annotation_sidebar"
 import { FindBar } from "./ui/find_bar"
+import { FindMarkers } from "./ui/find_markers"
 import { FindController } from "./find_controller"
+import { PageTextCache } from "./page_text_cache"
+import { parseViewHash, formatViewHash, removeViewHash } from "./view_hash"
+import { getStrikeOutLine, getSquigglePoints } from "./text_markup"
+import { SHAPE_ANNOTATION_TYPES, getShapeBounds, createShapeElements } from "./shapes"
+import { applyFreeTextStyle, layoutFreeTextElement } from "./free_text"
+import { NOTE_SIZE } from "./annotation_geometry"
+import { PasswordDialog } from "./ui/password_dialog"
 import { getAnnouncer, acquireAnnouncer, destroyAnnouncer } from "./ui/announcer"
 
 // Annotation tools
 import { SelectTool } from "./tools/select_tool"
 import { HighlightTool } from "./tools/highlight_tool"
 import { UnderlineTool } from "./tools/underline_tool"
+import { StrikeOutTool } from "./tools/strikeout_tool"
+import { SquigglyTool } from "./tools/squiggly_tool"
 import { NoteTool } from "./tools/note_tool"
 import { InkTool } from "./tools/ink_tool"
+import { ShapeTool } from "./tools/shape_tool"
+import { FreeTextTool } from "./tools/free_text_tool"
+import { CalloutTool } from "./tools/callout_tool"
 
 export const ToolMode = {
   SELECT: "select",
   HIGHLIGHT: "highlight",
   UNDERLINE: "underline",
+  STRIKEOUT: "strikeout",
+  SQUIGGLY: "squiggly",
   NOTE: "note",
-  INK: "ink"
+  INK: "ink",
+  RECTANGLE: "rectangle",
+  ELLIPSE: "ellipse",
+  LINE: "line",
+  ARROW: "arrow",
+  POLYGON: "polygon",
+  FREE_TEXT: "free_text",
+  CALLOUT: "callout"
 }
 
+// Pause in form typing before the values are saved
+const FORM_SAVE_DELAY = 500
+
+// Pause in scrolling and zooming before the URL hash follows the view
+const HASH_UPDATE_DELAY = 300
+
 // Re-export core components for direct access if needed
-export { CoreViewer, ViewerEvents, ScaleValue } from "./core"
+export { CoreViewer, ViewerEvents, ScaleValue, SpreadMode, ScrollMode } from "./core"
 
 export class PdfViewer {
   constructor(container, options = {}) {
@@ -51,6 +86,16 @@ export class PdfViewer {
     this.selectedAnnotationElement = null
     this.pendingAnnotationSelection = null // Annotation ID to select when rendered
     this._currentPage = 1 // Track current page for change detection
+    this._presentation = null // Layout to restore when presentation mode ends
+    this._importedAnnotationIds = new Set() // Embedded annotations already imported
+    this._importingAnnotations = 0 // Imports in progress (their annotations aren't selected)
+    this._lastBookmarkId = null // Where goToNextBookmark() continues from
+    this._formSaveTimeout = null
+    this._savedFormValues = null // JSON of the last form values saved
+    this._linkedView = null // View the URL hash linked to when the document opened
+    this._urlHashReady = false // Whether the view is written to the URL hash yet
+    this._hashUpdateTimeout = null
+    this._writtenHash = null // URL hash as the viewer last wrote it
 
     // Removes the document/container listeners added in _setupEventListeners()
     // in one shot on destroy(); some live on the global document and would
@@ -73,6 +118,12 @@ export class PdfViewer {
     this.bodyContainer = this.container.querySelector(".pdf-viewer-body")
     this.pagesContainer = this.container.querySelector(".pdf-pages-container")
 
+    // Clicking the pages focuses them, so the viewer's keyboard shortcuts
+    // (which only apply while focus is inside it) work after a click
+    if (this.pagesContainer && !this.pagesContainer.hasAttribute("tabindex")) {
+      this.pagesContainer.tabIndex = -1
+    }
+
     // Create undo bar container if not present
     this.undoBarContainer = this.container.querySelector(".pdf-undo-bar")
     if (!this.undoBarContainer) {
@@ -90,7 +141,10 @@ export class PdfViewer {
 
     // Core viewer (PDF.js wrapper with lazy rendering and events)
     this.viewer = new CoreViewer(this.pagesContainer, {
-      initialScale: 1.0
+      initialScale: 1.0,
+      canvasPixelBudget: this.options.canvasPixelBudget,
+      imageResourcesPath: this.options.imageResourcesPath,
+      getPassword: (details) => this._requestPassword(details)
     })
 
     // Subscribe to core viewer events
@@ -105,21 +159,33 @@ export class PdfViewer {
       eventTarget: this.container, // For dispatching error events
       onAnnotationCreated: this._onAnnotationCreated.bind(this),
       onAnnotationUpdated: this._onAnnotationUpdated.bind(this),
-      onAnnotationDeleted: this._onAnnotationDeleted.bind(this)
+      onAnnotationDeleted: this._onAnnotationDeleted.bind(this),
+      onBookmarkCreated: this._onBookmarkCreated.bind(this),
+      onBookmarkUpdated: this._onBookmarkUpdated.bind(this),
+      onBookmarkDeleted: this._onBookmarkDeleted.bind(this)
     })
 
     // Watermark overlay
     this.watermark = new Watermark(this.userName)
 
+    // Values filled into the PDF's own form fields
+    this.formManager = new FormManager({ viewer: this.viewer })
+
     // Download manager
     this.downloadManager = new DownloadManager({
       documentUrl: this.documentUrl,
       documentName: this.documentName,
       organizationName: this.organizationName,
       userName: this.userName,
-      annotationManager: this.annotationManager
+      annotationManager: this.annotationManager,
+      viewer: this.viewer,
+      formManager: this.formManager,
+      flattenForms: this.options.flattenForms
     })
 
+    // Converts the PDF's own markup annotations for importEmbeddedAnnotations()
+    this.annotationImporter = new AnnotationImporter()
+
     // UI Components
     this.annotationEditToolbar = new AnnotationEditToolbar({
       onColorChange: this._onAnnotationColorChange.bind(this),
@@ -141,6 +207,12 @@ export class PdfViewer {
       })
     }
 
+    // Move, resize and reshape handles on the selected annotation
+    this.annotationHandles = new AnnotationHandles({
+      viewer: this.viewer,
+      onChange: this._onAnnotationReshape.bind(this)
+    })
+
     this.undoBar = new UndoBar(this.undoBarContainer, {
       onUndo: this._onAnnotationUndo.bind(this)
     })
@@ -149,13 +221,39 @@ export class PdfViewer {
       onChange: this._onColorChange.bind(this)
     })
 
+    // Stroke width and fill for the shape tools, shown beside the color picker
+    this.shapeOptions = new ShapeOptions()
+
+    // Font size, border and background for the text box tool
+    this.freeTextOptions = new FreeTextOptions()
+
     // Thumbnail sidebar (inserted before pages container in the body)
     if (this.bodyContainer) {
       this.thumbnailSidebar = new ThumbnailSidebar({
         container: this.bodyContainer,
         viewer: this.viewer,
         eventBus: this.viewer.eventBus,
-        onPageClick: (pageNumber) => this.viewer.goToPage(pageNumber)
+        onPageClick: (pageNumber) => this.viewer.goToPage(pageNumber),
+        onPageRotate: (pageNumber, delta) => this.rotatePage(pageNumber, delta),
+        onOpen: () => this._onLeftSidebarOpen(this.thumbnailSidebar)
+      })
+
+      // Outline and bookmark sidebars share the left side with the thumbnails
+      this.outlineSidebar = new OutlineSidebar({
+        container: this.bodyContainer,
+        viewer: this.viewer,
+        eventBus: this.viewer.eventBus,
+        onOpen: () => this._onLeftSidebarOpen(this.outlineSidebar)
+      })
+
+      this.bookmarkSidebar = new BookmarkSidebar({
+        container: this.bodyContainer,
+        annotationManager: this.annotationManager,
+        onAdd: () => this._onBookmarkSidebarAction(() => this.addBookmark()),
+        onBookmarkClick: (bookmark) => this.goToBookmark(bookmark.id),
+        onRename: (bookmark, title) => this._onBookmarkSidebarAction(() => this.renameBookmark(bookmark.id, title)),
+        onDelete: (bookmark) => this._onBookmarkSidebarAction(() => this.deleteBookmark(bookmark.id)),
+        onOpen: () => this._onLeftSidebarOpen(this.bookmarkSidebar)
       })
 
       // Annotation sidebar - check for user-defined element, fallback to auto-generated
@@ -171,11 +269,23 @@ export class PdfViewer {
       })
     }
 
+    // Page text, shared by everything that needs it; kept across visits only
+    // if the host opts in
+    this.pageTextCache = new PageTextCache({ persist: this.options.cacheText === true })
+
     // Find controller and find bar
     this.findController = new FindController(this, {
+      textCache: this.pageTextCache,
       onUpdateState: (state, matchInfo) => {
         this.findBar?.updateState(state, matchInfo)
-      }
+        this.findMarkers?.setCurrentMatch(this.findController.matches[this.findController.currentMatchIndex])
+        this._scheduleHashUpdate()
+      },
+      onMatchesUpdated: (update) => {
+        this.findBar?.updateResults(update)
+        this._updateMatchCounts()
+      },
+      onSelectAnnotation: (annotationId) => this._scrollToAnnotationWithFlash(annotationId)
     })
 
     this.findBar = new FindBar({
@@ -185,13 +295,40 @@ export class PdfViewer {
       }
     })
 
+    // Ticks beside the pages marking where the matches are
+    if (this.bodyContainer) {
+      this.findMarkers = new FindMarkers({
+        container: this.bodyContainer,
+        viewer: this.viewer,
+        findController: this.findController
+      })
+    }
+
     // Initialize tools
     this.tools = {
       [ToolMode.SELECT]: new SelectTool(this),
       [ToolMode.HIGHLIGHT]: new HighlightTool(this),
       [ToolMode.UNDERLINE]: new UnderlineTool(this),
+      [ToolMode.STRIKEOUT]: new StrikeOutTool(this),
+      [ToolMode.SQUIGGLY]: new SquigglyTool(this),
       [ToolMode.NOTE]: new NoteTool(this),
-      [ToolMode.INK]: new InkTool(this)
+      [ToolMode.INK]: new InkTool(this),
+      [ToolMode.RECTANGLE]: new ShapeTool(this, "rectangle"),
+      [ToolMode.ELLIPSE]: new ShapeTool(this, "ellipse"),
+      [ToolMode.LINE]: new ShapeTool(this, "straight_line"),
+      [ToolMode.ARROW]: new ShapeTool(this, "arrow"),
+      [ToolMode.POLYGON]: new ShapeTool(this, "polygon"),
+      [ToolMode.FREE_TEXT]: new FreeTextTool(this),
+      [ToolMode.CALLOUT]: new CalloutTool(this)
+    }
+  }
+
+  // Only one of the left-hand sidebars is open at a time
+  _onLeftSidebarOpen(opened) {
+    for (const sidebar of [this.thumbnailSidebar, this.outlineSidebar, this.bookmarkSidebar]) {
+      if (sidebar && sidebar !== opened && sidebar.isOpen) {
+        sidebar.close()
+      }
     }
   }
 
@@ -220,12 +357,43 @@ export class PdfViewer {
 
     // Scale changed - dispatch event
     eventBus.on(ViewerEvents.SCALE_CHANGED, ({ scale, previousScale }) => {
+      this._scheduleHashUpdate()
       this._dispatchEvent("pdf-viewer:scale-changed", { scale, previousScale })
     })
 
+    // Rotation changed - realign overlays and dispatch event
+    eventBus.on(ViewerEvents.ROTATION_CHANGED, ({ rotation, previousRotation }) => {
+      this._onRotationChanged()
+      this._dispatchEvent("pdf-viewer:rotation-changed", { rotation, previousRotation })
+    })
+
+    // Single page rotated - realign that page's overlays and dispatch event
+    eventBus.on(ViewerEvents.PAGE_ROTATION_CHANGED, ({ pageNumber, rotation, previousRotation }) => {
+      this._onPageRotationChanged(pageNumber)
+      this._dispatchEvent("pdf-viewer:page-rotation-changed", { pageNumber, rotation, previousRotation })
+    })
+
+    // Layout changed - the most visible page may differ, dispatch event
+    eventBus.on(ViewerEvents.SPREAD_MODE_CHANGED, ({ spreadMode, previousSpreadMode }) => {
+      this._checkPageChange()
+      this._dispatchEvent("pdf-viewer:spread-mode-changed", { spreadMode, previousSpreadMode })
+    })
+
+    eventBus.on(ViewerEvents.SCROLL_MODE_CHANGED, ({ scrollMode, previousScrollMode }) => {
+      this._checkPageChange()
+      this._dispatchEvent("pdf-viewer:scroll-mode-changed", { scrollMode, previousScrollMode })
+    })
+
+    // Page navigation - in page scroll mode this changes the page without scrolling
+    eventBus.on(ViewerEvents.PAGE_CHANGING, () => {
+      this._checkPageChange()
+      this._scheduleHashUpdate()
+    })
+
     // Scroll - track page changes
     eventBus.on(ViewerEvents.SCROLL, () => {
       this._checkPageChange()
+      this._scheduleHashUpdate()
     })
   }
 
@@ -240,6 +408,41 @@ export class PdfViewer {
     })
   }
 
+  /**
+   * Ask for the password of an encrypted document. Dispatches the cancelable
+   * pdf-viewer:password-required event first; a host that calls
+   * preventDefault() answers through detail.providePassword()/cancel(),
+   * otherwise the built-in dialog is shown.
+   * @param {Object} details
+   * @param {boolean} details.incorrect - The previous password was wrong
+   * @returns {Promise<string|null>} The password, or null to give up
+   */
+  _requestPassword({ incorrect }) {
+    return new Promise(resolve => {
+      let settled = false
+      const settle = (password) => {
+        if (settled) return
+        settled = true
+        resolve(password)
+      }
+
+      const event = new CustomEvent("pdf-viewer:password-required", {
+        bubbles: true,
+        cancelable: true,
+        detail: {
+          incorrect,
+          providePassword: (password) => settle(String(password)),
+          cancel: () => settle(null)
+        }
+      })
+      this.container.dispatchEvent(event)
+      if (event.defaultPrevented || settled) return
+
+      this.passwordDialog ||= new PasswordDialog()
+      this.passwordDialog.prompt({ incorrect }).then(settle)
+    })
+  }
+
   /**
    * Check if the current page has changed and dispatch event if so.
    */
@@ -282,8 +485,8 @@ export class PdfViewer {
 
     // Deselect annotation when clicking outside
     this.pagesContainer.addEventListener("click", (e) => {
-      // Don't deselect if clicking on an annotation, edit toolbar, or detail panel
-      if (e.target.closest(".annotation") || e.target.closest(".annotation-edit-toolbar") || e.target.closest(".annotation-detail-panel")) {
+      // Don't deselect if clicking on an annotation, its handles, edit toolbar, or detail panel
+      if (e.target.closest(".annotation") || e.target.closest(".annotation-handles") || e.target.closest(".annotation-edit-toolbar") || e.target.closest(".annotation-detail-panel")) {
         return
       }
       // Skip if an annotation was just created (click follows pointerup from text selection)
@@ -293,12 +496,58 @@ export class PdfViewer {
       this._deselectAnnotation()
     }, { signal })
 
+    // Save what the user types into the PDF's form fields. PDF.js has already
+    // stored the new value by the time the event bubbles up here.
+    const onFormInput = (e) => {
+      if (e.target.closest?.(".annotationLayer")) {
+        this._scheduleFormSave()
+      }
+    }
+    this.pagesContainer.addEventListener("input", onFormInput, { signal })
+    this.pagesContainer.addEventListener("change", onFormInput, { signal })
+
+    // Presentation mode follows full screen: fit the page once the screen is
+    // ours, and restore the layout when the user leaves (e.g. with Escape)
+    document.addEventListener("fullscreenchange", () => {
+      if (!this._presentation) return
+
+      if (document.fullscreenElement === this.pagesContainer) {
+        requestAnimationFrame(() => this.viewer.setScale(ScaleValue.PAGE_FIT))
+      } else {
+        this._endPresentation()
+      }
+    }, { signal })
+
+    // Follow links to another spot in the open document (URL hash edits,
+    // in-page links); the viewer's own hash updates don't fire this
+    if (this.options.urlHash) {
+      window.addEventListener("hashchange", () => {
+        const view = this._urlHashReady && parseViewHash(window.location.hash)
+        if (view) this._showLinkedView(view)
+      }, { signal })
+    }
+
     // Handle error events from annotation manager and other components
     this.container.addEventListener("pdf-viewer:error", (e) => {
       this._handleError(e.detail)
     }, { signal })
   }
 
+  /**
+   * Dispatch an error event for UI feedback and logging.
+   */
+  _dispatchError(errorType, message, originalError) {
+    this.container.dispatchEvent(new CustomEvent("pdf-viewer:error", {
+      bubbles: true,
+      detail: {
+        source: "pdf_viewer",
+        errorType,
+        message,
+        error: originalError
+      }
+    }))
+  }
+
   /**
    * Handle errors from PDF viewer components.
    * Calls optional onError callback and dispatches event for UI feedback.
@@ -318,10 +567,38 @@ export class PdfViewer {
     }))
   }
 
-  async load() {
+  /**
+   * Load the document and its annotations.
+   * @param {string|Blob|ArrayBuffer|Uint8Array} [source] - The PDF to open;
+   *   defaults to the documentUrl option. A File's name is used as the
+   *   download name unless documentName was given.
+   */
+  async load(source = this.documentUrl) {
     try {
+      // A URL hash linking to a spot in the document opens there. The view the
+      // viewer wrote there itself isn't a link.
+      const hash = window.location.hash
+      this._linkedView = this.options.urlHash && hash !== this._writtenHash ? parseViewHash(hash) : null
+
+      // Downloads re-fetch URLs but reuse the viewer's bytes for everything else
+      this.documentUrl = typeof source === "string" ? source : null
+      this.downloadManager.documentUrl = this.documentUrl
+      if (source instanceof File && !this.documentName) {
+        this.documentName = source.name
+        this.downloadManager.documentName = source.name
+      }
+
       // Load the PDF document
-      await this.viewer.load(this.documentUrl)
+      await this.viewer.load(source)
+
+      // Zoom before pages render at the wrong scale
+      if (this._linkedView?.zoom) {
+        this.viewer.setScale(this._linkedView.zoom)
+      }
+
+      this.pageTextCache?.setDocument(this.viewer.pdfDocument, {
+        encrypted: Boolean(this.viewer.getDocumentPassword())
+      })
 
       // Initialize find controller with the loaded document
       if (this.findController && this.viewer.pdfDocument) {
@@ -333,39 +610,308 @@ export class PdfViewer {
         await this.thumbnailSidebar.setDocument(this.viewer.pdfDocument)
       }
 
+      // Build the outline in the background; resolving its destinations
+      // shouldn't hold up the annotations
+      if (this.outlineSidebar && this.viewer.pdfDocument) {
+        this.outlineSidebar.setDocument(this.viewer.pdfDocument)
+          .catch(error => console.error("Error building document outline:", error))
+      }
+
       // Load existing annotations from store
       await this.annotationManager.loadAnnotations()
+      this.annotationSidebar?.onAnnotationsLoaded()
+
+      // Restore saved view state (per-page rotation) before annotations render
+      await this._restoreViewState()
+
+      await this._restoreFormValues()
 
       // Render annotations on all rendered pages
       this._renderAnnotations()
 
+      const bookmarks = await this.annotationManager.loadBookmarks()
+      this.bookmarkSidebar?.refresh()
+      this._dispatchEvent("pdf-viewer:bookmarks-loaded", { bookmarks, count: bookmarks.length })
+
       const annotations = this.annotationManager.getAllAnnotations()
       this.container.dispatchEvent(new CustomEvent("pdf-viewer:annotations-loaded", {
         bubbles: true,
         detail: { annotations, count: annotations.length }
       }))
 
+      // A link to a page or annotation wins over the initial ones
+      const linkedView = this._linkedView
+      const linksToSpot = Boolean(linkedView?.page || linkedView?.annotation)
+
       // Navigate to initial page if specified
-      if (this.initialPage > 1) {
+      if (!linksToSpot && this.initialPage > 1) {
         this.viewer.goToPage(this.initialPage)
       }
 
       // Navigate to initial annotation if specified
-      if (this.initialAnnotation) {
+      if (!linksToSpot && this.initialAnnotation) {
         this._scrollToAnnotation(this.initialAnnotation)
       }
 
-      // Start with select tool
-      this.setTool(ToolMode.SELECT)
+      if (linkedView) {
+        await this._showLinkedView(linkedView)
+      }
+
+      // From now on the URL hash follows the view
+      this._urlHashReady = Boolean(this.options.urlHash)
+
+      // Start with the current tool (select, unless a previous document's
+      // tool carries over from openDocument())
+      this.setTool(this.currentMode)
 
       // Start time tracking
       this._startTracking()
+
+      // Import the PDF's own annotations in the background; a failed import
+      // doesn't fail the load
+      if (this.options.importEmbeddedAnnotations) {
+        this.importEmbeddedAnnotations().catch(error => {
+          console.error("Failed to import embedded annotations:", error)
+          this._dispatchError("import_failed", "Failed to import the document's annotations", error)
+        })
+      }
+
+      // Extract the rest of the text in the background, for instant searches
+      if (this.options.prewarmTextCache) {
+        this.prewarmTextCache().catch(error => console.warn("Could not prewarm the page text cache:", error))
+      }
     } catch (error) {
       console.error("Failed to load PDF viewer:", error)
       throw error
     }
   }
 
+  /**
+   * Replace the open document without rebuilding the viewer. Zoom, rotation,
+   * layout, the current tool and open sidebars carry over; the annotations,
+   * search and thumbnails are reset for the new document.
+   * @param {string|Blob|ArrayBuffer|Uint8Array} source - The PDF to open
+   * @param {Object} [options]
+   * @param {string} [options.annotationsUrl] - REST endpoint for the new document's annotations
+   * @param {string} [options.documentId] - The new document's ID
+   * @param {AnnotationStore} [options.annotationStore] - Store for the new document.
+   *   The previous document's store is never reused: without this or an
+   *   annotationsUrl, the new document gets a fresh MemoryAnnotationStore.
+   * @param {string} [options.documentName] - Display name for downloads
+   * @param {string} [options.trackingUrl] - Time tracking endpoint for the new document
+   * @param {number} [options.initialPage] - Page to open on
+   * @param {string} [options.initialAnnotation] - Annotation ID to scroll to
+   */
+  async openDocument(source, options = {}) {
+    // Report time spent on the outgoing document; load() restarts tracking
+    if (this._trackingInterval) {
+      clearInterval(this._trackingInterval)
+      this._trackingInterval = null
+      this._sendTrackingUpdate()
+    }
+
+    this._deselectAnnotation()
+    this.pendingAnnotationSelection = null
+    this.undoBar?.hide()
+
+    // The hash describes the outgoing document until the new one is shown
+    this._urlHashReady = false
+    clearTimeout(this._hashUpdateTimeout)
+    this._clearUrlHashView()
+
+    // Save the last form entries to the outgoing document's store
+    await this._flushFormSave()
+
+    // Release the outgoing document before the core viewer destroys it
+    this.formManager.setDocument(null)
+    this.findController?.setDocument(null)
+    this.pageTextCache?.setDocument(null)
+    await this.thumbnailSidebar?.setDocument(null)
+    this.outlineSidebar?.setDocument(null)
+
+    this.annotationsUrl = options.annotationsUrl
+    this.documentId = options.documentId
+    this.documentName = options.documentName
+    this.trackingUrl = options.trackingUrl
+    this.initialPage = options.initialPage || 1
+    this.initialAnnotation = options.initialAnnotation
+    this.downloadManager.documentName = this.documentName
+
+    this.annotationManager.reset({
+      store: options.annotationStore,
+      annotationsUrl: this.annotationsUrl,
+      documentId: this.documentId
+    })
+    this._lastBookmarkId = null
+    this.bookmarkSidebar?.refresh()
+
+    await this.load(source)
+  }
+
+  /**
+   * Import the PDF's own Highlight, Underline, StrikeOut, Squiggly, Text
+   * (sticky note) and Ink annotations into the annotation store, so they can be edited like any
+   * other. Each embedded annotation is imported once; the originals are then
+   * hidden, and downloads contain the imported copies in their place.
+   * Annotations that fail to save are skipped (and reported through
+   * pdf-viewer:user-error); they're tried again next time.
+   * @returns {Promise<Array<Object>>} The created annotations
+   */
+  async importEmbeddedAnnotations() {
+    const pdfDocument = this.viewer.pdfDocument
+    if (!pdfDocument) return []
+
+    // openDocument() may swap the document and store while we work
+    const store = this.annotationManager.store
+    const isCurrent = () => this.viewer.pdfDocument === pdfDocument && this.annotationManager.store === store
+
+    const found = await this.annotationImporter.readDocument(pdfDocument)
+    const pending = found.filter(data => !this._importedAnnotationIds.has(data.source_annotation_id))
+
+    const created = []
+    this._importingAnnotations++
+    try {
+      for (const data of pending) {
+        if (!isCurrent()) break
+        // Imported meanwhile by another call
+        if (this._importedAnnotationIds.has(data.source_annotation_id)) continue
+
+        try {
+          created.push(await this.annotationManager.createAnnotation(data))
+          this._importedAnnotationIds.add(data.source_annotation_id)
+        } catch {
+          // Reported by the annotation manager; the rest still get imported
+        }
+      }
+    } finally {
+      this._importingAnnotations--
+
+      // Hide and record whatever made it in, even if a save failed part way
+      if (created.length > 0 && isCurrent()) {
+        this.viewer.setHiddenEmbeddedAnnotations(this._importedAnnotationIds)
+        await this._saveViewState()
+      }
+    }
+
+    if (created.length > 0) {
+      getAnnouncer().announce(`${created.length} annotations imported from the document`)
+    }
+
+    this.container.dispatchEvent(new CustomEvent("pdf-viewer:annotations-imported", {
+      bubbles: true,
+      detail: { annotations: created, count: created.length }
+    }))
+
+    return created
+  }
+
+  /**
+   * Get the document's bookmarks in document order.
+   * @returns {Array<Object>}
+   */
+  getBookmarks() {
+    return this.annotationManager.getBookmarks()
+  }
+
+  /**
+   * Bookmark the spot at the top of the view, saving it through the
+   * annotation store.
+   * @param {string} [title] - Defaults to "Page N"
+   * @returns {Promise<Object|null>} The created bookmark
+   */
+  async addBookmark(title) {
+    if (!this.viewer?.pdfDocument) return null
+
+    const { pageNumber, point } = this.viewer.getViewPosition()
+    return this.annotationManager.createBookmark({
+      page: pageNumber,
+      x: Math.round(point.x),
+      y: Math.round(point.y),
+      title: title?.trim() || `Page ${pageNumber}`
+    })
+  }
+
+  /**
+   * Scroll back to a bookmarked spot.
+   * @param {string|number} id - Bookmark id
+   */
+  goToBookmark(id) {
+    const bookmark = this.annotationManager.getBookmark(id)
+    if (!bookmark) return
+
+    this._lastBookmarkId = bookmark.id
+    this.viewer.goToPage(bookmark.page, { point: { x: bookmark.x || 0, y: bookmark.y || 0 } })
+    this._checkPageChange()
+    getAnnouncer().announce(`${bookmark.title}, page ${bookmark.page}`)
+  }
+
+  /**
+   * Go to the first bookmark after the current spot, wrapping around to the
+   * first one at the end of the document.
+   */
+  goToNextBookmark() {
+    this._goToAdjacentBookmark(1)
+  }
+
+  /**
+   * Go to the last bookmark before the current spot, wrapping around to the
+   * last one at the start of the document.
+   */
+  goToPreviousBookmark() {
+    this._goToAdjacentBookmark(-1)
+  }
+
+  _goToAdjacentBookmark(direction) {
+    const bookmarks = this.annotationManager.getBookmarks()
+    if (bookmarks.length === 0) {
+      getAnnouncer().announce("No bookmarks")
+      return
+    }
+
+    // Carry on from the bookmark last jumped to while its page is still
+    // current: the view can't always scroll all the way to it (e.g. near the
+    // end of the document) and may still be scrolling there
+    let index = bookmarks.findIndex(bookmark => bookmark.id === this._lastBookmarkId)
+    if (index !== -1 && bookmarks[index].page === this.viewer.getCurrentPage()) {
+      index += direction
+    } else {
+      const { pageNumber, point } = this.viewer.getViewPosition()
+      const isAfter = (bookmark) => bookmark.page > pageNumber || (bookmark.page === pageNumber && bookmark.y > point.y + 1)
+      const isBefore = (bookmark) => bookmark.page < pageNumber || (bookmark.page === pageNumber && bookmark.y < point.y - 1)
+
+      if (direction > 0) {
+        index = bookmarks.findIndex(isAfter)
+        if (index === -1) index = 0
+      } else {
+        index = bookmarks.length - 1
+        while (index > 0 && !isBefore(bookmarks[index])) index--
+        if (!isBefore(bookmarks[index])) index = bookmarks.length - 1
+      }
+    }
+
+    index = (index + bookmarks.length) % bookmarks.length
+    this.goToBookmark(bookmarks[index].id)
+  }
+
+  /**
+   * Rename a bookmark.
+   * @param {string|number} id - Bookmark id
+   * @param {string} title
+   * @returns {Promise<Object>} The updated bookmark
+   */
+  async renameBookmark(id, title) {
+    return this.annotationManager.updateBookmark(id, { title })
+  }
+
+  /**
+   * Delete a bookmark.
+   * @param {string|number} id - Bookmark id
+   * @returns {Promise<Object>} The deleted bookmark
+   */
+  async deleteBookmark(id) {
+    return this.annotationManager.deleteBookmark(id)
+  }
+
   setTool(mode) {
     // Deactivate current tool
     if (this.currentTool) {
@@ -415,6 +961,129 @@ export class PdfViewer {
     this.findBar?.close()
   }
 
+  // Show how many matches each page has, on its thumbnail and the scrollbar ticks
+  _updateMatchCounts() {
+    const counts = this.findController.getMatchCounts()
+    this.thumbnailSidebar?.setMatchCounts(counts)
+    this.findMarkers?.setMatchCounts(counts)
+  }
+
+  /**
+   * Get the view the URL hash linked to when the open document was loaded
+   * (with the urlHash option).
+   * @returns {Object|null} { page, zoom, left, top, search, annotation }, as
+   *   read by parseViewHash(); null without a link
+   */
+  getLinkedView() {
+    return this._linkedView
+  }
+
+  /**
+   * Get a URL hash linking to the current view: the page and the spot at the
+   * top-left of the view, the zoom, the search query while the find bar is
+   * open, and the selected annotation.
+   * @returns {Promise<string>} e.g. "#page=5&zoom=150,0,200", or "" with no document
+   */
+  async getViewHash() {
+    const view = await this._getView()
+    return view ? formatViewHash(view) : ""
+  }
+
+  async _getView() {
+    const pdfDocument = this.viewer?.pdfDocument
+    if (!pdfDocument) return null
+
+    // Open parameters give the spot in PDF points, from the page's bottom-left
+    const { pageNumber, point } = this.viewer.getViewPosition()
+    const page = await pdfDocument.getPage(pageNumber)
+    const [left, top] = page.getViewport({ scale: 1 }).convertToPdfPoint(point.x, point.y)
+    if (this.viewer.pdfDocument !== pdfDocument) return null
+
+    return {
+      page: pageNumber,
+      zoom: this.viewer.getScale(),
+      left,
+      top,
+      search: this.findBar?.visible ? this.findController.query : null,
+      annotation: this.selectedAnnotation?.id ?? null
+    }
+  }
+
+  // Go to the spot a URL hash links to: zoom, then the annotation or the
+  // page (and point on it), then search
+  async _showLinkedView(view) {
+    const pdfDocument = this.viewer.pdfDocument
+    if (!pdfDocument) return
+
+    if (view.zoom) {
+      this.viewer.setScale(view.zoom)
+    }
+
+    // Ids come back from the URL as strings
+    const annotation = view.annotation
+      ? this.annotationManager.getAllAnnotations().find(a => String(a.id) === view.annotation)
+      : null
+
+    const hasPoint = view.left !== null || view.top !== null
+    const pageNumber = view.page || this.viewer.getCurrentPage()
+    if (annotation) {
+      this._scrollToAnnotation(annotation.id)
+    } else if ((view.page || hasPoint) && pageNumber <= this.viewer.getPageCount()) {
+      // A coordinate the link leaves out is the page's edge, as with destinations
+      let point = null
+      if (hasPoint) {
+        const viewport = (await pdfDocument.getPage(pageNumber)).getViewport({ scale: 1 })
+        if (this.viewer.pdfDocument !== pdfDocument) return
+
+        const [x, y] = viewport.convertToViewportPoint(view.left ?? viewport.viewBox[0], view.top ?? viewport.viewBox[3])
+        point = { x: Math.max(0, x), y: Math.max(0, y) }
+      }
+      this.viewer.goToPage(pageNumber, { point })
+    }
+
+    if (view.search) {
+      this.findBar?.search(view.search)
+    }
+  }
+
+  // Write the view to the URL hash once scrolling or zooming pauses
+  _scheduleHashUpdate() {
+    if (!this._urlHashReady) return
+
+    clearTimeout(this._hashUpdateTimeout)
+    this._hashUpdateTimeout = setTimeout(() => this._updateUrlHash(), HASH_UPDATE_DELAY)
+  }
+
+  async _updateUrlHash() {
+    this._hashUpdateTimeout = null
+    const href = window.location.href
+
+    const view = await this._getView()
+    // Navigated away (e.g. a Turbo visit) or switched documents meanwhile
+    if (!view || !this._urlHashReady || window.location.href !== href) return
+
+    const url = new URL(href)
+    url.hash = formatViewHash(view, url.hash)
+    if (url.href !== href) {
+      // replaceState keeps the back button for real navigations, and passing
+      // the current state on keeps Turbo's restoration id
+      window.history.replaceState(window.history.state, "", url.href)
+    }
+    this._writtenHash = window.location.hash
+  }
+
+  // Take the outgoing document's view out of the URL hash. A hash changed
+  // since the viewer wrote it (e.g. to link into the next document) is kept.
+  _clearUrlHashView() {
+    if (this._writtenHash === null) return
+    if (window.location.hash === this._writtenHash) {
+      const url = new URL(window.location.href)
+      url.hash = removeViewHash(url.hash)
+      window.history.replaceState(window.history.state, "", url.href)
+    }
+    this._writtenHash = null
+  }
+
   /**
    * Get the current page number.
    * @returns {number}
@@ -449,6 +1118,223 @@ export class PdfViewer {
     this._checkPageChange()
   }
 
+  /**
+   * Get the current user-applied page rotation.
+   * @returns {number} Rotation in degrees (0, 90, 180 or 270)
+   */
+  getRotation() {
+    return this.viewer?.getRotation() || 0
+  }
+
+  /**
+   * Rotate all pages relative to the current rotation.
+   * @param {number} delta - Multiple of 90; positive rotates clockwise
+   */
+  rotate(delta) {
+    this.viewer?.rotate(delta)
+  }
+
+  /**
+   * Set the user-applied rotation for all pages.
+   * @param {number} rotation - Multiple of 90
+   */
+  setRotation(rotation) {
+    this.viewer?.setRotation(rotation)
+  }
+
+  /**
+   * Get the current spread mode.
+   * @returns {string} SpreadMode constant
+   */
+  getSpreadMode() {
+    return this.viewer?.getSpreadMode() || SpreadMode.NONE
+  }
+
+  /**
+   * Show pages one per row, or side by side as facing-page spreads.
+   * @param {string} mode - SpreadMode constant
+   */
+  setSpreadMode(mode) {
+    this.viewer?.setSpreadMode(mode)
+  }
+
+  /**
+   * Get the current scroll mode.
+   * @returns {string} ScrollMode constant
+   */
+  getScrollMode() {
+    return this.viewer?.getScrollMode() || ScrollMode.VERTICAL
+  }
+
+  /**
+   * Lay pages out in a vertical column or a horizontal row.
+   * @param {string} mode - ScrollMode constant
+   */
+  setScrollMode(mode) {
+    this.viewer?.setScrollMode(mode)
+  }
+
+  /**
+   * Whether presentation mode is active.
+   * @returns {boolean}
+   */
+  isPresentationMode() {
+    return this._presentation !== null
+  }
+
+  /**
+   * Present the document: full screen, one page at a time, fitted to the
+   * screen. Where the full-screen API is unavailable or refused, the viewer
+   * still switches to single pages in place.
+   */
+  async enterPresentationMode() {
+    if (!this.viewer || this._presentation) return
+
+    this._presentation = {
+      scrollMode: this.viewer.getScrollMode(),
+      scale: this.viewer.getScale()
+    }
+
+    this._deselectAnnotation()
+    this.viewer.setScrollMode(ScrollMode.PAGE)
+    this._dispatchEvent("pdf-viewer:presentation-mode-changed", { active: true })
+
+    try {
+      // The scale is fitted in the fullscreenchange handler
+      await this.pagesContainer.requestFullscreen()
+    } catch (error) {
+      console.warn("[PdfViewer] Full screen unavailable, presenting in place:", error)
+      this.viewer.setScale(ScaleValue.PAGE_FIT)
+    }
+  }
+
+  /**
+   * Leave presentation mode, restoring the previous layout and zoom.
+   */
+  async exitPresentationMode() {
+    if (!this._presentation) return
+
+    if (document.fullscreenElement === this.pagesContainer) {
+      // _endPresentation() runs from the fullscreenchange handler
+      await document.exitFullscreen()
+    } else {
+      this._endPresentation()
+    }
+  }
+
+  _endPresentation() {
+    const { scrollMode, scale } = this._presentation
+    this._presentation = null
+
+    this.viewer.setScrollMode(scrollMode)
+    this.viewer.setScale(scale)
+    this._dispatchEvent("pdf-viewer:presentation-mode-changed", { active: false })
+  }
+
+  /**
+   * Rotate a single page relative to its current rotation, and save the new
+   * rotation as document view state through the annotation store.
+   * @param {number} pageNumber
+   * @param {number} delta - Multiple of 90; positive rotates clockwise
+   */
+  async rotatePage(pageNumber, delta) {
+    if (!this.viewer) return
+
+    this.viewer.rotatePage(pageNumber, delta)
+    await this._saveViewState()
+  }
+
+  async _restoreViewState() {
+    const viewState = await this.annotationManager.loadViewState()
+    if (viewState?.page_rotations) {
+      this.viewer.setPageRotations(viewState.page_rotations)
+    }
+
+    // Embedded annotations imported before stay hidden, even if their copies
+    // have since been deleted. Stores without view state only know the copies.
+    this._importedAnnotationIds = new Set([
+      ...(viewState?.imported_annotation_ids || []),
+      ...this.annotationManager.getAllAnnotations()
+        .map(annotation => annotation.source_annotation_id)
+        .filter(Boolean)
+    ])
+    this.viewer.setHiddenEmbeddedAnnotations(this._importedAnnotationIds)
+  }
+
+  async _restoreFormValues() {
+    const pdfDocument = this.viewer.pdfDocument
+    await this.formManager.setDocument(pdfDocument)
+    this._savedFormValues = null
+    if (!this.formManager.hasFields()) return
+
+    const values = await this.annotationManager.loadFormValues()
+    if (this.viewer.pdfDocument !== pdfDocument) return
+
+    this._savedFormValues = JSON.stringify(values || {})
+    if (this.formManager.setValues(values)) {
+      await this.viewer.refreshAnnotationLayers()
+    }
+  }
+
+  // Typing is saved in one go once the user pauses
+  _scheduleFormSave() {
+    clearTimeout(this._formSaveTimeout)
+    this._formSaveTimeout = setTimeout(() => {
+      this._formSaveTimeout = null
+      this._saveFormValues()
+    }, FORM_SAVE_DELAY)
+  }
+
+  async _flushFormSave() {
+    if (!this._formSaveTimeout) return
+
+    clearTimeout(this._formSaveTimeout)
+    this._formSaveTimeout = null
+    await this._saveFormValues()
+  }
+
+  async _saveFormValues() {
+    // Read the values now: the document may be replaced while saving
+    const pdfDocument = this.viewer.pdfDocument
+    const values = this.formManager.getValues()
+    const json = JSON.stringify(values)
+    if (json === this._savedFormValues) return
+
+    this._dispatchEvent("pdf-viewer:form-changed", { values })
+    const saved = await this.annotationManager.saveFormValues(values)
+
+    // A failed save (null) is tried again with the next change
+    if (saved !== null && this.viewer.pdfDocument === pdfDocument) {
+      this._savedFormValues = json
+    }
+  }
+
+  async _saveViewState() {
+    await this.annotationManager.saveViewState({
+      page_rotations: this.viewer.getPageRotations(),
+      imported_annotation_ids: [...this._importedAnnotationIds]
+    })
+  }
+
+  _onPageRotationChanged(pageNumber) {
+    if (this.selectedAnnotation?.page === pageNumber) {
+      this._deselectAnnotation()
+    }
+
+    this._renderAnnotationsForPage(pageNumber, this.viewer.getPageContainer(pageNumber))
+    this._checkPageChange()
+  }
+
+  _onRotationChanged() {
+    // The edit toolbar is anchored inside the (now rotated) annotation layer
+    this._deselectAnnotation()
+
+    // Re-create overlays straight away so they match the resized placeholders;
+    // pages re-render (and re-render their overlays again) as they're reached.
+    this._renderAnnotations()
+    this._checkPageChange()
+  }
+
   // Page rendering callbacks
   _onPageRendered(pageNumber, pageCanvas, pageContainer) {
     // Apply watermark to the page (pass effective scale for proper font sizing)
@@ -470,23 +1356,27 @@ export class PdfViewer {
   _onAnnotationCreated(annotation) {
     this._renderAnnotationsForPage(annotation.page, this.viewer.getPageContainer(annotation.page))
 
-    // Auto-select the newly created annotation
-    const pageContainer = this.viewer.getPageContainer(annotation.page)
-    const element = pageContainer?.querySelector(`.annotation[data-annotation-id="${annotation.id}"]`)
-    if (element) {
-      this._selectAnnotation(annotation, element)
-    }
+    // Imports are announced as a whole, and nothing gets selected
+    if (!this._importingAnnotations) {
+      // Auto-select the newly created annotation
+      const pageContainer = this.viewer.getPageContainer(annotation.page)
+      const element = pageContainer?.querySelector(`.annotation[data-annotation-id="${annotation.id}"]`)
+      if (element) {
+        this._selectAnnotation(annotation, element)
+      }
 
-    // Suppress the click-to-deselect that follows pointerup after text selection
-    this._suppressClickDeselect = true
-    setTimeout(() => { this._suppressClickDeselect = false }, 100)
+      // Suppress the click-to-deselect that follows pointerup after text selection
+      this._suppressClickDeselect = true
+      setTimeout(() => { this._suppressClickDeselect = false }, 100)
 
-    // Notify annotation sidebar
-    this.annotationSidebar?.onAnnotationCreated(annotation)
+      // Announce to screen readers
+      const typeLabel = this._getAnnotationTypeLabel(annotation.annotation_type)
+      getAnnouncer().announce(`${typeLabel} added on page ${annotation.page}`)
+    }
 
-    // Announce to screen readers
-    const typeLabel = this._getAnnotationTypeLabel(annotation.annotation_type)
-    getAnnouncer().announce(`${typeLabel} added on page ${annotation.page}`)
+    // Notify annotation sidebar and search
+    this.annotationSidebar?.onAnnotationCreated(annotation)
+    this.findController?.onAnnotationsChanged()
 
     this.container.dispatchEvent(new CustomEvent("pdf-viewer:annotation-created", {
       bubbles: true,
@@ -523,8 +1413,9 @@ export class PdfViewer {
       }
     }
 
-    // Notify annotation sidebar
+    // Notify annotation sidebar and search
     this.annotationSidebar?.onAnnotationUpdated(annotation)
+    this.findController?.onAnnotationsChanged()
 
     // Announce to screen readers
     const typeLabel = this._getAnnotationTypeLabel(annotation.annotation_type)
@@ -547,8 +1438,9 @@ export class PdfViewer {
 
     this._renderAnnotationsForPage(annotation.page, this.viewer.getPageContainer(annotation.page))
 
-    // Notify annotation sidebar
+    // Notify annotation sidebar and search
     this.annotationSidebar?.onAnnotationDeleted(annotation)
+    this.findController?.onAnnotationsChanged()
 
     // Announce to screen readers
     const typeLabel = this._getAnnotationTypeLabel(annotation.annotation_type)
@@ -564,12 +1456,20 @@ export class PdfViewer {
     // For notes, show the edit popup
     if (annotation.annotation_type === "note") {
       this.tools[ToolMode.NOTE].editNote(annotation)
+    } else if (annotation.annotation_type === "free_text") {
+      this._editFreeText(annotation)
     }
   }
 
+  // Edit a text box in place, out from under the edit toolbar
+  _editFreeText(annotation) {
+    this._deselectAnnotation()
+    this.tools[ToolMode.FREE_TEXT].editText(annotation)
+  }
+
   _onAnnotationComment(annotation) {
-    // For highlight/underline/ink, use the note tool's edit dialog to edit contents
-    const supportsComment = ["highlight", "line", "ink"].includes(annotation.annotation_type)
+    // For highlight/text markup/ink/shapes, use the note tool's edit dialog to edit contents
+    const supportsComment = ["highlight", "line", "strikeout", "squiggly", "ink", ...SHAPE_ANNOTATION_TYPES].includes(annotation.annotation_type)
     if (supportsComment) {
       this.tools[ToolMode.NOTE].editNote(annotation)
     }
@@ -579,7 +1479,36 @@ export class PdfViewer {
     await this.annotationManager.deleteAnnotation(annotation.id)
   }
 
-  async _onAnnotationUndo(annotation) {
+  // Save a move, resize or reshape made with the selection handles, and offer
+  // to undo it
+  async _onAnnotationReshape(annotation, changes, action) {
+    const previous = {}
+    for (const key of Object.keys(changes)) {
+      previous[key] = annotation[key] ?? null
+    }
+
+    // Suppress the click-to-deselect that follows the drag's pointerup
+    this._suppressClickDeselect = true
+    setTimeout(() => { this._suppressClickDeselect = false }, 100)
+
+    try {
+      await this.annotationManager.updateAnnotation(annotation.id, changes)
+    } catch (error) {
+      console.error("Failed to update annotation:", error)
+      return
+    }
+
+    const typeLabel = this._getAnnotationTypeLabel(annotation.annotation_type)
+    this.undoBar.show(annotation, { message: `${typeLabel} ${action}`, previous })
+  }
+
+  async _onAnnotationUndo(annotation, previous = null) {
+    // Changes are undone by putting the changed fields back
+    if (previous) {
+      await this.annotationManager.updateAnnotation(annotation.id, previous)
+      return
+    }
+
     await this.annotationManager.restoreAnnotation(annotation.id)
     this._renderAnnotationsForPage(annotation.page, this.viewer.getPageContainer(annotation.page))
 
@@ -590,7 +1519,8 @@ export class PdfViewer {
 
   /**
    * Get human-readable label for annotation type.
-   * @param {string} type - Annotation type (highlight, note, ink, line)
+   * @param {string} type - Annotation type (highlight, note, ink, line,
+   *   strikeout, squiggly, or a shape)
    * @returns {string} Human-readable label
    */
   _getAnnotationTypeLabel(type) {
@@ -599,10 +1529,57 @@ export class PdfViewer {
       case "note": return "Note"
       case "ink": return "Drawing"
       case "line": return "Underline"
+      case "strikeout": return "Strikeout"
+      case "squiggly": return "Squiggly underline"
+      case "rectangle": return "Rectangle"
+      case "ellipse": return "Ellipse"
+      case "straight_line": return "Line"
+      case "arrow": return "Arrow"
+      case "polygon": return "Polygon"
+      case "free_text": return "Text box"
       default: return "Annotation"
     }
   }
 
+  // Bookmark callbacks
+  async _onBookmarkSidebarAction(action) {
+    try {
+      await action()
+    } catch {
+      // The store failure is shown through pdf-viewer:user-error. Redraw the
+      // list so it shows the bookmarks as they were saved.
+      this.bookmarkSidebar?.refresh()
+    }
+  }
+
+  _onBookmarkCreated(bookmark) {
+    this.bookmarkSidebar?.refresh()
+
+    // Let the user name it straight away when the list is showing
+    if (this.bookmarkSidebar?.isOpen) {
+      this.bookmarkSidebar.startRename(bookmark.id)
+    }
+
+    getAnnouncer().announce(`Bookmark added on page ${bookmark.page}`)
+    this._dispatchEvent("pdf-viewer:bookmark-created", { bookmark })
+  }
+
+  _onBookmarkUpdated(bookmark) {
+    this.bookmarkSidebar?.refresh()
+    getAnnouncer().announce("Bookmark updated")
+    this._dispatchEvent("pdf-viewer:bookmark-updated", { bookmark })
+  }
+
+  _onBookmarkDeleted(bookmark) {
+    if (this._lastBookmarkId === bookmark.id) {
+      this._lastBookmarkId = null
+    }
+
+    this.bookmarkSidebar?.refresh()
+    getAnnouncer().announce("Bookmark deleted")
+    this._dispatchEvent("pdf-viewer:bookmark-deleted", { bookmark })
+  }
+
   _onColorChange(color) {
     // Update current tool color if applicable
     if (this.currentTool && this.currentTool.setColor) {
@@ -630,15 +1607,18 @@ export class PdfViewer {
     const existingLayers = pageContainer.querySelectorAll(".annotation-layer, .highlight-blend-layer, .highlight-svg-layer, .underline-svg-layer")
     existingLayers.forEach(layer => layer.remove())
 
-    // Get page dimensions for percentage-based positioning
-    const pageWidth = parseFloat(pageContainer.style.getPropertyValue("--page-width")) || 612
-    const pageHeight = parseFloat(pageContainer.style.getPropertyValue("--page-height")) || 792
+    // Get page dimensions for percentage-based positioning. Annotations are
+    // stored relative to the page before view rotation, so the layers below are
+    // laid out at that size and rotated into place by CSS (data-view-rotation),
+    // the same way PDF.js rotates the text layer.
+    const { width: pageWidth, height: pageHeight } = this.viewer.getUnrotatedPageSize(pageNumber)
+    const viewRotation = this.viewer.getViewRotation(pageNumber)
 
     // Create SVG layer for highlight rendering (sibling of canvas, for blend mode)
     const highlightSvgLayer = document.createElementNS("http://www.w3.org/2000/svg", "svg")
     highlightSvgLayer.classList.add("highlight-svg-layer")
 
-    // Create separate SVG layer for underlines (no blend mode needed)
+    // Create separate SVG layer for underlines, strikeouts and squiggles (no blend mode needed)
     const underlineSvgLayer = document.createElementNS("http://www.w3.org/2000/svg", "svg")
     underlineSvgLayer.classList.add("underline-svg-layer")
 
@@ -661,11 +1641,19 @@ export class PdfViewer {
     const annotationLayer = document.createElement("div")
     annotationLayer.className = "annotation-layer"
 
+    if (viewRotation) {
+      highlightSvgLayer.dataset.viewRotation = viewRotation
+      underlineSvgLayer.dataset.viewRotation = viewRotation
+      annotationLayer.dataset.viewRotation = viewRotation
+    }
+
     // Render each annotation using percentage-based positioning
     for (const annotation of annotations) {
       const isHighlight = annotation.annotation_type === "highlight" ||
                          (annotation.annotation_type === "ink" && annotation.subject === "Free Highlight")
       const isUnderline = annotation.annotation_type === "line"
+      const isStrikeOut = annotation.annotation_type === "strikeout"
+      const isSquiggly = annotation.annotation_type === "squiggly"
 
       if (isHighlight) {
         // Render colored SVG in the highlight layer (has mix-blend-mode for text visibility)
@@ -677,11 +1665,16 @@ export class PdfViewer {
           this._attachAnnotationClickHandler(element, annotation.id)
           annotationLayer.appendChild(element)
         }
-      } else if (isUnderline) {
-        // Render underlines as SVG lines in the underline layer (no blend mode)
-        this._renderUnderlineSvg(annotation, underlineSvgLayer)
-        // Create transparent interactive element in annotation layer
-        const element = this._createUnderlineInteractive(annotation, pageWidth, pageHeight)
+      } else if (isUnderline || isStrikeOut || isSquiggly) {
+        // Render text markup as SVG lines in the underline layer (no blend mode)
+        if (isUnderline) {
+          this._renderUnderlineSvg(annotation, underlineSvgLayer)
+        } else if (isStrikeOut) {
+          this._renderStrikeOutSvg(annotation, underlineSvgLayer)
+        } else {
+          this._renderSquigglySvg(annotation, underlineSvgLayer)
+        }
+        const element = this._createTextMarkupInteractive(annotation, pageWidth, pageHeight)
         if (element) {
           this._attachAnnotationClickHandler(element, annotation.id)
           annotationLayer.appendChild(element)
@@ -699,6 +1692,10 @@ export class PdfViewer {
     // Annotation layer goes at the end (above text layer)
     pageContainer.appendChild(annotationLayer)
 
+    // Keep open text box editors through the re-render
+    this.tools?.[ToolMode.FREE_TEXT].onAnnotationLayerRendered(pageNumber, annotationLayer)
+    this.tools?.[ToolMode.CALLOUT].onAnnotationLayerRendered(pageNumber, annotationLayer)
+
     // Check if there's a pending annotation to select on this page
     if (this.pendingAnnotationSelection) {
       // Use .annotation class to avoid matching SVG elements
@@ -864,26 +1861,73 @@ export class PdfViewer {
     }
   }
 
-  // Create transparent interactive element for underline (for clicks/selection)
-  _createUnderlineInteractive(annotation, pageWidth, pageHeight) {
+  // Render strikeout as SVG lines through the middle of each quad (unscaled coordinates)
+  _renderStrikeOutSvg(annotation, svgLayer) {
+    if (!annotation.quads || annotation.quads.length === 0) return
+
+    const color = this._getTextMarkupColor(annotation)
+
+    for (const quad of annotation.quads) {
+      const [start, end] = getStrikeOutLine(quad)
+
+      const line = document.createElementNS("http://www.w3.org/2000/svg", "line")
+      line.setAttribute("x1", start.x)
+      line.setAttribute("y1", start.y)
+      line.setAttribute("x2", end.x)
+      line.setAttribute("y2", end.y)
+      line.setAttribute("stroke", color)
+      line.setAttribute("stroke-width", 1.5)
+      line.setAttribute("stroke-linecap", "round")
+      line.dataset.annotationId = annotation.id
+      svgLayer.appendChild(line)
+    }
+  }
+
+  // Render squiggly underline as an SVG zigzag along the bottom of each quad (unscaled coordinates)
+  _renderSquigglySvg(annotation, svgLayer) {
+    if (!annotation.quads || annotation.quads.length === 0) return
+
+    const color = this._getTextMarkupColor(annotation)
+
+    for (const quad of annotation.quads) {
+      const points = getSquigglePoints(quad).map(point => `${point.x},${point.y}`).join(" ")
+
+      const polyline = document.createElementNS("http://www.w3.org/2000/svg", "polyline")
+      polyline.setAttribute("points", points)
+      polyline.setAttribute("fill", "none")
+      polyline.setAttribute("stroke", color)
+      polyline.setAttribute("stroke-width", 1)
+      polyline.setAttribute("stroke-linejoin", "round")
+      polyline.dataset.annotationId = annotation.id
+      svgLayer.appendChild(polyline)
+    }
+  }
+
+  // Text markup color without alpha, defaulting to red
+  _getTextMarkupColor(annotation) {
+    const color = annotation.color || "#FF0000"
+    return color.length === 9 && color.startsWith("#") ? color.slice(0, 7) : color
+  }
+
+  // Create transparent interactive element covering the marked-up text (for clicks/selection)
+  _createTextMarkupInteractive(annotation, pageWidth, pageHeight) {
     if (!annotation.quads || annotation.quads.length === 0) return null
 
+    // Underlines are stored as "line"
+    const type = annotation.annotation_type === "line" ? "underline" : annotation.annotation_type
+
     const container = document.createElement("div")
-    container.className = "annotation annotation-underline"
+    container.className = `annotation annotation-${type}`
     container.dataset.annotationId = annotation.id
 
-    // Calculate bounding box of all underlines (at bottom of quads)
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
-
     for (const quad of annotation.quads) {
-      const x1 = Math.min(quad.p3.x, quad.p4.x)
-      const x2 = Math.max(quad.p3.x, quad.p4.x)
-      const y = quad.p3.y
-
-      minX = Math.min(minX, x1)
-      minY = Math.min(minY, y)
-      maxX = Math.max(maxX, x2)
-      maxY = Math.max(maxY, y + 3) // Small padding for click area
+      for (const point of [quad.p1, quad.p2, quad.p3, quad.p4]) {
+        minX = Math.min(minX, point.x)
+        minY = Math.min(minY, point.y)
+        maxX = Math.max(maxX, point.x)
+        maxY = Math.max(maxY, point.y)
+      }
     }
 
     container.style.cssText = `
@@ -956,6 +2000,14 @@ export class PdfViewer {
         return this._createNoteElement(annotation, pageWidth, pageHeight)
       case "ink":
         return this._createInkElement(annotation, pageWidth, pageHeight)
+      case "rectangle":
+      case "ellipse":
+      case "straight_line":
+      case "arrow":
+      case "polygon":
+        return this._createShapeElement(annotation, pageWidth, pageHeight)
+      case "free_text":
+        return this._createFreeTextElement(annotation, pageWidth, pageHeight)
       default:
         return null
     }
@@ -1027,15 +2079,12 @@ export class PdfViewer {
     icon.className = "annotation annotation-note"
     icon.dataset.annotationId = annotation.id
 
-    // Note icon size in PDF coordinates (24px at 72 DPI = ~0.33 inches)
-    const noteSize = 24
-
     icon.style.cssText = `
       position: absolute;
       left: ${(annotation.rect[0] / pageWidth) * 100}%;
       top: ${(annotation.rect[1] / pageHeight) * 100}%;
-      width: ${(noteSize / pageWidth) * 100}%;
-      height: ${(noteSize / pageHeight) * 100}%;
+      width: ${(NOTE_SIZE / pageWidth) * 100}%;
+      height: ${(NOTE_SIZE / pageHeight) * 100}%;
       cursor: pointer;
     `
 
@@ -1048,6 +2097,105 @@ export class PdfViewer {
     return icon
   }
 
+  _createShapeElement(annotation, pageWidth, pageHeight) {
+    const bounds = getShapeBounds(annotation)
+    if (!bounds) return null
+
+    // Room for the stroke around the outline (in PDF coordinates)
+    const padding = (annotation.thickness || 2) / 2 + 2
+    const x = bounds.minX - padding
+    const y = bounds.minY - padding
+    const width = bounds.maxX - bounds.minX + padding * 2
+    const height = bounds.maxY - bounds.minY + padding * 2
+
+    const container = document.createElement("div")
+    container.className = `annotation annotation-shape annotation-${annotation.annotation_type}`
+    container.dataset.annotationId = annotation.id
+    container.style.cssText = `
+      position: absolute;
+      left: ${(x / pageWidth) * 100}%;
+      top: ${(y / pageHeight) * 100}%;
+      width: ${(width / pageWidth) * 100}%;
+      height: ${(height / pageHeight) * 100}%;
+    `
+
+    // The viewBox puts the shape's own (unscaled) coordinates in place
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg")
+    svg.classList.add("shape-svg")
+    svg.setAttribute("viewBox", `${x} ${y} ${width} ${height}`)
+    svg.setAttribute("preserveAspectRatio", "none")
+    svg.append(...createShapeElements(annotation))
+
+    container.appendChild(svg)
+    return container
+  }
+
+  _createFreeTextElement(annotation, pageWidth, pageHeight) {
+    if (!annotation.rect) return null
+
+    const isCallout = Boolean(annotation.callout_point)
+    const container = document.createElement("div")
+    container.className = `annotation annotation-free_text${isCallout ? " annotation-callout" : ""}`
+    container.dataset.annotationId = annotation.id
+
+    const box = document.createElement("div")
+    box.className = "free-text-box"
+    box.textContent = annotation.contents || ""
+    applyFreeTextStyle(box, annotation)
+    container.appendChild(box)
+
+    // Handles are shown while selected. Their changes are saved (and undone)
+    // like those made with the selection handles.
+    const freeTextTool = this.tools[ToolMode.FREE_TEXT]
+    const onChange = this._onAnnotationReshape.bind(this)
+    const addHandle = (className, onPointerDown) => {
+      const handle = document.createElement("div")
+      handle.className = className
+      handle.addEventListener("pointerdown", (e) => {
+        const currentAnnotation = this.annotationManager.getAnnotation(annotation.id)
+        if (currentAnnotation) {
+          onPointerDown(currentAnnotation, e)
+        }
+      })
+      container.appendChild(handle)
+    }
+
+    if (isCallout) {
+      // Leader line (laid out by layoutFreeTextElement), with a handle on each end
+      const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg")
+      svg.classList.add("callout-svg")
+      container.appendChild(svg)
+
+      addHandle("callout-handle callout-tip-handle", (current, e) => {
+        freeTextTool.startCalloutDrag(current, container, "point", e, onChange)
+      })
+      addHandle("callout-handle callout-box-handle", (current, e) => {
+        freeTextTool.startCalloutDrag(current, container, "box", e, onChange)
+      })
+    }
+
+    addHandle("free-text-resize-handle", (current, e) => {
+      freeTextTool.startResize(current, container, e, onChange)
+    })
+
+    layoutFreeTextElement(container, annotation, pageWidth, pageHeight)
+
+    container.addEventListener("dblclick", (e) => {
+      e.stopPropagation()
+      const currentAnnotation = this.annotationManager.getAnnotation(annotation.id)
+      if (currentAnnotation) {
+        this._editFreeText(currentAnnotation)
+      }
+    })
+
+    // The editor stands in for the box while it's open
+    if (freeTextTool.isEditing(annotation.id)) {
+      container.classList.add("hidden")
+    }
+
+    return container
+  }
+
   _createInkElement(annotation, pageWidth, pageHeight) {
     // Validate ink_strokes exist
     const strokes = annotation.ink_strokes || []
@@ -1153,11 +2301,13 @@ export class PdfViewer {
   }
 
   _selectAnnotation(annotation, element) {
-    // Get page height for toolbar positioning
+    // Get page height for toolbar positioning. Skipped on rotated pages, where
+    // the toolbar is re-anchored by CSS and annotation.rect no longer maps to
+    // the displayed top/bottom.
     const pageContainer = element.closest(".pdf-page")
-    const pageHeight = pageContainer
+    const pageHeight = pageContainer && !this.viewer.getViewRotation(annotation.page)
       ? parseFloat(pageContainer.style.getPropertyValue("--page-height")) || 792
-      : 792
+      : null
 
     // If clicking on the same annotation, just ensure toolbar is visible
     if (this.selectedAnnotation && this.selectedAnnotation.id === annotation.id) {
@@ -1185,6 +2335,7 @@ export class PdfViewer {
       bubbles: true,
       detail: { annotation }
     }))
+    this._scheduleHashUpdate()
   }
 
   _showAnnotationUI(annotation, element, pageHeight) {
@@ -1197,6 +2348,7 @@ export class PdfViewer {
     } else {
       this.annotationEditToolbar.show(annotation, element, pageHeight)
     }
+    this.annotationHandles.show(annotation, element)
   }
 
   _hideAnnotationUI() {
@@ -1212,6 +2364,7 @@ export class PdfViewer {
     } else {
       this.annotationEditToolbar.hide()
     }
+    this.annotationHandles.hide()
   }
 
   _deselectAnnotation() {
@@ -1231,6 +2384,7 @@ export class PdfViewer {
         bubbles: true,
         detail: { annotationId: previousAnnotation.id }
       }))
+      this._scheduleHashUpdate()
     }
   }
 
@@ -1380,6 +2534,47 @@ export class PdfViewer {
     })
   }
 
+  /**
+   * Whether the document has form fields the user can fill in.
+   * @returns {boolean}
+   */
+  hasForm() {
+    return this.formManager.hasFields()
+  }
+
+  /**
+   * Get the values filled into the document's form fields, keyed by field
+   * name. Fields the user hasn't touched are left out.
+   * @returns {Object}
+   */
+  getFormValues() {
+    return this.formManager.getValues()
+  }
+
+  /**
+   * Fill in the document's form fields and save the values.
+   * @param {Object} values - Field name -> value (see FormManager for the types)
+   */
+  async setFormValues(values) {
+    if (!this.formManager.setValues(values)) return
+
+    await this.viewer.refreshAnnotationLayers()
+    clearTimeout(this._formSaveTimeout)
+    this._formSaveTimeout = null
+    await this._saveFormValues()
+  }
+
+  /**
+   * Extract and cache the text of every page not cached yet, so searches
+   * (now and on later visits to the same file) don't wait for extraction.
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - (pagesDone, pageCount) => void
+   * @returns {Promise<boolean>} false if another document was opened before it finished
+   */
+  async prewarmTextCache(options) {
+    return this.pageTextCache.prewarm(options)
+  }
+
   // Download with annotations
   async download() {
     try {
@@ -1403,15 +2598,28 @@ export class PdfViewer {
     // Optional-chain every component: _initializeComponents() can bail out
     // early (e.g. missing .pdf-pages-container), leaving these undefined, and
     // destroy() must still tear down whatever did get created.
+    if (this.formManager) {
+      this._flushFormSave().catch(error => console.error("Failed to save form values:", error))
+    }
+    this._urlHashReady = false
+    clearTimeout(this._hashUpdateTimeout)
     this.viewer?.destroy()
     this.annotationEditToolbar?.destroy()
     this.annotationDetailPanel?.destroy()
+    this.annotationHandles?.destroy()
     this.undoBar?.destroy()
     this.thumbnailSidebar?.destroy()
+    this.outlineSidebar?.destroy()
+    this.bookmarkSidebar?.destroy()
     this.annotationSidebar?.destroy()
     this.findController?.destroy()
     this.findBar?.destroy()
+    this.findMarkers?.destroy()
+    this.pageTextCache?.destroy()
     this.colorPicker?.destroy()
+    this.shapeOptions?.destroy()
+    this.freeTextOptions?.destroy()
+    this.passwordDialog?.destroy()
 
     Object.values(this.tools || {}).forEach(tool => tool.destroy?.())
 
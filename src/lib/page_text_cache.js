@@ -0,0 +1,405 @@
+/**
+ * PageTextCache - Text extracted from a document's pages, kept in IndexedDB
+ * so repeat visits don't extract it again.
+ *
+ * Extracting the text of every page of a long document takes seconds, but
+ * the result only depends on the file. Pages are stored keyed by the PDF's
+ * fingerprint, so the same file is recognised whatever URL it comes from.
+ * Anything that needs page text (search, ...) can share one instance.
+ *
+ * Each page's text:
+ *
+ *   { str, items: [{ str, startOffset, endOffset }], lineBreaks: [offset, ...] }
+ *
+ * str is the page's text with a space for each line break (lineBreaks holds
+ * the offsets of those spaces), and items are the page's non-empty text
+ * content items with their offsets into str, in text layer order.
+ *
+ * Text is only kept in memory for the open document unless persist is set,
+ * and always for documents opened with a password (their text mustn't end up
+ * on disk decrypted), or without IndexedDB (some private browsing modes).
+ *
+ * Stored documents are evicted least recently used first once their text
+ * takes up more than maxBytes.
+ */
+
+const DATABASE_NAME = "stimulus-pdf-viewer"
+const DATABASE_VERSION = 2
+const STORE_NAME = "page-text"
+
+// One record per stored document: { fingerprint, bytes, lastUsed }
+const DOCUMENT_STORE_NAME = "page-text-documents"
+
+// Default limit on the stored text of all documents together
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024
+
+// Bump when the shape of the stored text changes; older entries are ignored
+const FORMAT_VERSION = 1
+
+export class PageTextCache {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.persist] - Keep text in IndexedDB across visits (default: false)
+   * @param {number} [options.maxBytes] - Stored text (roughly, in bytes) above
+   *   which the least recently used documents are evicted (default: 50 MB)
+   */
+  constructor({ persist = false, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    this.persist = persist && typeof indexedDB !== "undefined"
+    this.maxBytes = maxBytes
+    this.pdfDocument = null
+    this.fingerprint = null
+    this.persistDocument = false // Whether the open document's text is stored
+
+    this._pages = new Map() // pageNumber -> page text, for the open document
+    this._pending = new Map() // pageNumber -> Promise of page text being extracted
+    this._databasePromise = null
+  }
+
+  /**
+   * Set the document whose text is cached.
+   * @param {PDFDocumentProxy|null} pdfDocument
+   * @param {Object} [options]
+   * @param {boolean} [options.encrypted] - The document was opened with a
+   *   password, so its text is only kept in memory
+   */
+  setDocument(pdfDocument, { encrypted = false } = {}) {
+    if (pdfDocument === this.pdfDocument) return
+
+    this.pdfDocument = pdfDocument
+    this.fingerprint = pdfDocument ? pdfDocument.fingerprints.filter(Boolean).join(":") : null
+    this.persistDocument = Boolean(pdfDocument) && !encrypted
+    this._pages = new Map()
+    this._pending = new Map()
+    this._touched = false
+  }
+
+  /**
+   * Get a page's text, from memory, IndexedDB, or by extracting it (and then
+   * storing it).
+   * @param {number} pageNumber
+   * @returns {Promise<Object|null>} The page text, or null if the document
+   *   was replaced meanwhile
+   */
+  async getPageText(pageNumber) {
+    if (this._pages.has(pageNumber)) return this._pages.get(pageNumber)
+    if (!this._pending.has(pageNumber)) {
+      this._pending.set(pageNumber, this._loadPageText(pageNumber))
+    }
+    return this._pending.get(pageNumber)
+  }
+
+  async _loadPageText(pageNumber) {
+    const { pdfDocument } = this
+    const fingerprint = this._getStorageKey()
+    const pending = this._pending
+
+    try {
+      const stored = await this._readPage(fingerprint, pageNumber)
+      const pageText = stored || await this._extractPage(pdfDocument, pageNumber)
+      if (this.pdfDocument !== pdfDocument) return null
+
+      this._pages.set(pageNumber, pageText)
+      if (!stored) {
+        this._writePage(fingerprint, pageNumber, pageText)
+      }
+      return pageText
+    } finally {
+      pending.delete(pageNumber)
+    }
+  }
+
+  /**
+   * Get the text of every page stored for the document on an earlier visit
+   * (or already extracted during this one), without extracting anything.
+   * @returns {Promise<Map<number, Object>>} pageNumber -> page text
+   */
+  async getCachedPages() {
+    const { pdfDocument } = this
+    const fingerprint = this._getStorageKey()
+    const stored = await this._readDocument(fingerprint)
+    if (this.pdfDocument !== pdfDocument) return new Map()
+
+    for (const [pageNumber, pageText] of stored) {
+      if (!this._pages.has(pageNumber)) {
+        this._pages.set(pageNumber, pageText)
+      }
+    }
+    return new Map(this._pages)
+  }
+
+  /**
+   * Extract and store the text of every page that isn't cached yet, so that
+   * searches (now or on a later visit) don't wait for it.
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - (pagesDone, pageCount) => void
+   * @returns {Promise<boolean>} false if the document was replaced before it finished
+   */
+  async prewarm({ onProgress } = {}) {
+    const pdfDocument = this.pdfDocument
+    if (!pdfDocument) return false
+
+    await this.getCachedPages()
+    const pageCount = pdfDocument.numPages
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      if (this.pdfDocument !== pdfDocument) return false
+
+      await this.getPageText(pageNumber)
+      onProgress?.(pageNumber, pageCount)
+    }
+    return this.pdfDocument === pdfDocument
+  }
+
+  /**
+   * Remove the document's stored text.
+   */
+  async clear() {
+    const fingerprint = this.fingerprint
+    this._pages = new Map()
+
+    const database = await this._openDatabase()
+    if (!database || !fingerprint) return
+
+    try {
+      const transaction = database.transaction([STORE_NAME, DOCUMENT_STORE_NAME], "readwrite")
+      transaction.objectStore(STORE_NAME).delete(documentKeyRange(fingerprint))
+      transaction.objectStore(DOCUMENT_STORE_NAME).delete(fingerprint)
+      await promisifyTransaction(transaction)
+    } catch (error) {
+      console.warn("Could not clear cached page text:", error)
+    }
+  }
+
+  /**
+   * Remove the stored text of every document.
+   */
+  async clearAll() {
+    this._pages = new Map()
+
+    const database = await this._openDatabase()
+    if (!database) return
+
+    try {
+      const transaction = database.transaction([STORE_NAME, DOCUMENT_STORE_NAME], "readwrite")
+      transaction.objectStore(STORE_NAME).clear()
+      transaction.objectStore(DOCUMENT_STORE_NAME).clear()
+      await promisifyTransaction(transaction)
+    } catch (error) {
+      console.warn("Could not clear cached page text:", error)
+    }
+  }
+
+  // Same extraction FindController always did: one text layer span per
+  // non-empty item, and a space for each line break
+  async _extractPage(pdfDocument, pageNumber) {
+    const page = await pdfDocument.getPage(pageNumber)
+    const textContent = await page.getTextContent()
+
+    let str = ""
+    const items = []
+    const lineBreaks = []
+
+    for (const item of textContent.items) {
+      if (item.str) {
+        items.push({
+          str: item.str,
+          startOffset: str.length,
+          endOffset: str.length + item.str.length
+        })
+        str += item.str
+      }
+      if (item.hasEOL) {
+        lineBreaks.push(str.length)
+        str += " "
+      }
+    }
+
+    return { str, items, lineBreaks }
+  }
+
+  _openDatabase() {
+    if (!this.persist) return Promise.resolve(null)
+
+    if (!this._databasePromise) {
+      this._databasePromise = new Promise((resolve) => {
+        let request
+        try {
+          request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION)
+        } catch (error) {
+          // Thrown rather than reported in some sandboxed iframes, private
+          // modes and cross-origin contexts; carry on in memory as well
+          console.warn("Page text cache unavailable:", error)
+          resolve(null)
+          return
+        }
+
+        request.onupgradeneeded = (event) => {
+          const database = request.result
+          if (event.oldVersion < 1) {
+            database.createObjectStore(STORE_NAME, { keyPath: ["fingerprint", "pageNumber"] })
+          } else {
+            // Text stored before eviction was added isn't counted anywhere, so
+            // it could never be evicted
+            request.transaction.objectStore(STORE_NAME).clear()
+          }
+          database.createObjectStore(DOCUMENT_STORE_NAME, { keyPath: "fingerprint" })
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => {
+          // Carry on with the in-memory cache
+          console.warn("Page text cache unavailable:", request.error)
+          resolve(null)
+        }
+        request.onblocked = () => resolve(null)
+      })
+    }
+    return this._databasePromise
+  }
+
+  // The open document's key in IndexedDB, or null if its text isn't stored
+  _getStorageKey() {
+    return this.persistDocument ? this.fingerprint : null
+  }
+
+  async _readPage(fingerprint, pageNumber) {
+    const database = await this._openDatabase()
+    if (!database || !fingerprint) return null
+
+    try {
+      const store = database.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME)
+      const record = await promisifyRequest(store.get([fingerprint, pageNumber]))
+      if (record?.version !== FORMAT_VERSION) return null
+
+      this._touchDocument(database, fingerprint)
+      return record.text
+    } catch (error) {
+      console.warn("Could not read cached page text:", error)
+      return null
+    }
+  }
+
+  async _readDocument(fingerprint) {
+    const pages = new Map()
+    const database = await this._openDatabase()
+    if (!database || !fingerprint) return pages
+
+    try {
+      const store = database.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME)
+      const records = await promisifyRequest(store.getAll(documentKeyRange(fingerprint)))
+      for (const record of records) {
+        if (record.version === FORMAT_VERSION) {
+          pages.set(record.pageNumber, record.text)
+        }
+      }
+      if (pages.size > 0) {
+        this._touchDocument(database, fingerprint)
+      }
+    } catch (error) {
+      console.warn("Could not read cached page text:", error)
+    }
+    return pages
+  }
+
+  async _writePage(fingerprint, pageNumber, text) {
+    const database = await this._openDatabase()
+    if (!database || !fingerprint) return
+
+    try {
+      // The page and its document's size go in together
+      const transaction = database.transaction([STORE_NAME, DOCUMENT_STORE_NAME], "readwrite")
+      transaction.objectStore(STORE_NAME).put({ fingerprint, pageNumber, version: FORMAT_VERSION, text })
+
+      const documents = transaction.objectStore(DOCUMENT_STORE_NAME)
+      const entry = await promisifyRequest(documents.get(fingerprint))
+      documents.put({
+        fingerprint,
+        bytes: (entry?.bytes || 0) + estimateBytes(text),
+        lastUsed: Date.now()
+      })
+      await promisifyTransaction(transaction)
+      this._touched = true
+    } catch (error) {
+      // e.g. over the storage quota; the text stays cached in memory
+      console.warn("Could not cache page text:", error)
+      return
+    }
+
+    await this._evict(database, fingerprint)
+  }
+
+  // Mark a stored document as used, once per visit, so it's evicted last
+  async _touchDocument(database, fingerprint) {
+    if (this._touched) return
+    this._touched = true
+
+    try {
+      const transaction = database.transaction(DOCUMENT_STORE_NAME, "readwrite")
+      const documents = transaction.objectStore(DOCUMENT_STORE_NAME)
+      const entry = await promisifyRequest(documents.get(fingerprint))
+      if (entry) {
+        documents.put({ ...entry, lastUsed: Date.now() })
+      }
+      await promisifyTransaction(transaction)
+    } catch (error) {
+      console.warn("Could not update cached page text:", error)
+    }
+  }
+
+  // Remove the least recently used documents (never the open one) until the
+  // stored text fits in maxBytes
+  async _evict(database, currentFingerprint) {
+    try {
+      const transaction = database.transaction([STORE_NAME, DOCUMENT_STORE_NAME], "readwrite")
+      const documents = transaction.objectStore(DOCUMENT_STORE_NAME)
+      const entries = await promisifyRequest(documents.getAll())
+
+      let total = entries.reduce((sum, entry) => sum + entry.bytes, 0)
+      const oldestFirst = entries
+        .filter(entry => entry.fingerprint !== currentFingerprint)
+        .sort((a, b) => a.lastUsed - b.lastUsed)
+
+      for (const entry of oldestFirst) {
+        if (total <= this.maxBytes) break
+        transaction.objectStore(STORE_NAME).delete(documentKeyRange(entry.fingerprint))
+        documents.delete(entry.fingerprint)
+        total -= entry.bytes
+      }
+      await promisifyTransaction(transaction)
+    } catch (error) {
+      console.warn("Could not evict cached page text:", error)
+    }
+  }
+
+  /**
+   * Clean up
+   */
+  destroy() {
+    this.setDocument(null)
+    this._databasePromise?.then(database => database?.close())
+    this._databasePromise = null
+  }
+}
+
+// All of a document's pages, by primary key
+function documentKeyRange(fingerprint) {
+  return IDBKeyRange.bound([fingerprint, 0], [fingerprint, Infinity])
+}
+
+// Rough size of a page's text as stored (strings are UTF-16)
+function estimateBytes(text) {
+  return JSON.stringify(text).length * 2
+}
+
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
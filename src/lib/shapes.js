@@ -0,0 +1,154 @@
+/**
+ * Shape annotations, drawn with the shape tools:
+ *
+ * - rectangle, ellipse: `rect` is [x, y, width, height] of the outline
+ * - straight_line, arrow: `vertices` is the start and end point; arrows get an
+ *   open arrowhead at the end
+ * - polygon: `vertices` are its corners, in drawing order (closed)
+ *
+ * All of them have `color` (the stroke), `thickness` (stroke width in points)
+ * and an optional `fill_color`; colors may carry an alpha channel
+ * (#RRGGBBAA). Coordinates are in annotation space.
+ *
+ * The geometry here is shared by the on-screen SVG and the appearance streams
+ * written on download. It only mixes points, so it works the same in
+ * annotation space (y down) and in PDF space (y up).
+ */
+
+export const SHAPE_ANNOTATION_TYPES = ["rectangle", "ellipse", "straight_line", "arrow", "polygon"]
+
+// Shapes whose inside can be filled
+export const FILLABLE_SHAPE_TYPES = ["rectangle", "ellipse", "polygon"]
+
+export const DEFAULT_SHAPE_THICKNESS = 2
+
+// Arrowhead length as a multiple of the stroke width, its minimum in points,
+// and the angle of each side away from the line
+const ARROW_HEAD_LENGTH = 4
+const ARROW_HEAD_MIN_LENGTH = 8
+const ARROW_HEAD_ANGLE = Math.PI / 6
+
+/**
+ * The open arrowhead at the end of a line.
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} end - The point the arrow points at
+ * @param {number} thickness - Stroke width
+ * @returns {Array<{x: number, y: number}>} Polyline from one side, through
+ *   the tip, to the other side
+ */
+export function getArrowHead(start, end, thickness) {
+  const angle = Math.atan2(end.y - start.y, end.x - start.x)
+  const length = Math.max(ARROW_HEAD_MIN_LENGTH, thickness * ARROW_HEAD_LENGTH)
+  const side = (offset) => ({
+    x: end.x - length * Math.cos(angle + offset),
+    y: end.y - length * Math.sin(angle + offset)
+  })
+  return [side(ARROW_HEAD_ANGLE), end, side(-ARROW_HEAD_ANGLE)]
+}
+
+/**
+ * The points a shape is drawn through, for its bounds.
+ * @param {Object} annotation - A shape annotation
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function getShapePoints(annotation) {
+  if (annotation.annotation_type === "rectangle" || annotation.annotation_type === "ellipse") {
+    if (!annotation.rect) return []
+    const [x, y, width, height] = annotation.rect
+    return [{ x, y }, { x: x + width, y: y + height }]
+  }
+
+  const vertices = annotation.vertices || []
+  if (annotation.annotation_type === "arrow" && vertices.length === 2) {
+    return [...vertices, ...getArrowHead(vertices[0], vertices[1], annotation.thickness || DEFAULT_SHAPE_THICKNESS)]
+  }
+  return vertices
+}
+
+/**
+ * The bounding box of a shape's outline (not counting the stroke width).
+ * @param {Object} annotation - A shape annotation
+ * @returns {Object|null} { minX, minY, maxX, maxY }, or null if it has no points
+ */
+export function getShapeBounds(annotation) {
+  const points = getShapePoints(annotation)
+  if (points.length === 0) return null
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+  for (const point of points) {
+    minX = Math.min(minX, point.x)
+    minY = Math.min(minY, point.y)
+    maxX = Math.max(maxX, point.x)
+    maxY = Math.max(maxY, point.y)
+  }
+  return { minX, minY, maxX, maxY }
+}
+
+/**
+ * SVG elements drawing a shape, in the shape's own coordinates. Used for the
+ * rendered annotation and for the shape tools' preview.
+ * @param {Object} annotation - A shape annotation (or a draft of one)
+ * @returns {Array<SVGElement>}
+ */
+export function createShapeElements(annotation) {
+  const stroke = splitAlpha(annotation.color, "#000000")
+  const fill = annotation.fill_color && FILLABLE_SHAPE_TYPES.includes(annotation.annotation_type)
+    ? splitAlpha(annotation.fill_color)
+    : null
+  const thickness = annotation.thickness || DEFAULT_SHAPE_THICKNESS
+  const elements = []
+
+  const create = (tagName, attributes) => {
+    const element = document.createElementNS("http://www.w3.org/2000/svg", tagName)
+    for (const [name, value] of Object.entries(attributes)) {
+      element.setAttribute(name, value)
+    }
+    element.setAttribute("fill", fill ? fill.color : "none")
+    if (fill) element.setAttribute("fill-opacity", fill.opacity)
+    element.setAttribute("stroke", stroke.color)
+    element.setAttribute("stroke-opacity", stroke.opacity)
+    element.setAttribute("stroke-width", thickness)
+    element.setAttribute("stroke-linecap", "round")
+    element.setAttribute("stroke-linejoin", "round")
+    elements.push(element)
+  }
+
+  const toPoints = (points) => points.map(point => `${point.x},${point.y}`).join(" ")
+  const vertices = annotation.vertices || []
+
+  switch (annotation.annotation_type) {
+    case "rectangle": {
+      const [x, y, width, height] = annotation.rect
+      create("rect", { x, y, width, height })
+      break
+    }
+    case "ellipse": {
+      const [x, y, width, height] = annotation.rect
+      create("ellipse", { cx: x + width / 2, cy: y + height / 2, rx: width / 2, ry: height / 2 })
+      break
+    }
+    case "straight_line":
+    case "arrow":
+      if (vertices.length < 2) break
+      create("line", { x1: vertices[0].x, y1: vertices[0].y, x2: vertices[1].x, y2: vertices[1].y })
+      if (annotation.annotation_type === "arrow") {
+        create("polyline", { points: toPoints(getArrowHead(vertices[0], vertices[1], thickness)) })
+      }
+      break
+    case "polygon":
+      // An unfinished polygon (while drawing) is left open
+      create(annotation.closed === false ? "polyline" : "polygon", { points: toPoints(vertices) })
+      break
+  }
+
+  return elements
+}
+
+// Split #RRGGBBAA into a color and an opacity
+function splitAlpha(color, fallback) {
+  const value = color || fallback
+  if (value.length === 9 && value.startsWith("#")) {
+    return { color: value.slice(0, 7), opacity: parseInt(value.slice(7, 9), 16) / 255 }
+  }
+  return { color: value, opacity: 1 }
+}
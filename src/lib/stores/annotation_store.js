@@ -1,7 +1,10 @@
 /**
  * Base class for annotation storage implementations.
  *
- * Subclasses must implement all methods to provide persistence for annotations.
+ * Subclasses must implement the annotation methods (load, create, update,
+ * delete, restore) to provide persistence for annotations. The view state,
+ * bookmark and form value methods are optional: by default view state and
+ * form values aren't persisted and the document has no bookmarks.
  * The AnnotationManager delegates all storage operations to a store instance.
  *
  * @example
@@ -56,4 +59,79 @@ export class AnnotationStore {
   async restore(id) {
     throw new Error("AnnotationStore.restore() not implemented")
   }
+
+  /**
+   * Load per-document view state saved alongside the annotations.
+   * Optional - stores that don't persist view state return null.
+   * @returns {Promise<Object|null>} e.g. { page_rotations: { "3": 90 }, imported_annotation_ids: ["12R"] }
+   */
+  async loadViewState() {
+    return null
+  }
+
+  /**
+   * Save per-document view state. Receives the complete state, not a patch.
+   * Optional - stores that don't persist view state ignore it.
+   * @param {Object} state - e.g. { page_rotations: { "3": 90 } }
+   * @returns {Promise<Object|null>} Saved state
+   */
+  async saveViewState(state) {
+    return null
+  }
+
+  /**
+   * Load the document's bookmarks.
+   * Optional - stores that don't persist bookmarks return none.
+   * @returns {Promise<Array>} e.g. [{ id, page: 3, x: 0, y: 120, title: "Budget" }]
+   */
+  async loadBookmarks() {
+    return []
+  }
+
+  /**
+   * Create a bookmark.
+   * @param {Object} data - Bookmark data (without id): page, x, y, title
+   * @returns {Promise<Object>} Created bookmark with server-assigned id
+   */
+  async createBookmark(data) {
+    throw new Error("AnnotationStore.createBookmark() not implemented")
+  }
+
+  /**
+   * Update a bookmark.
+   * @param {string|number} id - Bookmark id
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated bookmark
+   */
+  async updateBookmark(id, data) {
+    throw new Error("AnnotationStore.updateBookmark() not implemented")
+  }
+
+  /**
+   * Delete a bookmark.
+   * @param {string|number} id - Bookmark id
+   * @returns {Promise<Object>} Deleted bookmark
+   */
+  async deleteBookmark(id) {
+    throw new Error("AnnotationStore.deleteBookmark() not implemented")
+  }
+
+  /**
+   * Load the values filled into the PDF's form fields, keyed by field name.
+   * Optional - stores that don't persist form values return null.
+   * @returns {Promise<Object|null>} e.g. { "name": "Ada", "agree": true }
+   */
+  async loadFormValues() {
+    return null
+  }
+
+  /**
+   * Save the form's values. Receives every filled field, not a patch.
+   * Optional - stores that don't persist form values ignore them.
+   * @param {Object} values - Field name -> value
+   * @returns {Promise<Object|null>} Saved values
+   */
+  async saveFormValues(values) {
+    return null
+  }
 }
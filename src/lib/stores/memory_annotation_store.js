@@ -17,6 +17,9 @@ export class MemoryAnnotationStore extends AnnotationStore {
     super()
     this._annotations = []
     this._nextId = 1
+    this._viewState = null
+    this._bookmarks = []
+    this._formValues = null
   }
 
   async load() {
@@ -67,4 +70,65 @@ export class MemoryAnnotationStore extends AnnotationStore {
     console.warn("MemoryAnnotationStore.restore() is not supported")
     return null
   }
+
+  async loadViewState() {
+    return this._viewState ? { ...this._viewState } : null
+  }
+
+  async saveViewState(state) {
+    this._viewState = { ...state }
+    return this._viewState
+  }
+
+  async loadBookmarks() {
+    return [...this._bookmarks]
+  }
+
+  async createBookmark(data) {
+    const bookmark = {
+      ...data,
+      id: `local-bookmark-${this._nextId++}`,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }
+
+    this._bookmarks.push(bookmark)
+    return bookmark
+  }
+
+  async updateBookmark(id, data) {
+    const index = this._bookmarks.findIndex(b => b.id === id)
+    if (index === -1) {
+      throw new Error("Bookmark not found")
+    }
+
+    const bookmark = {
+      ...this._bookmarks[index],
+      ...data,
+      id, // Preserve original id
+      updated_at: new Date().toISOString()
+    }
+
+    this._bookmarks[index] = bookmark
+    return bookmark
+  }
+
+  async deleteBookmark(id) {
+    const index = this._bookmarks.findIndex(b => b.id === id)
+    if (index === -1) {
+      throw new Error("Bookmark not found")
+    }
+
+    const [bookmark] = this._bookmarks.splice(index, 1)
+    return bookmark
+  }
+
+  async loadFormValues() {
+    return this._formValues ? { ...this._formValues } : null
+  }
+
+  async saveFormValues(values) {
+    this._formValues = { ...values }
+    return this._formValues
+  }
 }
@@ -10,6 +10,14 @@ import { AnnotationStore } from "./annotation_store.js"
  * - PATCH  {baseUrl}/{id}           - update
  * - DELETE {baseUrl}/{id}           - delete
  * - PATCH  {baseUrl}/{id}/restore   - restore
+ * - GET    {baseUrl}/view_state.json - load view state (optional; 404 = none)
+ * - PATCH  {baseUrl}/view_state      - save view state
+ * - GET    {baseUrl}/bookmarks.json  - load bookmarks (optional; 404 = none)
+ * - POST   {baseUrl}/bookmarks       - create bookmark
+ * - PATCH  {baseUrl}/bookmarks/{id}  - update bookmark
+ * - DELETE {baseUrl}/bookmarks/{id}  - delete bookmark
+ * - GET    {baseUrl}/form_values.json - load form values (optional; 404 = none)
+ * - PATCH  {baseUrl}/form_values      - save form values
  *
  * URL patterns can be customized via function options:
  *
@@ -45,6 +53,14 @@ export class RestAnnotationStore extends AnnotationStore {
    * @param {Function} [options.updateUrl] - (id) => string - URL for updating annotations
    * @param {Function} [options.deleteUrl] - (id) => string - URL for deleting annotations
    * @param {Function} [options.restoreUrl] - (id) => string - URL for restoring annotations
+   * @param {Function} [options.loadViewStateUrl] - () => string - URL for loading view state
+   * @param {Function} [options.saveViewStateUrl] - () => string - URL for saving view state
+   * @param {Function} [options.loadBookmarksUrl] - () => string - URL for loading bookmarks
+   * @param {Function} [options.createBookmarkUrl] - () => string - URL for creating bookmarks
+   * @param {Function} [options.updateBookmarkUrl] - (id) => string - URL for updating bookmarks
+   * @param {Function} [options.deleteBookmarkUrl] - (id) => string - URL for deleting bookmarks
+   * @param {Function} [options.loadFormValuesUrl] - () => string - URL for loading form values
+   * @param {Function} [options.saveFormValuesUrl] - () => string - URL for saving form values
    */
   constructor(options = {}) {
     super()
@@ -56,6 +72,14 @@ export class RestAnnotationStore extends AnnotationStore {
     this.getUpdateUrl = options.updateUrl || ((id) => `${this.baseUrl}/${id}`)
     this.getDeleteUrl = options.deleteUrl || ((id) => `${this.baseUrl}/${id}`)
     this.getRestoreUrl = options.restoreUrl || ((id) => `${this.baseUrl}/${id}/restore`)
+    this.getLoadViewStateUrl = options.loadViewStateUrl || (() => `${this.baseUrl}/view_state.json`)
+    this.getSaveViewStateUrl = options.saveViewStateUrl || (() => `${this.baseUrl}/view_state`)
+    this.getLoadBookmarksUrl = options.loadBookmarksUrl || (() => `${this.baseUrl}/bookmarks.json`)
+    this.getCreateBookmarkUrl = options.createBookmarkUrl || (() => `${this.baseUrl}/bookmarks`)
+    this.getUpdateBookmarkUrl = options.updateBookmarkUrl || ((id) => `${this.baseUrl}/bookmarks/${id}`)
+    this.getDeleteBookmarkUrl = options.deleteBookmarkUrl || ((id) => `${this.baseUrl}/bookmarks/${id}`)
+    this.getLoadFormValuesUrl = options.loadFormValuesUrl || (() => `${this.baseUrl}/form_values.json`)
+    this.getSaveFormValuesUrl = options.saveFormValuesUrl || (() => `${this.baseUrl}/form_values`)
   }
 
   async load() {
@@ -128,4 +152,130 @@ export class RestAnnotationStore extends AnnotationStore {
       throw new Error("Failed to restore annotation")
     }
   }
+
+  async loadViewState() {
+    const request = new FetchRequest("get", this.getLoadViewStateUrl(), {
+      responseKind: "json"
+    })
+    const response = await request.perform()
+
+    if (response.ok) {
+      return await response.json
+    } else if (response.statusCode === 404) {
+      // Backend doesn't store view state (or has none yet for this document)
+      return null
+    } else {
+      throw new Error("Failed to load view state")
+    }
+  }
+
+  async saveViewState(state) {
+    const request = new FetchRequest("patch", this.getSaveViewStateUrl(), {
+      body: JSON.stringify({ view_state: state }),
+      contentType: "application/json",
+      responseKind: "json"
+    })
+
+    const response = await request.perform()
+
+    if (response.ok) {
+      return await response.json
+    } else {
+      throw new Error("Failed to save view state")
+    }
+  }
+
+  async loadBookmarks() {
+    const request = new FetchRequest("get", this.getLoadBookmarksUrl(), {
+      responseKind: "json"
+    })
+    const response = await request.perform()
+
+    if (response.ok) {
+      return await response.json
+    } else if (response.statusCode === 404) {
+      // Backend doesn't store bookmarks
+      return []
+    } else {
+      throw new Error("Failed to load bookmarks")
+    }
+  }
+
+  async createBookmark(data) {
+    const request = new FetchRequest("post", this.getCreateBookmarkUrl(), {
+      body: JSON.stringify({ bookmark: data }),
+      contentType: "application/json",
+      responseKind: "json"
+    })
+
+    const response = await request.perform()
+
+    if (response.ok) {
+      return await response.json
+    } else {
+      throw new Error("Failed to create bookmark")
+    }
+  }
+
+  async updateBookmark(id, data) {
+    const request = new FetchRequest("patch", this.getUpdateBookmarkUrl(id), {
+      body: JSON.stringify({ bookmark: data }),
+      contentType: "application/json",
+      responseKind: "json"
+    })
+
+    const response = await request.perform()
+
+    if (response.ok) {
+      return await response.json
+    } else {
+      throw new Error("Failed to update bookmark")
+    }
+  }
+
+  async deleteBookmark(id) {
+    const request = new FetchRequest("delete", this.getDeleteBookmarkUrl(id), {
+      responseKind: "json"
+    })
+
+    const response = await request.perform()
+
+    if (response.ok) {
+      return await response.json
+    } else {
+      throw new Error("Failed to delete bookmark")
+    }
+  }
+
+  async loadFormValues() {
+    const request = new FetchRequest("get", this.getLoadFormValuesUrl(), {
+      responseKind: "json"
+    })
+    const response = await request.perform()
+
+    if (response.ok) {
+      return await response.json
+    } else if (response.statusCode === 404) {
+      // Backend doesn't store form values (or has none yet for this document)
+      return null
+    } else {
+      throw new Error("Failed to load form values")
+    }
+  }
+
+  async saveFormValues(values) {
+    const request = new FetchRequest("patch", this.getSaveFormValuesUrl(), {
+      body: JSON.stringify({ form_values: values }),
+      contentType: "application/json",
+      responseKind: "json"
+    })
+
+    const response = await request.perform()
+
+    if (response.ok) {
+      return await response.json
+    } else {
+      throw new Error("Failed to save form values")
+    }
+  }
 }
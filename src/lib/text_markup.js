@@ -0,0 +1,54 @@
+/**
+ * Geometry of the lines drawn for strikeout and squiggly text markup, shared
+ * by the on-screen SVG and the appearance streams written on download.
+ *
+ * Quads are { p1, p2, p3, p4 }: top-left, top-right, bottom-left and
+ * bottom-right of a run of text. The functions only mix points, so they work
+ * the same in annotation space (y down) and in PDF space (y up).
+ */
+
+// Height of the squiggle as a share of the text height, and its limits in points
+const SQUIGGLE_AMPLITUDE = 0.15
+const SQUIGGLE_MIN_AMPLITUDE = 1
+const SQUIGGLE_MAX_AMPLITUDE = 3
+
+/**
+ * The line through the middle of a quad.
+ * @param {Object} quad
+ * @returns {Array<{x: number, y: number}>} Start and end points
+ */
+export function getStrikeOutLine(quad) {
+  return [midpoint(quad.p1, quad.p3), midpoint(quad.p2, quad.p4)]
+}
+
+/**
+ * The zigzag along the bottom of a quad, rising into the text and back.
+ * @param {Object} quad
+ * @returns {Array<{x: number, y: number}>} Points of the polyline
+ */
+export function getSquigglePoints(quad) {
+  const { p1, p3, p4 } = quad
+  const height = Math.hypot(p1.x - p3.x, p1.y - p3.y)
+  const length = Math.hypot(p4.x - p3.x, p4.y - p3.y)
+  if (height === 0 || length === 0) return [p3, p4]
+
+  const amplitude = Math.min(SQUIGGLE_MAX_AMPLITUDE, Math.max(SQUIGGLE_MIN_AMPLITUDE, height * SQUIGGLE_AMPLITUDE))
+  const up = { x: (p1.x - p3.x) / height * amplitude, y: (p1.y - p3.y) / height * amplitude }
+
+  // A peak every amplitude * 2 along the text, evened out to fit its length
+  const steps = Math.max(2, Math.round(length / (amplitude * 2)))
+  const points = []
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps
+    const rise = i % 2 === 1 ? 1 : 0
+    points.push({
+      x: p3.x + (p4.x - p3.x) * t + up.x * rise,
+      y: p3.y + (p4.y - p3.y) * t + up.y * rise
+    })
+  }
+  return points
+}
+
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+}
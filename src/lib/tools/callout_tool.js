@@ -0,0 +1,138 @@
+import { FreeTextTool } from "./free_text_tool"
+import {
+  createCalloutElements, DEFAULT_FREE_TEXT_WIDTH, FREE_TEXT_LINE_HEIGHT, FREE_TEXT_PADDING
+} from "../free_text"
+
+// Drags shorter than this (in screen pixels) are clicks, not leader lines
+const MIN_DRAG_DISTANCE = 3
+
+// Where a click (rather than a drag) puts the box, from the point, in points
+const DEFAULT_BOX_OFFSET = { x: 40, y: -40 }
+
+/**
+ * CalloutTool - Places text boxes with a leader line (see free_text.js).
+ *
+ * Press on the spot to point at and drag to where the text should go; the
+ * box opens there for typing, like FreeTextTool's. A click without a drag
+ * puts the box up and to the right of the spot.
+ */
+export class CalloutTool extends FreeTextTool {
+  constructor(pdfViewer) {
+    super(pdfViewer)
+
+    // Callout being placed
+    this.pageNumber = null
+    this.pageContainer = null
+    this.point = null
+    this.previewSvg = null
+  }
+
+  onActivate() {
+    super.onActivate()
+    this.pdfViewer.pagesContainer.classList.add("callout-mode")
+  }
+
+  async onDeactivate() {
+    this.pdfViewer.pagesContainer.classList.remove("callout-mode")
+    this._cancelPlacing()
+    await super.onDeactivate()
+  }
+
+  onPointerDown(event) {
+    // Clicking away from an open box saves it (on blur) rather than starting another
+    if (this.editor) return
+
+    const pageContainer = event.target.closest(".pdf-page")
+    if (!pageContainer) return
+
+    // Don't start callouts on annotations or the edit toolbar
+    if (event.target.closest(".annotation") || event.target.closest(".annotation-edit-toolbar")) return
+
+    const annotationLayer = pageContainer.querySelector(".annotation-layer")
+    if (!annotationLayer) return
+
+    this.pageNumber = parseInt(pageContainer.dataset.pageNumber, 10)
+    this.pageContainer = pageContainer
+    this.point = this._getPagePoint(event, pageContainer, this.pageNumber)
+    this.previewSvg = this._createCalloutPreview(annotationLayer, this.pageNumber)
+
+    // Add drawing state class to maintain cursor during drag
+    this.pdfViewer.pagesContainer.classList.add("is-drawing")
+
+    // Capture pointer to receive all move/up events even outside the container
+    event.target.setPointerCapture(event.pointerId)
+
+    // Keep focus from moving to the page, so the editor can take it
+    event.preventDefault()
+  }
+
+  onPointerMove(event) {
+    if (!this.point) return
+
+    const rect = this._getBoxRect(this._getPagePoint(event, this.pageContainer, this.pageNumber))
+    const draft = { ...this._getNewBoxStyle(), rect, callout_point: this.point }
+
+    // The line, and an outline where the box will go
+    const outline = document.createElementNS("http://www.w3.org/2000/svg", "rect")
+    outline.classList.add("callout-preview-box")
+    const [x, y, width, height] = rect
+    outline.setAttribute("x", x)
+    outline.setAttribute("y", y)
+    outline.setAttribute("width", width)
+    outline.setAttribute("height", height)
+    this.previewSvg.replaceChildren(outline, ...createCalloutElements(draft))
+  }
+
+  onPointerUp(event) {
+    if (!this.point) return
+
+    if (event.target.hasPointerCapture?.(event.pointerId)) {
+      event.target.releasePointerCapture(event.pointerId)
+    }
+
+    let boxPoint = this._getPagePoint(event, this.pageContainer, this.pageNumber)
+    const dragged = Math.hypot(boxPoint.x - this.point.x, boxPoint.y - this.point.y) * this.viewer.getScale()
+    if (dragged < MIN_DRAG_DISTANCE) {
+      boxPoint = { x: this.point.x + DEFAULT_BOX_OFFSET.x, y: this.point.y + DEFAULT_BOX_OFFSET.y }
+    }
+
+    const pageNumber = this.pageNumber
+    const style = { ...this._getNewBoxStyle(), callout_point: this.point }
+    const rect = this._getBoxRect(boxPoint)
+    this._cancelPlacing()
+
+    this._openEditor(pageNumber, null, rect, style)
+  }
+
+  // A new one-line box with the middle of its near side at the given point,
+  // so the line ends where it was dragged to, kept on the page
+  _getBoxRect(boxPoint) {
+    const { width: pageWidth, height: pageHeight } = this.viewer.getUnrotatedPageSize(this.pageNumber)
+    const { fontSize, borderWidth } = this.freeTextOptions
+    const width = Math.min(DEFAULT_FREE_TEXT_WIDTH, pageWidth)
+    const height = fontSize * FREE_TEXT_LINE_HEIGHT + (FREE_TEXT_PADDING + borderWidth) * 2
+
+    const x = boxPoint.x >= this.point.x ? boxPoint.x : boxPoint.x - width
+    const y = boxPoint.y - height / 2
+    return [
+      Math.max(0, Math.min(x, pageWidth - width)),
+      Math.max(0, Math.min(y, pageHeight - height)),
+      width,
+      height
+    ]
+  }
+
+  _cancelPlacing() {
+    this.previewSvg?.remove()
+    this.previewSvg = null
+    this.pageNumber = null
+    this.pageContainer = null
+    this.point = null
+    this.pdfViewer.pagesContainer.classList.remove("is-drawing")
+  }
+
+  destroy() {
+    this._cancelPlacing()
+    super.destroy()
+  }
+}
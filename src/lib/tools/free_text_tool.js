@@ -0,0 +1,358 @@
+import { BaseTool } from "./base_tool"
+import {
+  applyFreeTextStyle, layoutFreeTextElement, createCalloutElements,
+  DEFAULT_FREE_TEXT_WIDTH, MIN_FREE_TEXT_SIZE
+} from "../free_text"
+
+/**
+ * FreeTextTool - Places text boxes on the page (see free_text.js).
+ *
+ * Clicking the page opens an editor there; clicking away or pressing
+ * Ctrl+Enter saves the text, Escape discards it. Existing boxes are edited by
+ * double-clicking them (in any mode) and resized with the handle on their
+ * bottom-right corner while selected; callouts also get a handle on each end
+ * of their leader line.
+ *
+ * The text color comes from the toolbar color picker, the font size, border
+ * and background from FreeTextOptions.
+ */
+export class FreeTextTool extends BaseTool {
+  constructor(pdfViewer) {
+    super(pdfViewer)
+    this.freeTextOptions = pdfViewer.freeTextOptions
+
+    // Open editor: { textarea, preview, pageNumber, annotation, rect, style, textHeight }
+    this.editor = null
+
+    this.previousColor = null
+  }
+
+  onActivate() {
+    this.pdfViewer.pagesContainer.classList.add("free-text-mode")
+
+    // Switch to the text box tool's remembered color
+    this.previousColor = this.pdfViewer.colorPicker.currentColor
+    this.pdfViewer.colorPicker.setColor(this.freeTextOptions.textColor)
+    this.freeTextOptions.show()
+  }
+
+  async onDeactivate() {
+    this.pdfViewer.pagesContainer.classList.remove("free-text-mode")
+    this.freeTextOptions.hide()
+
+    // Keep what was typed in an open box
+    const saving = this._commit()
+
+    // Remember the text color, then restore the one from before
+    if (this.previousColor) {
+      this.freeTextOptions.textColor = this.pdfViewer.colorPicker.currentColor
+      this.pdfViewer.colorPicker.setColor(this.previousColor)
+      this.previousColor = null
+    }
+
+    await saving
+  }
+
+  onPointerDown(event) {
+    // Clicking away from an open box saves it (on blur) rather than starting another
+    if (this.editor) return
+
+    const pageContainer = event.target.closest(".pdf-page")
+    if (!pageContainer) return
+
+    // Don't place boxes on annotations or the edit toolbar
+    if (event.target.closest(".annotation") || event.target.closest(".annotation-edit-toolbar")) return
+
+    const pageNumber = parseInt(pageContainer.dataset.pageNumber, 10)
+    const point = this._getPagePoint(event, pageContainer, pageNumber)
+
+    // New boxes start at the click, kept on the page
+    const { width: pageWidth } = this.viewer.getUnrotatedPageSize(pageNumber)
+    const width = Math.min(DEFAULT_FREE_TEXT_WIDTH, pageWidth)
+    const x = Math.max(0, Math.min(point.x, pageWidth - width))
+
+    // Keep focus from moving to the page, so the editor can take it
+    event.preventDefault()
+
+    this._openEditor(pageNumber, null, [x, point.y, width, 0], this._getNewBoxStyle())
+  }
+
+  /**
+   * Edit the text of an existing box in place.
+   * @param {Object} annotation - A free_text annotation
+   */
+  editText(annotation) {
+    if (this.editor) this._commit()
+
+    this._openEditor(annotation.page, annotation, annotation.rect, annotation)
+    this._setAnnotationHidden(annotation, true)
+  }
+
+  /**
+   * Whether a box is hidden behind the editor.
+   * @param {string} annotationId
+   * @returns {boolean}
+   */
+  isEditing(annotationId) {
+    return this.editor?.annotation?.id === annotationId
+  }
+
+  /**
+   * Keep the open editor when its page's annotation layer is re-rendered.
+   * @param {number} pageNumber
+   * @param {HTMLElement} annotationLayer - The new layer
+   */
+  onAnnotationLayerRendered(pageNumber, annotationLayer) {
+    if (this.editor?.pageNumber !== pageNumber) return
+
+    if (this.editor.preview) annotationLayer.appendChild(this.editor.preview)
+    annotationLayer.appendChild(this.editor.textarea)
+    this.editor.textarea.focus({ preventScroll: true })
+  }
+
+  // The settings new boxes are made with
+  _getNewBoxStyle() {
+    return {
+      color: this.pdfViewer.getHighlightColor(),
+      font_size: this.freeTextOptions.fontSize,
+      border_width: this.freeTextOptions.borderWidth,
+      background_color: this.freeTextOptions.backgroundColor
+    }
+  }
+
+  // Pointer position in annotation space, undoing any view rotation
+  _getPagePoint(event, pageContainer, pageNumber) {
+    const bounds = pageContainer.getBoundingClientRect()
+    const scale = this.viewer.getScale()
+    return this.viewer.displayToPagePoint(
+      pageNumber,
+      (event.clientX - bounds.left) / scale,
+      (event.clientY - bounds.top) / scale
+    )
+  }
+
+  // An SVG over the whole annotation layer, for drawing a callout's leader
+  // line outside its box
+  _createCalloutPreview(annotationLayer, pageNumber) {
+    const { width: pageWidth, height: pageHeight } = this.viewer.getUnrotatedPageSize(pageNumber)
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg")
+    svg.classList.add("callout-preview")
+    svg.setAttribute("viewBox", `0 0 ${pageWidth} ${pageHeight}`)
+    annotationLayer.appendChild(svg)
+    return svg
+  }
+
+  _openEditor(pageNumber, annotation, rect, style) {
+    const pageContainer = this.viewer.getPageContainer(pageNumber)
+    const annotationLayer = pageContainer?.querySelector(".annotation-layer")
+    if (!annotationLayer) return
+
+    const { width: pageWidth, height: pageHeight } = this.viewer.getUnrotatedPageSize(pageNumber)
+    const [x, y, width, height] = rect
+
+    // A callout's line follows the box as it grows
+    const preview = style.callout_point ? this._createCalloutPreview(annotationLayer, pageNumber) : null
+
+    const textarea = document.createElement("textarea")
+    textarea.className = "free-text-editor"
+    textarea.value = annotation?.contents || ""
+    textarea.setAttribute("aria-label", "Text box")
+    applyFreeTextStyle(textarea, style)
+    textarea.style.left = `${(x / pageWidth) * 100}%`
+    textarea.style.top = `${(y / pageHeight) * 100}%`
+    textarea.style.width = `${(width / pageWidth) * 100}%`
+    textarea.style.minHeight = `${(height / pageHeight) * 100}%`
+
+    this.editor = { textarea, preview, pageNumber, annotation, rect, style, textHeight: 0 }
+    annotationLayer.appendChild(textarea)
+    this._fitEditor()
+
+    textarea.addEventListener("input", () => this._fitEditor())
+    textarea.addEventListener("keydown", (event) => {
+      // Typing shouldn't trigger the viewer's shortcuts
+      event.stopPropagation()
+
+      if (event.key === "Escape") {
+        event.preventDefault()
+        this._cancel()
+      } else if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault()
+        this._commit()
+      }
+    })
+    textarea.addEventListener("blur", () => {
+      if (this.editor?.textarea === textarea) this._commit()
+    })
+
+    // Focus after the browser finishes processing the pointer event
+    // Use preventScroll to avoid iOS Safari scrolling the page when focusing
+    requestAnimationFrame(() => {
+      textarea.focus({ preventScroll: true })
+      textarea.setSelectionRange(textarea.value.length, textarea.value.length)
+    })
+  }
+
+  // Grow the editor to fit its text, and note how tall that is in points
+  // (measured here, as the editor may be out of the page by the time it's saved)
+  _fitEditor() {
+    const { textarea, preview, rect, style } = this.editor
+    textarea.style.height = "auto"
+    const border = textarea.offsetHeight - textarea.clientHeight
+    textarea.style.height = `${textarea.scrollHeight + border}px`
+    this.editor.textHeight = textarea.offsetHeight / this.viewer.getScale()
+
+    if (preview) {
+      const [x, y, width, height] = rect
+      const draft = { ...style, rect: [x, y, width, Math.max(height, this.editor.textHeight)] }
+      preview.replaceChildren(...createCalloutElements(draft))
+    }
+  }
+
+  async _commit() {
+    if (!this.editor) return
+
+    const { textarea, preview, pageNumber, annotation, rect, style, textHeight } = this.editor
+    this.editor = null
+
+    // The box is as tall as its text, or as it was made if that's taller
+    const [x, y, width, height] = rect
+    const newRect = [x, y, width, Math.max(height, textHeight)]
+    const contents = textarea.value
+    textarea.remove()
+    preview?.remove()
+
+    if (annotation) {
+      this._setAnnotationHidden(annotation, false)
+
+      if (!contents.trim()) {
+        // Emptying a box removes it (the undo bar can bring it back)
+        await this.annotationManager.deleteAnnotation(annotation.id)
+      } else if (contents !== annotation.contents || newRect[3] !== height) {
+        await this.annotationManager.updateAnnotation(annotation.id, { contents, rect: newRect })
+      }
+    } else if (contents.trim()) {
+      await this.annotationManager.createAnnotation({
+        ...style,
+        annotation_type: "free_text",
+        page: pageNumber,
+        rect: newRect,
+        contents,
+        subject: style.callout_point ? "Callout" : "Free Text"
+      })
+    }
+  }
+
+  _cancel() {
+    if (!this.editor) return
+
+    const { textarea, preview, annotation } = this.editor
+    this.editor = null
+    textarea.remove()
+    preview?.remove()
+
+    if (annotation) this._setAnnotationHidden(annotation, false)
+  }
+
+  /**
+   * Resize a box by dragging the handle on its bottom-right corner.
+   * @param {Object} annotation - A free_text annotation
+   * @param {HTMLElement} element - The box's rendered element
+   * @param {PointerEvent} event - pointerdown on the handle
+   * @param {Function} onChange - Called with (annotation, changes, "resized")
+   *   on release, to save the change
+   */
+  startResize(annotation, element, event, onChange) {
+    const { width: pageWidth, height: pageHeight } = this.viewer.getUnrotatedPageSize(annotation.page)
+    const [x, y] = annotation.rect
+
+    this._dragHandle(annotation, element, event, "resized", onChange, (point) => {
+      const width = Math.min(pageWidth - x, Math.max(MIN_FREE_TEXT_SIZE, point.x - x))
+      const height = Math.min(pageHeight - y, Math.max(MIN_FREE_TEXT_SIZE, point.y - y))
+      return { rect: [x, y, width, height] }
+    })
+  }
+
+  /**
+   * Move one end of a callout's leader line: the point it points at, or the
+   * box it comes from (which moves the box).
+   * @param {Object} annotation - A free_text annotation with a callout_point
+   * @param {HTMLElement} element - The box's rendered element
+   * @param {string} end - "point" or "box"
+   * @param {PointerEvent} event - pointerdown on the handle
+   * @param {Function} onChange - Called with (annotation, changes, action) on
+   *   release, to save the change; action is "reshaped" or "moved"
+   */
+  startCalloutDrag(annotation, element, end, event, onChange) {
+    const { width: pageWidth, height: pageHeight } = this.viewer.getUnrotatedPageSize(annotation.page)
+    const clamp = (value, max) => Math.min(max, Math.max(0, value))
+
+    if (end === "point") {
+      this._dragHandle(annotation, element, event, "reshaped", onChange, (point) => ({
+        callout_point: { x: clamp(point.x, pageWidth), y: clamp(point.y, pageHeight) }
+      }))
+      return
+    }
+
+    // The box keeps its offset from the pointer as it's dragged
+    const [x, y, width, height] = annotation.rect
+    const start = this._getPagePoint(event, element.closest(".pdf-page"), annotation.page)
+    this._dragHandle(annotation, element, event, "moved", onChange, (point) => ({
+      rect: [
+        clamp(x + point.x - start.x, pageWidth - width),
+        clamp(y + point.y - start.y, pageHeight - height),
+        width,
+        height
+      ]
+    }))
+  }
+
+  // Drag one of a box's handles. getChanges turns the pointer position into
+  // the fields that change; the box is laid out with them as it's dragged and
+  // they're passed to onChange on release.
+  _dragHandle(annotation, element, event, action, onChange, getChanges) {
+    // Keep the active tool from acting on the drag
+    event.preventDefault()
+    event.stopPropagation()
+
+    const handle = event.currentTarget
+    handle.setPointerCapture(event.pointerId)
+
+    const pageNumber = annotation.page
+    const pageContainer = element.closest(".pdf-page")
+    const { width: pageWidth, height: pageHeight } = this.viewer.getUnrotatedPageSize(pageNumber)
+    let changes = null
+
+    const onPointerMove = (moveEvent) => {
+      changes = getChanges(this._getPagePoint(moveEvent, pageContainer, pageNumber))
+      layoutFreeTextElement(element, { ...annotation, ...changes }, pageWidth, pageHeight)
+    }
+
+    const onPointerUp = async (upEvent) => {
+      handle.removeEventListener("pointermove", onPointerMove)
+      handle.removeEventListener("pointerup", onPointerUp)
+      handle.removeEventListener("pointercancel", onPointerUp)
+      if (handle.hasPointerCapture(upEvent.pointerId)) {
+        handle.releasePointerCapture(upEvent.pointerId)
+      }
+
+      if (changes) {
+        await onChange(annotation, changes, action)
+      }
+    }
+
+    handle.addEventListener("pointermove", onPointerMove)
+    handle.addEventListener("pointerup", onPointerUp)
+    handle.addEventListener("pointercancel", onPointerUp)
+  }
+
+  _setAnnotationHidden(annotation, hidden) {
+    const element = this.viewer.getPageContainer(annotation.page)
+      ?.querySelector(`.annotation[data-annotation-id="${annotation.id}"]`)
+    element?.classList.toggle("hidden", hidden)
+  }
+
+  destroy() {
+    this._cancel()
+    super.destroy()
+  }
+}
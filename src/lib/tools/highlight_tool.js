@@ -301,10 +301,11 @@ export class HighlightTool extends TextSelectionTool {
     const scale = this.pdfViewer.viewer.getScale()
 
     // Convert screen coordinates to PDF coordinates
-    const pdfPoints = this.freehandPoints.map(point => ({
-      x: (point.x - pageRect.left) / scale,
-      y: (point.y - pageRect.top) / scale
-    }))
+    const pdfPoints = this.freehandPoints.map(point => this.pdfViewer.viewer.displayToPagePoint(
+      this.freehandPageNumber,
+      (point.x - pageRect.left) / scale,
+      (point.y - pageRect.top) / scale
+    ))
 
     // Calculate bounding rect
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
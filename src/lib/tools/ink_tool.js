@@ -206,14 +206,19 @@ export class InkTool extends BaseTool {
     const scale = this.pdfViewer.viewer.getScale()
     const color = this.pdfViewer.getHighlightColor() || ColorPicker.DEFAULT_INK_COLOR
 
-    // Convert stroke to PDF coordinates
-    const pdfPoints = this.currentStroke.points.map(point => ({
+    // Stroke in unscaled displayed coordinates, for the preview
+    const displayPoints = this.currentStroke.points.map(point => ({
       x: (point.x - pageRect.left) / scale,
       y: (point.y - pageRect.top) / scale
     }))
 
+    // Convert stroke to PDF coordinates, undoing any view rotation
+    const pdfPoints = displayPoints.map(point =>
+      this.pdfViewer.viewer.displayToPagePoint(this.currentPageNumber, point.x, point.y)
+    )
+
     // Create temporary SVG element for immediate visual feedback
-    const tempElement = this._createTempStrokeElement(pdfPoints, color, pageContainer, scale)
+    const tempElement = this._createTempStrokeElement(displayPoints, color, pageContainer, scale)
 
     // Add to pending batch
     this.pendingStrokes.push({ pdfPoints, tempElement })
@@ -221,7 +226,7 @@ export class InkTool extends BaseTool {
     this.pendingColor = color
   }
 
-  _createTempStrokeElement(pdfPoints, color, pageContainer, scale) {
+  _createTempStrokeElement(displayPoints, color, pageContainer, scale) {
     // Create SVG element
     const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg")
     svg.classList.add("ink-temp-stroke")
@@ -238,7 +243,7 @@ export class InkTool extends BaseTool {
 
     // Create polyline for the stroke
     const polyline = document.createElementNS("http://www.w3.org/2000/svg", "polyline")
-    const pointsStr = pdfPoints.map(p => `${p.x * scale},${p.y * scale}`).join(" ")
+    const pointsStr = displayPoints.map(p => `${p.x * scale},${p.y * scale}`).join(" ")
     polyline.setAttribute("points", pointsStr)
     polyline.setAttribute("fill", "none")
     polyline.setAttribute("stroke", color)
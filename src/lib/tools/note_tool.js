@@ -187,8 +187,9 @@ export class NoteTool extends BaseTool {
     if (!pageContainer) return
 
     const scale = this.viewer.getScale()
-    const x = annotation.rect[0] * scale
-    const y = annotation.rect[1] * scale
+    const point = this.viewer.pageToDisplayPoint(annotation.page, annotation.rect[0], annotation.rect[1])
+    const x = point.x * scale
+    const y = point.y * scale
     const rect = pageContainer.getBoundingClientRect()
 
     // Store the annotation being edited
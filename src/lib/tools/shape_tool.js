@@ -0,0 +1,362 @@
+import { BaseTool } from "./base_tool"
+import { createShapeElements, FILLABLE_SHAPE_TYPES } from "../shapes"
+
+// Drags shorter than this (in screen pixels) are clicks, not shapes
+const MIN_DRAG_DISTANCE = 3
+
+// Clicking this close (in screen pixels) to a polygon's first corner closes it
+const CLOSE_DISTANCE = 8
+
+// Subject written for each shape, as Acrobat names them
+const SHAPE_SUBJECTS = {
+  rectangle: "Rectangle",
+  ellipse: "Ellipse",
+  straight_line: "Line",
+  arrow: "Arrow",
+  polygon: "Polygon"
+}
+
+/**
+ * ShapeTool - Draws one kind of shape annotation (see shapes.js).
+ *
+ * Rectangles, ellipses, lines and arrows are dragged out. Polygons get a
+ * corner per click, and are finished by clicking the first corner again,
+ * double-clicking or pressing Enter; Escape cancels the shape being drawn.
+ * Holding Shift draws squares and circles, and keeps lines and polygon sides
+ * to 45° steps.
+ *
+ * The stroke color comes from the toolbar color picker, the stroke width and
+ * fill from ShapeOptions. A preview follows the pointer while drawing.
+ */
+export class ShapeTool extends BaseTool {
+  /**
+   * @param {PdfViewer} pdfViewer
+   * @param {string} shape - Annotation type: rectangle, ellipse,
+   *   straight_line, arrow or polygon
+   */
+  constructor(pdfViewer, shape) {
+    super(pdfViewer)
+    this.shape = shape
+    this.shapeOptions = pdfViewer.shapeOptions
+
+    // Shape being drawn, in unscaled display coordinates of its page
+    this.pageNumber = null
+    this.pageContainer = null
+    this.points = []
+    this.pointer = null
+    this.isDragging = false
+    this.shiftKey = false
+    this.previewSvg = null
+
+    this.previousColor = null
+
+    this._onKeyDown = this._onKeyDown.bind(this)
+    this._onKeyUp = this._onKeyUp.bind(this)
+  }
+
+  onActivate() {
+    this.pdfViewer.pagesContainer.classList.add("shape-mode")
+    this._addTouchListeners()
+    document.addEventListener("keydown", this._onKeyDown)
+    document.addEventListener("keyup", this._onKeyUp)
+
+    // Switch to the shape tools' remembered color
+    this.previousColor = this.pdfViewer.colorPicker.currentColor
+    this.pdfViewer.colorPicker.setColor(this.shapeOptions.strokeColor)
+    this.shapeOptions.show({ fillable: FILLABLE_SHAPE_TYPES.includes(this.shape) })
+  }
+
+  async onDeactivate() {
+    this.pdfViewer.pagesContainer.classList.remove("shape-mode")
+    this._removeTouchListeners()
+    document.removeEventListener("keydown", this._onKeyDown)
+    document.removeEventListener("keyup", this._onKeyUp)
+
+    this.shapeOptions.hide()
+
+    // Keep a polygon that can stand on its own; drop anything else half-drawn.
+    // The polygon takes its color before the color picker is switched back.
+    let saving = null
+    if (this.shape === "polygon" && this.points.length >= 3) {
+      saving = this._finishPolygon()
+    } else {
+      this._cancelDrawing()
+    }
+
+    // Remember the shape color, then restore the one from before
+    if (this.previousColor) {
+      this.shapeOptions.strokeColor = this.pdfViewer.colorPicker.currentColor
+      this.pdfViewer.colorPicker.setColor(this.previousColor)
+      this.previousColor = null
+    }
+
+    await saving
+  }
+
+  _addTouchListeners() {
+    // Touch events fire before pointer events - prevent default to stop iOS scroll
+    this._onTouchStart = this._onTouchStart.bind(this)
+    this._onTouchMove = this._onTouchMove.bind(this)
+    this.pdfViewer.pagesContainer.addEventListener("touchstart", this._onTouchStart, { passive: false })
+    this.pdfViewer.pagesContainer.addEventListener("touchmove", this._onTouchMove, { passive: false })
+  }
+
+  _removeTouchListeners() {
+    this.pdfViewer.pagesContainer.removeEventListener("touchstart", this._onTouchStart)
+    this.pdfViewer.pagesContainer.removeEventListener("touchmove", this._onTouchMove)
+  }
+
+  _onTouchStart(event) {
+    // Prevent scroll when touching the PDF page, but let touches on
+    // annotations through so they can be selected
+    const touch = event.touches[0]
+    const target = document.elementFromPoint(touch.clientX, touch.clientY)
+    if (target?.closest(".pdf-page") && !target?.closest(".annotation-edit-toolbar") && !target?.closest(".annotation")) {
+      event.preventDefault()
+    }
+  }
+
+  _onTouchMove(event) {
+    if (this.isDragging) {
+      event.preventDefault()
+    }
+  }
+
+  _onKeyDown(event) {
+    if (!this.pageContainer) return
+
+    if (event.key === "Escape") {
+      event.preventDefault()
+      this._cancelDrawing()
+    } else if (event.key === "Enter" && this.shape === "polygon" && this.points.length >= 3) {
+      event.preventDefault()
+      this._finishPolygon()
+    } else if (event.key === "Shift") {
+      this.shiftKey = true
+      this._updatePreview()
+    }
+  }
+
+  _onKeyUp(event) {
+    if (this.pageContainer && event.key === "Shift") {
+      this.shiftKey = false
+      this._updatePreview()
+    }
+  }
+
+  onPointerDown(event) {
+    if (this.shape === "polygon" && this.pageContainer) {
+      this._addPolygonCorner(event)
+      return
+    }
+
+    const pageContainer = event.target.closest(".pdf-page")
+    if (!pageContainer) return
+
+    // Don't draw on annotations or the edit toolbar
+    if (event.target.closest(".annotation") || event.target.closest(".annotation-edit-toolbar")) return
+
+    this.pageNumber = parseInt(pageContainer.dataset.pageNumber, 10)
+    this.pageContainer = pageContainer
+    this.shiftKey = event.shiftKey
+
+    const point = this._getPoint(event)
+    this.points = [point]
+    this.pointer = point
+    this._createPreview()
+
+    if (this.shape !== "polygon") {
+      this.isDragging = true
+
+      // Add drawing state class to maintain cursor during drag
+      this.pdfViewer.pagesContainer.classList.add("is-drawing")
+
+      // Capture pointer to receive all move/up events even outside the container
+      event.target.setPointerCapture(event.pointerId)
+    }
+
+    event.preventDefault()
+  }
+
+  onPointerMove(event) {
+    if (!this.pageContainer) return
+
+    this.pointer = this._getPoint(event)
+    this.shiftKey = event.shiftKey
+    this._updatePreview()
+  }
+
+  async onPointerUp(event) {
+    if (!this.isDragging) return
+
+    if (event.target.hasPointerCapture?.(event.pointerId)) {
+      event.target.releasePointerCapture(event.pointerId)
+    }
+    this.pdfViewer.pagesContainer.classList.remove("is-drawing")
+
+    this.pointer = this._getPoint(event)
+    this.shiftKey = event.shiftKey
+    const [start, end] = this._getDraftPoints()
+
+    if (this._screenDistance(start, end) < MIN_DRAG_DISTANCE) {
+      this._cancelDrawing()
+      return
+    }
+    await this._save([start, end])
+  }
+
+  _addPolygonCorner(event) {
+    // Corners all go on the page the polygon was started on
+    if (event.target.closest(".pdf-page") !== this.pageContainer) return
+    event.preventDefault()
+
+    this.pointer = this._getPoint(event)
+    this.shiftKey = event.shiftKey
+    const draft = this._getDraftPoints()
+    const corner = draft[draft.length - 1]
+    const first = this.points[0]
+    const last = this.points[this.points.length - 1]
+
+    // Clicking the first corner, or the last one again (the second click of a
+    // double-click), finishes the polygon
+    const closing = this._screenDistance(corner, first) <= CLOSE_DISTANCE ||
+                    this._screenDistance(corner, last) <= MIN_DRAG_DISTANCE
+    if (closing) {
+      if (this.points.length >= 3) this._finishPolygon()
+      return
+    }
+
+    this.points.push(corner)
+    this._updatePreview()
+  }
+
+  async _finishPolygon() {
+    await this._save(this.points)
+  }
+
+  // The shape's points as drawn so far, with the pointer as the last one
+  _getDraftPoints() {
+    const last = this.points[this.points.length - 1]
+    const pointer = this._constrain(last, this.pointer)
+    return this.shape === "polygon" ? [...this.points, pointer] : [this.points[0], pointer]
+  }
+
+  // With Shift: squares and circles, and lines at multiples of 45°
+  _constrain(start, end) {
+    if (!this.shiftKey) return end
+
+    const dx = end.x - start.x
+    const dy = end.y - start.y
+
+    if (this.shape === "rectangle" || this.shape === "ellipse") {
+      const size = Math.max(Math.abs(dx), Math.abs(dy))
+      return {
+        x: start.x + (dx < 0 ? -size : size),
+        y: start.y + (dy < 0 ? -size : size)
+      }
+    }
+
+    const length = Math.hypot(dx, dy)
+    const angle = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) * (Math.PI / 4)
+    return {
+      x: start.x + length * Math.cos(angle),
+      y: start.y + length * Math.sin(angle)
+    }
+  }
+
+  // Pointer position in unscaled display coordinates of the page being drawn on
+  _getPoint(event) {
+    const rect = this.pageContainer.getBoundingClientRect()
+    const scale = this.viewer.getScale()
+    return {
+      x: (event.clientX - rect.left) / scale,
+      y: (event.clientY - rect.top) / scale
+    }
+  }
+
+  _screenDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y) * this.viewer.getScale()
+  }
+
+  _createPreview() {
+    const scale = this.viewer.getScale()
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg")
+    svg.classList.add("shape-preview")
+    svg.setAttribute("viewBox", `0 0 ${this.pageContainer.offsetWidth / scale} ${this.pageContainer.offsetHeight / scale}`)
+    this.pageContainer.appendChild(svg)
+    this.previewSvg = svg
+    this._updatePreview()
+  }
+
+  _updatePreview() {
+    if (!this.previewSvg) return
+
+    const draft = this._createDraft(this._getDraftPoints())
+    if (this.shape === "polygon") draft.closed = false
+    this.previewSvg.replaceChildren(...createShapeElements(draft))
+  }
+
+  // The annotation for a set of points, in whatever space they're in
+  _createDraft(points) {
+    const draft = {
+      annotation_type: this.shape,
+      color: this.pdfViewer.getHighlightColor(),
+      thickness: this.shapeOptions.strokeWidth
+    }
+    if (FILLABLE_SHAPE_TYPES.includes(this.shape)) {
+      draft.fill_color = this.shapeOptions.getFillColor()
+    }
+
+    const xs = points.map(point => point.x)
+    const ys = points.map(point => point.y)
+    const minX = Math.min(...xs)
+    const minY = Math.min(...ys)
+    draft.rect = [minX, minY, Math.max(...xs) - minX, Math.max(...ys) - minY]
+
+    if (this.shape !== "rectangle" && this.shape !== "ellipse") {
+      draft.vertices = points
+    }
+    return draft
+  }
+
+  async _save(displayPoints) {
+    const pageNumber = this.pageNumber
+
+    // Convert to PDF coordinates, undoing any view rotation
+    const points = displayPoints.map(point =>
+      this.viewer.displayToPagePoint(pageNumber, point.x, point.y)
+    )
+    const draft = this._createDraft(points)
+
+    // The preview stays up until the annotation is rendered
+    const preview = this.previewSvg
+    this.previewSvg = null
+    this._cancelDrawing()
+
+    try {
+      await this.annotationManager.createAnnotation({
+        ...draft,
+        page: pageNumber,
+        subject: SHAPE_SUBJECTS[this.shape]
+      })
+    } finally {
+      preview?.remove()
+    }
+  }
+
+  _cancelDrawing() {
+    this.previewSvg?.remove()
+    this.previewSvg = null
+    this.pageNumber = null
+    this.pageContainer = null
+    this.points = []
+    this.pointer = null
+    this.isDragging = false
+    this.pdfViewer.pagesContainer.classList.remove("is-drawing")
+  }
+
+  destroy() {
+    this._cancelDrawing()
+    super.destroy()
+  }
+}
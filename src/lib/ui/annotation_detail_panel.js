@@ -1,5 +1,6 @@
 import { ColorPicker } from "./color_picker"
 import { Icons } from "./icons"
+import { SHAPE_ANNOTATION_TYPES } from "../shapes"
 
 export class AnnotationDetailPanel {
   constructor(options = {}) {
@@ -153,12 +154,12 @@ export class AnnotationDetailPanel {
           this.onDelete(this.currentAnnotation)
         }
       } else if (e.key === "e" || e.key === "E") {
-        if (this.currentAnnotation?.annotation_type === "note" && this.onEdit) {
+        if (["note", "free_text"].includes(this.currentAnnotation?.annotation_type) && this.onEdit) {
           e.preventDefault()
           this.onEdit(this.currentAnnotation)
         }
       } else if (e.key === "c" || e.key === "C") {
-        const supportsComment = ["highlight", "line", "ink"].includes(this.currentAnnotation?.annotation_type)
+        const supportsComment = ["highlight", "line", "strikeout", "squiggly", "ink", ...SHAPE_ANNOTATION_TYPES].includes(this.currentAnnotation?.annotation_type)
         if (supportsComment && this.onComment) {
           e.preventDefault()
           this.onComment(this.currentAnnotation)
@@ -213,8 +214,16 @@ export class AnnotationDetailPanel {
     const labels = {
       highlight: "Highlight",
       line: "Underline",
+      strikeout: "Strikeout",
+      squiggly: "Squiggly underline",
       note: "Note",
-      ink: "Drawing"
+      ink: "Drawing",
+      rectangle: "Rectangle",
+      ellipse: "Ellipse",
+      straight_line: "Line",
+      arrow: "Arrow",
+      polygon: "Polygon",
+      free_text: "Text box"
     }
     return labels[annotationType] || "Annotation"
   }
@@ -242,10 +251,10 @@ export class AnnotationDetailPanel {
     this._updateSelectedColor(color)
 
     // Show/hide buttons based on annotation type
-    const isNote = annotation.annotation_type === "note"
-    const supportsComment = ["highlight", "line", "ink"].includes(annotation.annotation_type)
+    const isEditable = ["note", "free_text"].includes(annotation.annotation_type)
+    const supportsComment = ["highlight", "line", "strikeout", "squiggly", "ink", ...SHAPE_ANNOTATION_TYPES].includes(annotation.annotation_type)
     this.commentBtn.classList.toggle("hidden", !supportsComment)
-    this.editBtn.classList.toggle("hidden", !isNote)
+    this.editBtn.classList.toggle("hidden", !isEditable)
 
     if (supportsComment) {
       const hasComment = annotation.contents && annotation.contents.trim()
@@ -1,5 +1,6 @@
 import { ColorPicker } from "./color_picker"
 import { Icons } from "./icons"
+import { SHAPE_ANNOTATION_TYPES } from "../shapes"
 
 export class AnnotationEditToolbar {
   constructor(options = {}) {
@@ -74,7 +75,7 @@ export class AnnotationEditToolbar {
       })
     })
 
-    // Comment button (for highlight/underline/ink annotations)
+    // Comment button (for highlight/text markup/ink/shape annotations)
     this.commentBtn.addEventListener("click", (e) => {
       e.stopPropagation()
       if (this.currentAnnotation && this.onComment) {
@@ -82,7 +83,7 @@ export class AnnotationEditToolbar {
       }
     })
 
-    // Edit button (for notes)
+    // Edit button (for notes and text boxes)
     this.editBtn.addEventListener("click", (e) => {
       e.stopPropagation()
       if (this.currentAnnotation && this.onEdit) {
@@ -130,14 +131,14 @@ export class AnnotationEditToolbar {
         }
         this.hide()
       } else if (e.key === "e" || e.key === "E") {
-        // Edit shortcut for notes
-        if (this.currentAnnotation?.annotation_type === "note" && this.onEdit) {
+        // Edit shortcut for notes and text boxes
+        if (["note", "free_text"].includes(this.currentAnnotation?.annotation_type) && this.onEdit) {
           e.preventDefault()
           this.onEdit(this.currentAnnotation)
         }
       } else if (e.key === "c" || e.key === "C") {
-        // Comment shortcut for highlight/underline/ink annotations
-        const supportsComment = ["highlight", "line", "ink"].includes(this.currentAnnotation?.annotation_type)
+        // Comment shortcut for highlight/text markup/ink/shape annotations
+        const supportsComment = ["highlight", "line", "strikeout", "squiggly", "ink", ...SHAPE_ANNOTATION_TYPES].includes(this.currentAnnotation?.annotation_type)
         if (supportsComment && this.onComment) {
           e.preventDefault()
           this.onComment(this.currentAnnotation)
@@ -199,12 +200,12 @@ export class AnnotationEditToolbar {
     this._updateSelectedColor(color)
 
     // Show/hide buttons based on annotation type
-    const isNote = annotation.annotation_type === "note"
-    const supportsComment = ["highlight", "line", "ink"].includes(annotation.annotation_type)
+    const isEditable = ["note", "free_text"].includes(annotation.annotation_type)
+    const supportsComment = ["highlight", "line", "strikeout", "squiggly", "ink", ...SHAPE_ANNOTATION_TYPES].includes(annotation.annotation_type)
 
-    // Comment button for highlight/underline/ink, edit button for notes
+    // Comment button for highlight/text markup/ink/shape, edit button for notes and text boxes
     this.commentBtn.classList.toggle("hidden", !supportsComment)
-    this.editBtn.classList.toggle("hidden", !isNote)
+    this.editBtn.classList.toggle("hidden", !isEditable)
 
     // Update comment button title based on whether contents exists
     if (supportsComment) {
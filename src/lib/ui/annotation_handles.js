@@ -0,0 +1,414 @@
+import { CoordinateTransformer } from "../coordinate_transformer"
+import {
+  getAnnotationBounds, getMoveChanges, getScaleChanges,
+  MOVABLE_ANNOTATION_TYPES, QUAD_ANNOTATION_TYPES
+} from "../annotation_geometry"
+
+/**
+ * AnnotationHandles - Handles on the selected annotation for changing it
+ * after it's been drawn (see annotation_geometry.js).
+ *
+ * - Notes, ink, shapes and text boxes get a move handle above them
+ * - Ink gets a handle on each corner of its strokes' bounding box, which
+ *   scales the strokes; Shift keeps their proportions
+ * - Text markup gets a handle on each end, which grows or shrinks it over the
+ *   page's text, a whole word at a time
+ *
+ * The annotation follows the pointer while a handle is dragged; on release
+ * the change is passed to onChange to be saved. The handles sit in the page's
+ * annotation layer, over the annotation, so they rotate and zoom with it.
+ */
+
+// Smallest an ink drawing can be scaled down to, in points
+const MIN_SCALE_SIZE = 4
+
+// How far into a quad to look for its first or last character, in points
+const QUAD_END_INSET = 1
+
+const CORNERS = [
+  { name: "nw", x: 0, y: 0 },
+  { name: "ne", x: 1, y: 0 },
+  { name: "sw", x: 0, y: 1 },
+  { name: "se", x: 1, y: 1 }
+]
+
+export class AnnotationHandles {
+  /**
+   * @param {Object} options
+   * @param {CoreViewer} options.viewer - Lays out the pages
+   * @param {Function} options.onChange - Called with (annotation, changes,
+   *   action) when a drag ends; action is "moved", "resized" or "reshaped"
+   */
+  constructor({ viewer, onChange }) {
+    this.viewer = viewer
+    this.onChange = onChange
+    this.transformer = new CoordinateTransformer(viewer)
+
+    this.annotation = null
+    this.element = null // The annotation's rendered element
+    this.overlay = null // Holds the handles, over the annotation's bounds
+  }
+
+  /**
+   * Show the handles for an annotation, if it has any.
+   * @param {Object} annotation
+   * @param {HTMLElement} element - Its element in the annotation layer
+   */
+  show(annotation, element) {
+    this.hide()
+
+    const layer = element.closest(".annotation-layer")
+    if (!layer || !getAnnotationBounds(annotation)) return
+
+    const type = annotation.annotation_type
+    const overlay = document.createElement("div")
+    overlay.className = "annotation-handles"
+
+    if (MOVABLE_ANNOTATION_TYPES.includes(type)) {
+      overlay.appendChild(this._createHandle("annotation-move-handle", "Drag to move", (e) => this._startMove(e)))
+    }
+
+    if (type === "ink") {
+      for (const corner of CORNERS) {
+        const handle = this._createHandle(
+          `annotation-scale-handle annotation-scale-handle-${corner.name}`,
+          "Drag to resize",
+          (e) => this._startScale(e, corner)
+        )
+        handle.style.left = `${corner.x * 100}%`
+        handle.style.top = `${corner.y * 100}%`
+        overlay.appendChild(handle)
+      }
+    }
+
+    if (QUAD_ANNOTATION_TYPES.includes(type) && annotation.quads?.length > 0) {
+      for (const end of ["start", "end"]) {
+        overlay.appendChild(this._createHandle(
+          `annotation-quad-handle annotation-quad-handle-${end}`,
+          "Drag to mark more or less text",
+          (e) => this._startQuadDrag(e, end)
+        ))
+      }
+    }
+
+    if (overlay.children.length === 0) return
+
+    this.annotation = annotation
+    this.element = element
+    this.overlay = overlay
+    layer.appendChild(overlay)
+    this._layout(annotation)
+  }
+
+  hide() {
+    this.overlay?.remove()
+    this.overlay = null
+    this.annotation = null
+    this.element = null
+  }
+
+  _createHandle(className, title, onPointerDown) {
+    const handle = document.createElement("div")
+    handle.className = `annotation-handle ${className}`
+    handle.title = title
+    handle.addEventListener("pointerdown", (e) => {
+      if (this.annotation) onPointerDown(e)
+    })
+    return handle
+  }
+
+  // Put the handles over an annotation (or a draft of one, while dragging)
+  _layout(annotation) {
+    const bounds = getAnnotationBounds(annotation)
+    if (!this.overlay || !bounds) return
+
+    const { width: pageWidth, height: pageHeight } = this.viewer.getUnrotatedPageSize(annotation.page)
+    const width = bounds.maxX - bounds.minX
+    const height = bounds.maxY - bounds.minY
+    this.overlay.style.left = `${(bounds.minX / pageWidth) * 100}%`
+    this.overlay.style.top = `${(bounds.minY / pageHeight) * 100}%`
+    this.overlay.style.width = `${(width / pageWidth) * 100}%`
+    this.overlay.style.height = `${(height / pageHeight) * 100}%`
+
+    // Text markup handles stand on the outer ends of its first and last quads
+    const quads = annotation.quads
+    if (!quads?.length) return
+
+    const first = quads[0]
+    const last = quads[quads.length - 1]
+    const ends = [
+      [this.overlay.querySelector(".annotation-quad-handle-start"), first.p1, first.p3],
+      [this.overlay.querySelector(".annotation-quad-handle-end"), last.p2, last.p4]
+    ]
+    for (const [handle, top, bottom] of ends) {
+      if (!handle) continue
+      handle.style.left = `${((top.x - bounds.minX) / width) * 100}%`
+      handle.style.top = `${((top.y - bounds.minY) / height) * 100}%`
+      handle.style.height = `${((bottom.y - top.y) / height) * 100}%`
+    }
+  }
+
+  _startMove(event) {
+    const annotation = this.annotation
+    const bounds = getAnnotationBounds(annotation)
+    const { width: pageWidth, height: pageHeight } = this.viewer.getUnrotatedPageSize(annotation.page)
+    const start = this._getPagePoint(event)
+
+    this._startDrag(event, "moved", (point) => {
+      // Kept on the page
+      const dx = clamp(point.x - start.x, -bounds.minX, pageWidth - bounds.maxX)
+      const dy = clamp(point.y - start.y, -bounds.minY, pageHeight - bounds.maxY)
+      this._transformPreview(1, 1, dx, dy)
+      return getMoveChanges(annotation, dx, dy)
+    })
+  }
+
+  _startScale(event, corner) {
+    const annotation = this.annotation
+    const bounds = getAnnotationBounds(annotation)
+    const { width: pageWidth, height: pageHeight } = this.viewer.getUnrotatedPageSize(annotation.page)
+    const start = this._getPagePoint(event)
+    const width = bounds.maxX - bounds.minX
+    const height = bounds.maxY - bounds.minY
+
+    // The opposite corner stays put
+    const origin = {
+      x: corner.x ? bounds.minX : bounds.maxX,
+      y: corner.y ? bounds.minY : bounds.maxY
+    }
+    const dragged = {
+      x: corner.x ? bounds.maxX : bounds.minX,
+      y: corner.y ? bounds.maxY : bounds.minY
+    }
+
+    this._startDrag(event, "resized", (point, moveEvent) => {
+      const x = clamp(dragged.x + point.x - start.x, 0, pageWidth)
+      const y = clamp(dragged.y + point.y - start.y, 0, pageHeight)
+
+      // Strokes along a straight line only stretch along it. Neither side
+      // flips over the fixed corner.
+      let scaleX = width > 0 ? Math.max(MIN_SCALE_SIZE, corner.x ? x - origin.x : origin.x - x) / width : 1
+      let scaleY = height > 0 ? Math.max(MIN_SCALE_SIZE, corner.y ? y - origin.y : origin.y - y) / height : 1
+      if (moveEvent.shiftKey && width > 0 && height > 0) {
+        scaleX = scaleY = Math.max(scaleX, scaleY)
+      }
+
+      this._transformPreview(scaleX, scaleY, origin.x * (1 - scaleX), origin.y * (1 - scaleY))
+      return getScaleChanges(annotation, origin, scaleX, scaleY)
+    })
+  }
+
+  _startQuadDrag(event, end) {
+    const annotation = this.annotation
+    const pageContainer = this.element.closest(".pdf-page")
+    const textLayer = pageContainer?.querySelector(".textLayer")
+    const layer = this.element.parentElement
+
+    // Let the pointer through to the text while dragging
+    layer.classList.add("is-marking-text")
+
+    // The other end of the marked text stays where it is
+    const quads = annotation.quads
+    const fixed = end === "end" ? quads[0] : quads[quads.length - 1]
+    const anchorPoint = {
+      x: end === "end" ? fixed.p1.x + QUAD_END_INSET : fixed.p2.x - QUAD_END_INSET,
+      y: (fixed.p1.y + fixed.p3.y) / 2
+    }
+    const anchor = textLayer && this._getCaretAt(this._getClientPoint(pageContainer, anchorPoint), textLayer)
+    if (!anchor) {
+      // Not over the page's text (e.g. it hasn't rendered yet), so nothing to extend over
+      layer.classList.remove("is-marking-text")
+      event.preventDefault()
+      event.stopPropagation()
+      return
+    }
+
+    // The marked text is drawn over the page while dragging, in place of the annotation
+    const { width: pageWidth, height: pageHeight } = this.viewer.getUnrotatedPageSize(annotation.page)
+    const previewSvg = document.createElementNS("http://www.w3.org/2000/svg", "svg")
+    previewSvg.classList.add("quad-preview")
+    previewSvg.setAttribute("viewBox", `0 0 ${pageWidth} ${pageHeight}`)
+    layer.appendChild(previewSvg)
+
+    const drawnItems = this._getSvgItems()
+    drawnItems.forEach(item => { item.style.visibility = "hidden" })
+
+    const drawPreview = (quads) => {
+      previewSvg.replaceChildren(...quads.map(quad => {
+        const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect")
+        rect.setAttribute("x", quad.p1.x)
+        rect.setAttribute("y", quad.p1.y)
+        rect.setAttribute("width", quad.p2.x - quad.p1.x)
+        rect.setAttribute("height", quad.p3.y - quad.p1.y)
+        return rect
+      }))
+    }
+    drawPreview(quads)
+
+    this._startDrag(event, "reshaped", (point, moveEvent) => {
+      const focus = this._getCaretAt({ x: moveEvent.clientX, y: moveEvent.clientY }, textLayer)
+      if (!focus) return null
+
+      const range = document.createRange()
+      range.setStart(anchor.node, anchor.offset)
+      if (range.comparePoint(focus.node, focus.offset) < 0) {
+        range.setStart(focus.node, focus.offset)
+      } else {
+        range.setEnd(focus.node, focus.offset)
+      }
+      expandToWords(range)
+
+      const newQuads = this.transformer.selectionRectsToQuads(range.getClientRects(), annotation.page)
+      if (newQuads.length === 0) return null
+
+      drawPreview(newQuads)
+      return {
+        quads: newQuads,
+        rect: this.transformer.quadsToBoundingRect(newQuads),
+        title: range.toString().substring(0, 255)
+      }
+    }, () => {
+      previewSvg.remove()
+      drawnItems.forEach(item => { item.style.visibility = "" })
+      layer.classList.remove("is-marking-text")
+    })
+  }
+
+  // Drag a handle. getChanges turns the pointer position into the fields that
+  // change (or null to keep the last ones); the handles follow the draft, and
+  // the changes are passed to onChange on release. onEnd cleans up after the
+  // drag, once the change has been saved.
+  _startDrag(event, action, getChanges, onEnd = null) {
+    // Keep the active tool (and text selection) from acting on the drag
+    event.preventDefault()
+    event.stopPropagation()
+
+    const handle = event.currentTarget
+    handle.setPointerCapture(event.pointerId)
+
+    const annotation = this.annotation
+    const element = this.element
+    const drawnItems = this._getSvgItems()
+    let changes = null
+
+    const onPointerMove = (moveEvent) => {
+      changes = getChanges(this._getPagePoint(moveEvent), moveEvent) || changes
+      if (changes) this._layout({ ...annotation, ...changes })
+    }
+
+    const onPointerUp = async (upEvent) => {
+      handle.removeEventListener("pointermove", onPointerMove)
+      handle.removeEventListener("pointerup", onPointerUp)
+      handle.removeEventListener("pointercancel", onPointerUp)
+      if (handle.hasPointerCapture(upEvent.pointerId)) {
+        handle.releasePointerCapture(upEvent.pointerId)
+      }
+
+      // The draft stays up until the saved annotation is rendered in its place
+      try {
+        if (changes) await this.onChange(annotation, changes, action)
+      } finally {
+        element.style.transform = ""
+        element.style.transformOrigin = ""
+        drawnItems.forEach(item => item.removeAttribute("transform"))
+        onEnd?.()
+        if (this.element === element) this._layout(annotation)
+      }
+    }
+
+    handle.addEventListener("pointermove", onPointerMove)
+    handle.addEventListener("pointerup", onPointerUp)
+    handle.addEventListener("pointercancel", onPointerUp)
+  }
+
+  // Scale and then offset the annotation on screen (in points, about the
+  // page's top-left corner) to show where it's being dragged
+  _transformPreview(scaleX, scaleY, offsetX, offsetY) {
+    const { width: pageWidth } = this.viewer.getUnrotatedPageSize(this.annotation.page)
+    const pixelsPerPoint = this.element.parentElement.offsetWidth / pageWidth
+
+    // The element is positioned in the layer, so it's transformed about the
+    // layer's corner
+    this.element.style.transformOrigin = `${-this.element.offsetLeft}px ${-this.element.offsetTop}px`
+    this.element.style.transform =
+      `matrix(${scaleX}, 0, 0, ${scaleY}, ${offsetX * pixelsPerPoint}, ${offsetY * pixelsPerPoint})`
+
+    // Drawings in the page-sized SVG layers (free highlights) are in points
+    for (const item of this._getSvgItems()) {
+      item.setAttribute("transform", `matrix(${scaleX} 0 0 ${scaleY} ${offsetX} ${offsetY})`)
+    }
+  }
+
+  // What's drawn for the annotation in the page's SVG layers
+  _getSvgItems() {
+    const pageContainer = this.element.closest(".pdf-page")
+    if (!pageContainer) return []
+
+    const id = this.annotation.id
+    return Array.from(pageContainer.querySelectorAll(
+      `.highlight-svg-layer [data-annotation-id="${id}"], .underline-svg-layer [data-annotation-id="${id}"]`
+    ))
+  }
+
+  // Pointer position in annotation space, on the annotation's page
+  _getPagePoint(event) {
+    const bounds = this.element.closest(".pdf-page").getBoundingClientRect()
+    const scale = this.viewer.getScale()
+    return this.viewer.displayToPagePoint(
+      this.annotation.page,
+      (event.clientX - bounds.left) / scale,
+      (event.clientY - bounds.top) / scale
+    )
+  }
+
+  // A point in annotation space, on screen
+  _getClientPoint(pageContainer, point) {
+    const bounds = pageContainer.getBoundingClientRect()
+    const scale = this.viewer.getScale()
+    const display = this.viewer.pageToDisplayPoint(this.annotation.page, point.x, point.y)
+    return { x: bounds.left + display.x * scale, y: bounds.top + display.y * scale }
+  }
+
+  // The place in the page's text under a point on screen, if there's text there
+  _getCaretAt({ x, y }, textLayer) {
+    let node = null
+    let offset = 0
+    if (document.caretPositionFromPoint) {
+      const position = document.caretPositionFromPoint(x, y)
+      node = position?.offsetNode
+      offset = position?.offset
+    } else if (document.caretRangeFromPoint) {
+      const range = document.caretRangeFromPoint(x, y)
+      node = range?.startContainer
+      offset = range?.startOffset
+    }
+
+    if (node?.nodeType !== Node.TEXT_NODE || !textLayer.contains(node)) return null
+    return { node, offset }
+  }
+
+  destroy() {
+    this.hide()
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value))
+}
+
+// Grow a range out to the whole words at its ends
+function expandToWords(range) {
+  const { startContainer, endContainer } = range
+
+  if (startContainer.nodeType === Node.TEXT_NODE) {
+    let start = range.startOffset
+    while (start > 0 && !/\s/.test(startContainer.data[start - 1])) start--
+    range.setStart(startContainer, start)
+  }
+
+  if (endContainer.nodeType === Node.TEXT_NODE) {
+    let end = range.endOffset
+    while (end < endContainer.length && !/\s/.test(endContainer.data[end])) end++
+    range.setEnd(endContainer, end)
+  }
+}
@@ -1,5 +1,6 @@
 import { Icons } from "./icons"
 import { sanitizeColor } from "../color_utils"
+import { SHAPE_ANNOTATION_TYPES } from "../shapes"
 
 /**
  * AnnotationSidebar - Right-side sidebar listing all annotations on the PDF
@@ -28,7 +29,11 @@ const FilterType = {
   HIGHLIGHT: "highlight",
   NOTE: "note",
   DRAWING: "drawing",
-  UNDERLINE: "underline"
+  UNDERLINE: "underline",
+  STRIKEOUT: "strikeout",
+  SQUIGGLY: "squiggly",
+  SHAPE: "shape",
+  FREE_TEXT: "free_text"
 }
 
 // Icons for annotation types (SVG strings)
@@ -48,9 +53,48 @@ const ANNOTATION_ICONS = {
   line: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
     <path d="M6 3v7a6 6 0 0 0 6 6 6 6 0 0 0 6-6V3"/>
     <line x1="4" y1="21" x2="20" y2="21" stroke-width="3"/>
+  </svg>`,
+  strikeout: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M16 4H9a3 3 0 0 0-2.83 4"/>
+    <path d="M14 12a4 4 0 0 1 0 8H6"/>
+    <line x1="4" y1="12" x2="20" y2="12" stroke-width="3"/>
+  </svg>`,
+  squiggly: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <path d="M6 3v7a6 6 0 0 0 6 6 6 6 0 0 0 6-6V3"/>
+    <polyline points="3 21 5.5 19 8 21 10.5 19 13 21 15.5 19 18 21 20.5 19"/>
+  </svg>`,
+  rectangle: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <rect x="3" y="5" width="18" height="14" rx="1"/>
+  </svg>`,
+  ellipse: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <ellipse cx="12" cy="12" rx="9" ry="7"/>
+  </svg>`,
+  straight_line: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="4" y1="20" x2="20" y2="4"/>
+  </svg>`,
+  arrow: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <line x1="4" y1="20" x2="20" y2="4"/>
+    <polyline points="11 4 20 4 20 13"/>
+  </svg>`,
+  polygon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <polygon points="12 3 21 10 17 21 7 21 3 10"/>
+  </svg>`,
+  free_text: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+    <rect x="3" y="3" width="18" height="18" rx="1" stroke-dasharray="3 2"/>
+    <polyline points="8 8 16 8"/>
+    <line x1="12" y1="8" x2="12" y2="17"/>
   </svg>`
 }
 
+// Type labels for shape annotations
+const SHAPE_LABELS = {
+  rectangle: "Rectangle",
+  ellipse: "Ellipse",
+  straight_line: "Line",
+  arrow: "Arrow",
+  polygon: "Polygon"
+}
+
 export class AnnotationSidebar {
   constructor({ element, itemTemplate, container, annotationManager, onAnnotationClick }) {
     this.annotationManager = annotationManager
@@ -128,6 +172,10 @@ export class AnnotationSidebar {
         <option value="${FilterType.NOTE}">Notes</option>
         <option value="${FilterType.DRAWING}">Drawings</option>
         <option value="${FilterType.UNDERLINE}">Underlines</option>
+        <option value="${FilterType.STRIKEOUT}">Strikeouts</option>
+        <option value="${FilterType.SQUIGGLY}">Squiggly underlines</option>
+        <option value="${FilterType.SHAPE}">Shapes</option>
+        <option value="${FilterType.FREE_TEXT}">Text boxes</option>
       </select>
     `
 
@@ -339,6 +387,14 @@ export class AnnotationSidebar {
         return type === "ink" && annotation.subject !== "Free Highlight"
       case FilterType.UNDERLINE:
         return type === "line"
+      case FilterType.STRIKEOUT:
+        return type === "strikeout"
+      case FilterType.SQUIGGLY:
+        return type === "squiggly"
+      case FilterType.SHAPE:
+        return SHAPE_ANNOTATION_TYPES.includes(type)
+      case FilterType.FREE_TEXT:
+        return type === "free_text"
       default:
         return true
     }
@@ -513,6 +569,24 @@ export class AnnotationSidebar {
       typeLabel = "Underline"
       label = annotation.title || "Underlined text"
       label = this._truncate(label, 80)
+    } else if (type === "strikeout") {
+      icon = ANNOTATION_ICONS.strikeout
+      typeLabel = "Strikeout"
+      label = annotation.title || "Struck-out text"
+      label = this._truncate(label, 80)
+    } else if (type === "squiggly") {
+      icon = ANNOTATION_ICONS.squiggly
+      typeLabel = "Squiggly underline"
+      label = annotation.title || "Underlined text"
+      label = this._truncate(label, 80)
+    } else if (SHAPE_ANNOTATION_TYPES.includes(type)) {
+      icon = ANNOTATION_ICONS[type]
+      typeLabel = SHAPE_LABELS[type]
+      label = this._truncate(annotation.contents, 80) || `${SHAPE_LABELS[type]} drawing`
+    } else if (type === "free_text") {
+      icon = ANNOTATION_ICONS.free_text
+      typeLabel = annotation.callout_point ? "Callout" : "Text box"
+      label = this._truncate(annotation.contents, 80) || "Empty text box"
     } else {
       icon = ANNOTATION_ICONS.highlight
       typeLabel = type || "Annotation"
@@ -588,6 +662,17 @@ export class AnnotationSidebar {
     }))
   }
 
+  /**
+   * Called when a document's annotations are (re)loaded - drop the old
+   * selection and refresh the list
+   */
+  onAnnotationsLoaded() {
+    this.selectedAnnotationId = null
+    if (this.isOpen) {
+      this._refreshList()
+    }
+  }
+
   /**
    * Called when an annotation is created - refresh the list
    */
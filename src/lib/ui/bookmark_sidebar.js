@@ -0,0 +1,380 @@
+import { Icons } from "./icons"
+
+/**
+ * BookmarkSidebar - Toggle-able sidebar listing the user's own bookmarks
+ *
+ * Features:
+ * - Bookmarks in document order, with their page numbers
+ * - Click (or Enter) to jump back to the bookmarked spot
+ * - Add a bookmark for the current spot from the header
+ * - Rename in place (F2 or the pencil button), delete (Delete key or trash button)
+ * - List keyboard navigation (arrows, Home/End)
+ * - Resizable sidebar
+ *
+ * The sidebar only displays bookmarks; saving them is left to the callbacks.
+ */
+
+const SIDEBAR_DEFAULT_WIDTH = 240
+const SIDEBAR_MIN_WIDTH = 150
+const SIDEBAR_MAX_WIDTH = 450
+
+export class BookmarkSidebar {
+  /**
+   * @param {Object} options
+   * @param {Element} options.container - Body element the sidebar is inserted into
+   * @param {AnnotationManager} options.annotationManager - Source of the bookmarks
+   * @param {Function} options.onAdd - () => void, bookmark the current spot
+   * @param {Function} options.onBookmarkClick - (bookmark) => void
+   * @param {Function} options.onRename - (bookmark, title) => void
+   * @param {Function} options.onDelete - (bookmark) => void
+   * @param {Function} [options.onOpen] - Called when the sidebar opens
+   */
+  constructor({ container, annotationManager, onAdd, onBookmarkClick, onRename, onDelete, onOpen }) {
+    this.container = container
+    this.annotationManager = annotationManager
+    this.onAdd = onAdd
+    this.onBookmarkClick = onBookmarkClick
+    this.onRename = onRename
+    this.onDelete = onDelete
+    this.onOpen = onOpen
+
+    this.bookmarks = []
+    this.isOpen = false
+    this.sidebarWidth = SIDEBAR_DEFAULT_WIDTH
+    this._focusedId = null
+    this._renamingId = null
+
+    // Removes all DOM and document listeners on destroy()
+    this._abortController = new AbortController()
+
+    this._createElements()
+    this._setupEventListeners()
+    this.refresh()
+  }
+
+  _createElements() {
+    this.element = document.createElement("div")
+    this.element.className = "pdf-sidebar is-left pdf-bookmark-sidebar"
+    this.element.style.setProperty("--sidebar-width", `${this.sidebarWidth}px`)
+
+    this.header = document.createElement("div")
+    this.header.className = "pdf-sidebar-header"
+    this.header.innerHTML = `
+      <span class="pdf-sidebar-title">Bookmarks</span>
+      <div class="pdf-bookmark-header-actions">
+        <button class="pdf-bookmark-add" type="button" aria-label="Bookmark this spot" title="Bookmark this spot">
+          ${Icons.plus}
+        </button>
+        <button class="pdf-sidebar-close" type="button" aria-label="Close sidebar">
+          ${Icons.close}
+        </button>
+      </div>
+    `
+
+    this.content = document.createElement("div")
+    this.content.className = "pdf-sidebar-content pdf-bookmark-content"
+
+    this.list = document.createElement("ul")
+    this.list.className = "pdf-bookmark-list"
+    this.list.setAttribute("aria-label", "Bookmarks")
+
+    this.emptyState = document.createElement("p")
+    this.emptyState.className = "pdf-bookmark-empty hidden"
+    this.emptyState.textContent = "No bookmarks yet. Add one to come back to this spot later."
+
+    this.content.appendChild(this.list)
+    this.content.appendChild(this.emptyState)
+
+    this.resizer = document.createElement("div")
+    this.resizer.className = "pdf-sidebar-resizer"
+
+    this.element.appendChild(this.header)
+    this.element.appendChild(this.content)
+    this.element.appendChild(this.resizer)
+
+    this.container.insertBefore(this.element, this.container.firstChild)
+  }
+
+  _setupEventListeners() {
+    const signal = this._abortController.signal
+
+    const closeBtn = this.header.querySelector(".pdf-sidebar-close")
+    closeBtn.addEventListener("click", () => this.close(), { signal })
+
+    const addBtn = this.header.querySelector(".pdf-bookmark-add")
+    addBtn.addEventListener("click", () => this.onAdd?.(), { signal })
+
+    this._setupResizer()
+
+    this.list.addEventListener("click", (e) => {
+      if (e.target.closest(".pdf-bookmark-rename-input")) return
+
+      const bookmark = this._bookmarkForElement(e.target)
+      if (!bookmark) return
+
+      this._focusBookmark(bookmark.id)
+      if (e.target.closest(".pdf-bookmark-rename")) {
+        this.startRename(bookmark.id)
+      } else if (e.target.closest(".pdf-bookmark-delete")) {
+        this.onDelete?.(bookmark)
+      } else {
+        this.onBookmarkClick?.(bookmark)
+      }
+    }, { signal })
+
+    this.list.addEventListener("keydown", (e) => {
+      this._handleKeydown(e)
+    }, { signal })
+  }
+
+  _setupResizer() {
+    let startX, startWidth
+
+    const onMouseMove = (e) => {
+      const delta = e.clientX - startX
+      const newWidth = Math.max(SIDEBAR_MIN_WIDTH, Math.min(SIDEBAR_MAX_WIDTH, startWidth + delta))
+      this.sidebarWidth = newWidth
+      this.element.style.setProperty("--sidebar-width", `${newWidth}px`)
+    }
+
+    const onMouseUp = () => {
+      document.removeEventListener("mousemove", onMouseMove)
+      document.removeEventListener("mouseup", onMouseUp)
+      this.element.classList.remove("resizing")
+      document.body.style.cursor = ""
+      document.body.style.userSelect = ""
+    }
+
+    this.resizer.addEventListener("mousedown", (e) => {
+      e.preventDefault()
+      startX = e.clientX
+      startWidth = this.sidebarWidth
+      this.element.classList.add("resizing")
+      document.body.style.cursor = "ew-resize"
+      document.body.style.userSelect = "none"
+      document.addEventListener("mousemove", onMouseMove, { signal: this._abortController.signal })
+      document.addEventListener("mouseup", onMouseUp, { signal: this._abortController.signal })
+    }, { signal: this._abortController.signal })
+  }
+
+  /**
+   * Re-read the bookmarks from the annotation manager and redraw the list.
+   * Call after bookmarks are loaded, added, renamed or deleted.
+   */
+  refresh() {
+    const hadFocus = this.list.contains(document.activeElement)
+
+    this.bookmarks = this.annotationManager.getBookmarks()
+    this._renamingId = null
+    this.list.innerHTML = ""
+    this.emptyState.classList.toggle("hidden", this.bookmarks.length > 0)
+
+    for (const bookmark of this.bookmarks) {
+      this.list.appendChild(this._createItem(bookmark))
+    }
+
+    // Keep the roving tab stop on the same bookmark, or its closest survivor
+    if (!this.bookmarks.some(bookmark => bookmark.id === this._focusedId)) {
+      this._focusedId = this.bookmarks[0]?.id ?? null
+    }
+    const focused = this._elementForId(this._focusedId)
+    if (focused) {
+      focused.tabIndex = 0
+      if (hadFocus) focused.focus({ preventScroll: true })
+    } else if (hadFocus) {
+      this.header.querySelector(".pdf-bookmark-add").focus()
+    }
+  }
+
+  _createItem(bookmark) {
+    const element = document.createElement("li")
+    element.className = "pdf-bookmark-item"
+    element.dataset.id = String(bookmark.id)
+    element.tabIndex = -1
+    element.setAttribute("aria-label", `${bookmark.title}, page ${bookmark.page}`)
+
+    const icon = document.createElement("span")
+    icon.className = "pdf-bookmark-icon"
+    icon.setAttribute("aria-hidden", "true")
+    icon.innerHTML = Icons.bookmark
+
+    const label = document.createElement("span")
+    label.className = "pdf-bookmark-label"
+    label.textContent = bookmark.title
+
+    const page = document.createElement("span")
+    page.className = "pdf-bookmark-page"
+    page.setAttribute("aria-hidden", "true")
+    page.textContent = String(bookmark.page)
+
+    // Buttons are for the mouse; the keyboard uses F2 and Delete on the item
+    const actions = document.createElement("span")
+    actions.className = "pdf-bookmark-actions"
+    actions.innerHTML = `
+      <button class="pdf-bookmark-rename" type="button" tabindex="-1" aria-hidden="true" title="Rename">${Icons.edit}</button>
+      <button class="pdf-bookmark-delete" type="button" tabindex="-1" aria-hidden="true" title="Delete">${Icons.delete}</button>
+    `
+
+    element.append(icon, label, page, actions)
+    return element
+  }
+
+  _bookmarkForElement(target) {
+    const element = target.closest(".pdf-bookmark-item")
+    return element ? this.bookmarks.find(bookmark => String(bookmark.id) === element.dataset.id) : null
+  }
+
+  _elementForId(id) {
+    if (id === null || id === undefined) return null
+    return this.list.querySelector(`.pdf-bookmark-item[data-id="${CSS.escape(String(id))}"]`)
+  }
+
+  // Roving tabindex: only the focused bookmark is in the tab order
+  _focusBookmark(id) {
+    const element = this._elementForId(id)
+    if (!element) return
+
+    const previous = this._elementForId(this._focusedId)
+    if (previous && previous !== element) {
+      previous.tabIndex = -1
+    }
+    this._focusedId = id
+    element.tabIndex = 0
+    element.focus({ preventScroll: true })
+    element.scrollIntoView({ block: "nearest" })
+  }
+
+  _handleKeydown(e) {
+    // The rename input handles its own keys
+    if (e.target.closest(".pdf-bookmark-rename-input")) return
+
+    const bookmark = this._bookmarkForElement(e.target)
+    if (!bookmark) return
+
+    const index = this.bookmarks.indexOf(bookmark)
+
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault()
+        this._focusBookmark(this.bookmarks[index + 1]?.id)
+        break
+      case "ArrowUp":
+        e.preventDefault()
+        this._focusBookmark(this.bookmarks[index - 1]?.id)
+        break
+      case "Home":
+        e.preventDefault()
+        this._focusBookmark(this.bookmarks[0]?.id)
+        break
+      case "End":
+        e.preventDefault()
+        this._focusBookmark(this.bookmarks[this.bookmarks.length - 1]?.id)
+        break
+      case "Enter":
+      case " ":
+        e.preventDefault()
+        this.onBookmarkClick?.(bookmark)
+        break
+      case "F2":
+        e.preventDefault()
+        this.startRename(bookmark.id)
+        break
+      case "Delete":
+      case "Backspace":
+        e.preventDefault()
+        // Focus moves to the next bookmark once the list is refreshed
+        this._focusedId = (this.bookmarks[index + 1] || this.bookmarks[index - 1])?.id ?? null
+        this.onDelete?.(bookmark)
+        break
+    }
+  }
+
+  /**
+   * Replace a bookmark's title with a text field. Enter (or leaving the field)
+   * saves the new title through onRename; Escape cancels.
+   * @param {string|number} id - Bookmark id
+   */
+  startRename(id) {
+    const bookmark = this.bookmarks.find(b => b.id === id)
+    const element = this._elementForId(id)
+    if (!bookmark || !element || this._renamingId === id) return
+
+    this._renamingId = id
+    const label = element.querySelector(".pdf-bookmark-label")
+
+    const input = document.createElement("input")
+    input.type = "text"
+    input.className = "pdf-bookmark-rename-input"
+    input.value = bookmark.title
+    input.setAttribute("aria-label", "Bookmark name")
+    label.replaceWith(input)
+    input.focus()
+    input.select()
+
+    let done = false
+    const finish = (save) => {
+      if (done) return
+      done = true
+      this._renamingId = null
+
+      const title = input.value.trim()
+      input.replaceWith(label)
+      element.focus({ preventScroll: true })
+
+      if (save && title && title !== bookmark.title) {
+        this.onRename?.(bookmark, title)
+      }
+    }
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault()
+        finish(true)
+      } else if (e.key === "Escape") {
+        e.preventDefault()
+        e.stopPropagation()
+        finish(false)
+      }
+    })
+    input.addEventListener("blur", () => finish(true))
+  }
+
+  /**
+   * Open the sidebar
+   */
+  open() {
+    this.isOpen = true
+    this.element.classList.add("open")
+    this.container.classList.add("bookmark-sidebar-open")
+    this.onOpen?.()
+  }
+
+  /**
+   * Close the sidebar
+   */
+  close() {
+    this.isOpen = false
+    this.element.classList.remove("open")
+    this.container.classList.remove("bookmark-sidebar-open")
+  }
+
+  /**
+   * Toggle the sidebar
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close()
+    } else {
+      this.open()
+    }
+  }
+
+  /**
+   * Clean up
+   */
+  destroy() {
+    this._abortController.abort()
+    this.bookmarks = []
+    this.element.remove()
+  }
+}
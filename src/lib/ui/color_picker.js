@@ -6,7 +6,8 @@ export class ColorPicker {
     { name: "Yellow", value: "#FFFF00" },
     { name: "Green", value: "#00FF00" },
     { name: "Blue", value: "#00BFFF" },
-    { name: "Pink", value: "#FF69B4" }
+    { name: "Pink", value: "#FF69B4" },
+    { name: "Black", value: "#000000" }
   ]
 
   // Default colors for different tool modes
@@ -5,12 +5,16 @@
  * - Text input for search query
  * - Previous/Next navigation buttons
  * - Match count display
+ * - Results list with the text around each match (see FindResults)
  * - Case-sensitive toggle
  * - Whole word toggle
+ * - Regular expression, accent-insensitive, line-break-tolerant,
+ *   multiple-term and annotation search toggles
  * - Close button
  */
 
 import { FindState } from "../find_controller"
+import { FindResults } from "./find_results"
 import { Icons } from "./icons"
 import { getAnnouncer } from "./announcer"
 
@@ -53,6 +57,9 @@ export class FindBar {
           <button class="find-btn find-next" title="Next (Enter)" aria-label="Next match">
             ${Icons.chevronDown}
           </button>
+          <button class="find-btn find-toggle-results" title="List all results" aria-label="List all results" aria-pressed="false">
+            ${Icons.list}
+          </button>
         </div>
         <div class="find-separator"></div>
         <div class="find-options">
@@ -64,6 +71,26 @@ export class FindBar {
             <input type="checkbox" class="find-entire-word">
             <span>W</span>
           </label>
+          <label class="find-option" title="Regular expression">
+            <input type="checkbox" class="find-regex">
+            <span>.*</span>
+          </label>
+          <label class="find-option" title="Ignore accents and ligatures">
+            <input type="checkbox" class="find-ignore-diacritics">
+            <span>é=e</span>
+          </label>
+          <label class="find-option" title="Match across line breaks">
+            <input type="checkbox" class="find-ignore-line-breaks">
+            <span>↵</span>
+          </label>
+          <label class="find-option" title="Highlight each word separately (keep &quot;phrases&quot; together)">
+            <input type="checkbox" class="find-multiple-terms">
+            <span>A|B</span>
+          </label>
+          <label class="find-option" title="Also search annotations (highlighted text, notes and comments)">
+            <input type="checkbox" class="find-search-annotations">
+            <span>${Icons.comment}</span>
+          </label>
         </div>
         <div class="find-separator"></div>
         <button class="find-btn find-close" title="Close (Escape)" aria-label="Close">
@@ -81,7 +108,17 @@ export class FindBar {
     this.nextButton = this.element.querySelector(".find-next")
     this.caseSensitiveCheckbox = this.element.querySelector(".find-case-sensitive")
     this.entireWordCheckbox = this.element.querySelector(".find-entire-word")
+    this.regexCheckbox = this.element.querySelector(".find-regex")
+    this.ignoreDiacriticsCheckbox = this.element.querySelector(".find-ignore-diacritics")
+    this.ignoreLineBreaksCheckbox = this.element.querySelector(".find-ignore-line-breaks")
+    this.multipleTermsCheckbox = this.element.querySelector(".find-multiple-terms")
+    this.searchAnnotationsCheckbox = this.element.querySelector(".find-search-annotations")
     this.closeButton = this.element.querySelector(".find-close")
+    this.resultsToggleButton = this.element.querySelector(".find-toggle-results")
+
+    // Results list, under the bar
+    this.results = new FindResults({ findController: this.findController })
+    this.element.appendChild(this.results.element)
   }
 
   _setupEventListeners() {
@@ -114,12 +151,24 @@ export class FindBar {
     })
 
     // Options change trigger new search
-    this.caseSensitiveCheckbox.addEventListener("change", () => {
-      this._performSearch()
-    })
+    const optionCheckboxes = [
+      this.caseSensitiveCheckbox,
+      this.entireWordCheckbox,
+      this.regexCheckbox,
+      this.ignoreDiacriticsCheckbox,
+      this.ignoreLineBreaksCheckbox,
+      this.multipleTermsCheckbox,
+      this.searchAnnotationsCheckbox
+    ]
+    for (const checkbox of optionCheckboxes) {
+      checkbox.addEventListener("change", () => {
+        this._performSearch()
+      })
+    }
 
-    this.entireWordCheckbox.addEventListener("change", () => {
-      this._performSearch()
+    this.resultsToggleButton.addEventListener("click", () => {
+      this.results.toggle()
+      this.resultsToggleButton.setAttribute("aria-pressed", String(this.results.isOpen))
     })
 
     // Close button
@@ -151,6 +200,11 @@ export class FindBar {
     this.findController?.find(query, {
       caseSensitive: this.caseSensitiveCheckbox.checked,
       entireWord: this.entireWordCheckbox.checked,
+      regex: this.regexCheckbox.checked,
+      ignoreDiacritics: this.ignoreDiacriticsCheckbox.checked,
+      ignoreLineBreaks: this.ignoreLineBreaksCheckbox.checked,
+      multipleTerms: this.multipleTermsCheckbox.checked,
+      searchAnnotations: this.searchAnnotationsCheckbox.checked,
       highlightAll: true
     })
   }
@@ -163,14 +217,18 @@ export class FindBar {
    * @param {number} info.current - Current match index (1-based)
    * @param {number} info.total - Total matches found so far
    * @param {boolean} info.extracting - Whether text extraction is still in progress
+   * @param {boolean} info.invalidQuery - Whether the query is an invalid regular expression
    */
-  updateState(state, { current, total, extracting = false }) {
+  updateState(state, { current, total, extracting = false, invalidQuery = false }) {
     // Track previous total for announcing only on change
     const previousTotal = this._previousTotal
     this._previousTotal = total
 
     // Update results count
-    if (total > 0) {
+    if (invalidQuery) {
+      this.resultsElement.textContent = "Invalid pattern"
+      this.resultsElement.classList.add("not-found")
+    } else if (total > 0) {
       // Show "X of Y+" while still extracting to indicate more results may appear
       const suffix = extracting ? "+" : ""
       this.resultsElement.textContent = `${current} of ${total}${suffix}`
@@ -188,6 +246,8 @@ export class FindBar {
     if (total !== previousTotal && !extracting) {
       if (total > 0) {
         getAnnouncer().announce(`${total} ${total === 1 ? "result" : "results"} found`)
+      } else if (invalidQuery) {
+        getAnnouncer().announce("Invalid regular expression")
       } else if (this.inputElement.value) {
         getAnnouncer().announce("No results found")
       }
@@ -214,6 +274,26 @@ export class FindBar {
     const hasMatches = total > 0
     this.prevButton.disabled = !hasMatches
     this.nextButton.disabled = !hasMatches
+
+    this.results.setCurrentMatch(this.findController?.matches[current - 1])
+  }
+
+  /**
+   * Update the results list. Called by FindController as matches are found.
+   * @param {Object} update - { reset, pageNumber }, see FindResults#update
+   */
+  updateResults(update) {
+    this.results.update(update)
+  }
+
+  /**
+   * Show the find bar and search for a query.
+   * @param {string} query
+   */
+  search(query) {
+    if (!this._visible) this.open()
+    this.inputElement.value = query
+    this._performSearch()
   }
 
   /**
@@ -291,6 +371,7 @@ export class FindBar {
       clearTimeout(this._searchTimeout)
       this._searchTimeout = null
     }
+    this.results?.destroy()
     this.element?.remove()
     this.element = null
   }
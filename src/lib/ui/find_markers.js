@@ -0,0 +1,224 @@
+import { ViewerEvents } from "../core/event_bus"
+import { ScrollMode } from "../core/viewer"
+
+/**
+ * FindMarkers - Ticks along the edge of the pages container marking the pages
+ * with search matches, like the ones browsers put on the scrollbar.
+ *
+ * Features:
+ * - One tick per page with matches, covering the page's stretch of the
+ *   document, so it's easy to see where matches cluster
+ * - The page of the current match is marked
+ * - Click a tick to jump to the first match on its page (or the next one, if
+ *   the current match is already there)
+ * - Streams in: ticks are added as FindController searches pages
+ * - Runs along the bottom in horizontal scroll mode; hidden in page mode,
+ *   where there is nothing to scroll through
+ *
+ * The ticks are for the mouse; the results list and the thumbnail badges
+ * give the same overview from the keyboard.
+ */
+
+// Thickness of the track, in pixels
+const TRACK_SIZE = 10
+
+// Shortest tick, so pages of very long documents stay visible
+const TICK_MIN_SIZE = 3
+
+export class FindMarkers {
+  /**
+   * @param {Object} options
+   * @param {Element} options.container - Positioned element holding the pages
+   *   container; the track is added to it
+   * @param {CoreViewer} options.viewer - Lays out the pages
+   * @param {FindController} options.findController - Source of the matches
+   */
+  constructor({ container, viewer, findController }) {
+    this.container = container
+    this.viewer = viewer
+    this.pagesContainer = viewer.container
+    this.findController = findController
+
+    this._ticks = new Map() // pageNumber -> tick element
+    this._currentPage = null
+    this._layoutFrame = null
+    this._scrollSize = null // Scroll size the ticks were placed for
+
+    // Removes all DOM and EventBus listeners on destroy()
+    this._abortController = new AbortController()
+
+    this._createElements()
+    this._setupEventListeners()
+  }
+
+  _createElements() {
+    this.track = document.createElement("div")
+    this.track.className = "find-markers"
+    this.track.setAttribute("aria-hidden", "true")
+    this.track.hidden = true
+
+    this.container.appendChild(this.track)
+  }
+
+  _setupEventListeners() {
+    const signal = this._abortController.signal
+    const eventBus = this.viewer.eventBus
+
+    this.track.addEventListener("click", (e) => {
+      const tick = e.target.closest(".find-marker")
+      if (tick) this._goToPage(parseInt(tick.dataset.page, 10))
+    }, { signal })
+
+    // Anything that moves pages around moves the ticks
+    const relayout = () => this._scheduleLayout()
+    for (const event of [
+      ViewerEvents.PAGES_LOADED,
+      ViewerEvents.SCALE_CHANGED,
+      ViewerEvents.ROTATION_CHANGED,
+      ViewerEvents.PAGE_ROTATION_CHANGED,
+      ViewerEvents.SPREAD_MODE_CHANGED,
+      ViewerEvents.SCROLL_MODE_CHANGED
+    ]) {
+      eventBus.on(event, relayout, { signal })
+    }
+
+    // Pages get their real size as they are measured and rendered while
+    // scrolling; only worth a layout if the document's length changed
+    const relayoutIfResized = () => this._scheduleLayout({ force: false })
+    eventBus.on(ViewerEvents.SCROLL, relayoutIfResized, { signal })
+    eventBus.on(ViewerEvents.PAGE_RENDERED, relayoutIfResized, { signal })
+
+    // Sidebars opening, window resizes
+    this._resizeObserver = new ResizeObserver(relayout)
+    this._resizeObserver.observe(this.pagesContainer)
+  }
+
+  /**
+   * Show a tick for each page with matches.
+   * @param {Map<number, number>} counts - pageNumber -> match count, as
+   *   returned by FindController#getMatchCounts()
+   */
+  setMatchCounts(counts) {
+    for (const [pageNumber, tick] of this._ticks) {
+      if (!counts.has(pageNumber)) {
+        tick.remove()
+        this._ticks.delete(pageNumber)
+      }
+    }
+
+    for (const [pageNumber, count] of counts) {
+      let tick = this._ticks.get(pageNumber)
+      if (!tick) {
+        tick = document.createElement("div")
+        tick.className = "find-marker"
+        tick.dataset.page = String(pageNumber)
+        tick.classList.toggle("current", pageNumber === this._currentPage)
+        this.track.appendChild(tick)
+        this._ticks.set(pageNumber, tick)
+      }
+      tick.title = `Page ${pageNumber}: ${count} ${count === 1 ? "match" : "matches"}`
+    }
+
+    this._scheduleLayout()
+  }
+
+  /**
+   * Mark the page of the current match.
+   * @param {Object|undefined} match - One of the find controller's matches
+   */
+  setCurrentMatch(match) {
+    const pageNumber = match?.pageNumber ?? null
+    if (pageNumber === this._currentPage) return
+
+    this._ticks.get(this._currentPage)?.classList.remove("current")
+    this._currentPage = pageNumber
+    this._ticks.get(pageNumber)?.classList.add("current")
+  }
+
+  _goToPage(pageNumber) {
+    const { matches, currentMatchIndex } = this.findController
+
+    // Step through a page's matches by clicking its tick again
+    const onPage = (match) => match?.pageNumber === pageNumber
+    const index = onPage(matches[currentMatchIndex]) && onPage(matches[currentMatchIndex + 1])
+      ? currentMatchIndex + 1
+      : matches.findIndex(onPage)
+
+    this.findController.goToMatch(index)
+  }
+
+  // Batch layout to once a frame; with force false, only if the length of
+  // the document changed since the last one
+  _scheduleLayout({ force = true } = {}) {
+    if (this._ticks.size === 0) {
+      this.track.hidden = true
+      return
+    }
+    if (!force && this._scrollSize === this._getScrollSize()) return
+    if (this._layoutFrame) return
+
+    this._layoutFrame = requestAnimationFrame(() => {
+      this._layoutFrame = null
+      this._layout()
+    })
+  }
+
+  _getScrollSize() {
+    return this.viewer.getScrollMode() === ScrollMode.HORIZONTAL
+      ? this.pagesContainer.scrollWidth
+      : this.pagesContainer.scrollHeight
+  }
+
+  _layout() {
+    const scrollMode = this.viewer.getScrollMode()
+    this.track.hidden = this._ticks.size === 0 || scrollMode === ScrollMode.PAGE
+    if (this.track.hidden) return
+
+    const horizontal = scrollMode === ScrollMode.HORIZONTAL
+    const pages = this.pagesContainer
+    const containerRect = this.container.getBoundingClientRect()
+    const pagesRect = pages.getBoundingClientRect()
+
+    // Lay the track along the inside of the pages container's scrollbar
+    const left = pagesRect.left - containerRect.left + pages.clientLeft
+    const top = pagesRect.top - containerRect.top + pages.clientTop
+    const trackLength = horizontal ? pages.clientWidth : pages.clientHeight
+    this.track.classList.toggle("horizontal", horizontal)
+    Object.assign(this.track.style, horizontal
+      ? { left: `${left}px`, top: `${top + pages.clientHeight - TRACK_SIZE}px`, width: `${trackLength}px`, height: `${TRACK_SIZE}px` }
+      : { left: `${left + pages.clientWidth - TRACK_SIZE}px`, top: `${top}px`, width: `${TRACK_SIZE}px`, height: `${trackLength}px` })
+
+    const scrollSize = this._getScrollSize()
+    this._scrollSize = scrollSize
+    if (scrollSize === 0) return
+
+    for (const [pageNumber, tick] of this._ticks) {
+      const pageContainer = this.viewer.getPageContainer(pageNumber)
+      if (!pageContainer) continue
+
+      // Where the page is in the scrolled content, scaled down to the track
+      const pageRect = pageContainer.getBoundingClientRect()
+      const start = horizontal
+        ? pageRect.left - pagesRect.left - pages.clientLeft + pages.scrollLeft
+        : pageRect.top - pagesRect.top - pages.clientTop + pages.scrollTop
+      const size = horizontal ? pageRect.width : pageRect.height
+
+      const offset = `${start / scrollSize * trackLength}px`
+      const length = `${Math.max(TICK_MIN_SIZE, size / scrollSize * trackLength)}px`
+      Object.assign(tick.style, horizontal
+        ? { left: offset, width: length, top: "", height: "" }
+        : { top: offset, height: length, left: "", width: "" })
+    }
+  }
+
+  /**
+   * Clean up
+   */
+  destroy() {
+    this._abortController.abort()
+    this._resizeObserver?.disconnect()
+    if (this._layoutFrame) cancelAnimationFrame(this._layoutFrame)
+    this._ticks.clear()
+    this.track.remove()
+  }
+}
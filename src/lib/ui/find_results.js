@@ -0,0 +1,282 @@
+/**
+ * FindResults - List of search matches, shown under the find bar.
+ *
+ * Features:
+ * - Matches grouped by page, with the number found on each
+ * - The text around each match, with the match itself emphasised
+ * - Matches in annotations listed after the page's text, labelled by kind
+ * - Click (or Enter) to jump straight to a match
+ * - Streams in: pages are added as FindController searches them, so results
+ *   appear while the rest of the document is still being extracted
+ * - Arrow keys, Home and End move between results
+ */
+
+// Characters of page text shown either side of a match
+const SNIPPET_CONTEXT_LENGTH = 40
+
+// Labels for matches in the text a highlight or underline was made on
+const MARKED_TEXT_LABELS = {
+  highlight: "Highlight",
+  line: "Underline",
+  strikeout: "Strikeout",
+  squiggly: "Squiggly underline"
+}
+
+export class FindResults {
+  /**
+   * @param {Object} options
+   * @param {FindController} options.findController - Source of the matches
+   */
+  constructor({ findController }) {
+    this.findController = findController
+
+    this.isOpen = false
+    this._groups = new Map() // pageNumber -> page group element
+    this._items = new Map() // match -> result button
+    this._matchesByItem = new WeakMap() // result button -> match
+    this._currentMatch = null
+
+    // Removes all DOM listeners on destroy()
+    this._abortController = new AbortController()
+
+    this._createElements()
+    this._setupEventListeners()
+  }
+
+  _createElements() {
+    this.element = document.createElement("div")
+    this.element.className = "find-results-panel hidden"
+
+    this.list = document.createElement("ol")
+    this.list.className = "find-results-list"
+    this.list.setAttribute("aria-label", "Search results")
+
+    this.element.appendChild(this.list)
+  }
+
+  _setupEventListeners() {
+    const signal = this._abortController.signal
+
+    this.list.addEventListener("click", (e) => {
+      const item = e.target.closest(".find-result")
+      if (!item) return
+
+      const match = this._matchesByItem.get(item)
+      this.findController.goToMatch(this.findController.matches.indexOf(match))
+    }, { signal })
+
+    this.list.addEventListener("keydown", (e) => {
+      this._handleKeydown(e)
+    }, { signal })
+  }
+
+  _handleKeydown(e) {
+    const items = Array.from(this.list.querySelectorAll(".find-result"))
+    const index = items.indexOf(e.target)
+    if (index === -1) return
+
+    let next = null
+    switch (e.key) {
+      case "ArrowDown":
+        next = items[index + 1]
+        break
+      case "ArrowUp":
+        next = items[index - 1]
+        break
+      case "Home":
+        next = items[0]
+        break
+      case "End":
+        next = items[items.length - 1]
+        break
+      default:
+        return
+    }
+
+    e.preventDefault()
+    next?.focus()
+  }
+
+  /**
+   * Bring the list up to date with the find controller's matches.
+   * @param {Object} update - As passed to FindController's onMatchesUpdated
+   * @param {boolean} update.reset - All matches were replaced
+   * @param {number|null} update.pageNumber - Page whose matches were added
+   */
+  update({ reset, pageNumber }) {
+    // Closed lists are rebuilt when they open
+    if (!this.isOpen) return
+
+    if (reset) {
+      this.refresh()
+    } else {
+      this._renderPage(pageNumber)
+    }
+  }
+
+  /**
+   * Rebuild the whole list from the find controller's matches.
+   */
+  refresh() {
+    this.list.innerHTML = ""
+    this._groups.clear()
+    this._items.clear()
+    this._currentMatch = null
+
+    const pageNumbers = new Set(this.findController.matches.map(match => match.pageNumber))
+    for (const pageNumber of pageNumbers) {
+      this._renderPage(pageNumber)
+    }
+
+    this.setCurrentMatch(this.findController.matches[this.findController.currentMatchIndex])
+  }
+
+  // Add (or replace) the group for one page, keeping pages in order
+  _renderPage(pageNumber) {
+    const matches = this.findController.matches.filter(match => match.pageNumber === pageNumber)
+
+    this._groups.get(pageNumber)?.remove()
+    this._groups.delete(pageNumber)
+    if (matches.length === 0) return
+
+    const group = document.createElement("li")
+    group.className = "find-results-page"
+    group.dataset.page = String(pageNumber)
+
+    const header = document.createElement("div")
+    header.className = "find-results-page-header"
+    header.setAttribute("aria-hidden", "true")
+    header.textContent = `Page ${pageNumber}`
+
+    const count = document.createElement("span")
+    count.className = "find-results-page-count"
+    count.textContent = String(matches.length)
+    header.appendChild(count)
+
+    const list = document.createElement("ol")
+    list.className = "find-results-page-matches"
+    list.setAttribute("aria-label", `Page ${pageNumber}, ${matches.length} ${matches.length === 1 ? "match" : "matches"}`)
+
+    for (const match of matches) {
+      const item = document.createElement("li")
+      item.appendChild(this._createResult(match))
+      list.appendChild(item)
+    }
+
+    group.append(header, list)
+
+    const nextGroup = Array.from(this._groups.entries())
+      .filter(([number]) => number > pageNumber)
+      .sort(([a], [b]) => a - b)[0]?.[1]
+    this.list.insertBefore(group, nextGroup || null)
+    this._groups.set(pageNumber, group)
+  }
+
+  _createResult(match) {
+    const { before, text, after } = this.findController.getMatchContext(match, SNIPPET_CONTEXT_LENGTH)
+
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = "find-result"
+
+    const hit = document.createElement("mark")
+    hit.className = ["find-result-match", this.findController.getTermClassName(match)].filter(Boolean).join(" ")
+    hit.textContent = text
+
+    button.append(document.createTextNode(before), hit, document.createTextNode(after))
+
+    if (match.annotationId) {
+      button.classList.add("is-annotation")
+
+      const source = document.createElement("span")
+      source.className = "find-result-source"
+      source.textContent = this._annotationLabel(match)
+      button.prepend(source)
+    }
+
+    if (match === this._currentMatch) {
+      this._markCurrent(button, true)
+    }
+
+    this._items.set(match, button)
+    this._matchesByItem.set(button, match)
+    return button
+  }
+
+  _annotationLabel(match) {
+    if (match.field === "title") {
+      return MARKED_TEXT_LABELS[match.annotationType] || "Annotation"
+    }
+    return match.annotationType === "note" ? "Note" : "Comment"
+  }
+
+  /**
+   * Mark the current match in the list and scroll it into view.
+   * @param {Object|undefined} match - One of the find controller's matches
+   */
+  setCurrentMatch(match) {
+    match = match || null
+    if (match === this._currentMatch) return
+
+    const previous = this._items.get(this._currentMatch)
+    if (previous) this._markCurrent(previous, false)
+    this._currentMatch = match
+
+    const item = this._items.get(match)
+    if (item) {
+      this._markCurrent(item, true)
+      item.scrollIntoView({ block: "nearest" })
+    }
+  }
+
+  _markCurrent(item, current) {
+    item.classList.toggle("selected", current)
+    if (current) {
+      item.setAttribute("aria-current", "true")
+    } else {
+      item.removeAttribute("aria-current")
+    }
+  }
+
+  /**
+   * Show the list
+   */
+  open() {
+    this.isOpen = true
+    this.element.classList.remove("hidden")
+    this.refresh()
+  }
+
+  /**
+   * Hide the list
+   */
+  close() {
+    this.isOpen = false
+    this.element.classList.add("hidden")
+    this.list.innerHTML = ""
+    this._groups.clear()
+    this._items.clear()
+    this._currentMatch = null
+  }
+
+  /**
+   * Toggle the list
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close()
+    } else {
+      this.open()
+    }
+  }
+
+  /**
+   * Clean up
+   */
+  destroy() {
+    this._abortController.abort()
+    this._groups.clear()
+    this._items.clear()
+    this.element.remove()
+  }
+}
@@ -0,0 +1,103 @@
+import {
+  FREE_TEXT_FONT_SIZES, DEFAULT_FREE_TEXT_FONT_SIZE, DEFAULT_FREE_TEXT_COLOR
+} from "../free_text"
+
+/**
+ * FreeTextOptions - Font size, border and background controls for the text
+ * box tool, shown in the toolbar next to the color picker while it's active.
+ *
+ * The text color is the color picker's; FreeTextOptions remembers the one the
+ * text box tool last used, like ShapeOptions does for the shape tools.
+ */
+export class FreeTextOptions {
+  static BORDER_WIDTHS = [
+    { name: "No border", value: 0 },
+    { name: "Thin border", value: 1 },
+    { name: "Thick border", value: 2 }
+  ]
+
+  // Light enough to read any text color on
+  static BACKGROUNDS = [
+    { name: "White", value: "#FFFFFF" },
+    { name: "Yellow", value: "#FFF9C4" },
+    { name: "Green", value: "#E8F5E9" },
+    { name: "Blue", value: "#E3F2FD" },
+    { name: "Pink", value: "#FCE4EC" }
+  ]
+
+  constructor() {
+    this.textColor = DEFAULT_FREE_TEXT_COLOR
+    this.fontSize = DEFAULT_FREE_TEXT_FONT_SIZE
+    this.borderWidth = 0
+    this.backgroundColor = null // #RRGGBB, or null for no background
+
+    // Removes all DOM listeners on destroy()
+    this._abortController = new AbortController()
+
+    this._createUI()
+    this._setupEventListeners()
+  }
+
+  _createUI() {
+    this.element = document.createElement("div")
+    this.element.className = "free-text-options hidden"
+    this.element.innerHTML = `
+      <select class="free-text-options-select free-text-options-font-size" aria-label="Font size" title="Font size">
+        ${FREE_TEXT_FONT_SIZES.map(size => `
+          <option value="${size}" ${size === this.fontSize ? "selected" : ""}>${size} pt</option>
+        `).join("")}
+      </select>
+      <select class="free-text-options-select free-text-options-border" aria-label="Border" title="Border">
+        ${FreeTextOptions.BORDER_WIDTHS.map(border => `
+          <option value="${border.value}" ${border.value === this.borderWidth ? "selected" : ""}>${border.name}</option>
+        `).join("")}
+      </select>
+      <select class="free-text-options-select free-text-options-background" aria-label="Background" title="Background">
+        <option value="">No background</option>
+        ${FreeTextOptions.BACKGROUNDS.map(color => `
+          <option value="${color.value}">${color.name} background</option>
+        `).join("")}
+      </select>
+    `
+
+    this.fontSizeSelect = this.element.querySelector(".free-text-options-font-size")
+    this.borderSelect = this.element.querySelector(".free-text-options-border")
+    this.backgroundSelect = this.element.querySelector(".free-text-options-background")
+  }
+
+  /**
+   * Render the options into a container.
+   */
+  render(container) {
+    container.appendChild(this.element)
+  }
+
+  _setupEventListeners() {
+    const signal = this._abortController.signal
+
+    this.fontSizeSelect.addEventListener("change", () => {
+      this.fontSize = parseFloat(this.fontSizeSelect.value)
+    }, { signal })
+
+    this.borderSelect.addEventListener("change", () => {
+      this.borderWidth = parseFloat(this.borderSelect.value)
+    }, { signal })
+
+    this.backgroundSelect.addEventListener("change", () => {
+      this.backgroundColor = this.backgroundSelect.value || null
+    }, { signal })
+  }
+
+  show() {
+    this.element.classList.remove("hidden")
+  }
+
+  hide() {
+    this.element.classList.add("hidden")
+  }
+
+  destroy() {
+    this._abortController.abort()
+    this.element.remove()
+  }
+}
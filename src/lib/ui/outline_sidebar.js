@@ -0,0 +1,485 @@
+import { ViewerEvents } from "../core/event_bus"
+import { Icons } from "./icons"
+
+/**
+ * OutlineSidebar - Toggle-able sidebar with the PDF's table of contents
+ *
+ * Features:
+ * - Nested, collapsible entries from pdfDocument.getOutline()
+ * - Click (or Enter) to jump to the entry's destination, scrolled to the
+ *   spot it names
+ * - Tree keyboard navigation (arrows, Home/End, Left/Right to collapse/expand)
+ * - Highlights the entry for the current page
+ * - Resizable sidebar
+ */
+
+const SIDEBAR_DEFAULT_WIDTH = 240
+const SIDEBAR_MIN_WIDTH = 150
+const SIDEBAR_MAX_WIDTH = 450
+
+export class OutlineSidebar {
+  constructor({ container, viewer, eventBus, onOpen }) {
+    this.container = container
+    this.viewer = viewer
+    this.eventBus = eventBus
+    this.onOpen = onOpen
+
+    this.pdfDocument = null
+    this.items = [] // Flattened outline entries, in document order
+    this.currentPage = 1
+    this.isOpen = false
+    this.sidebarWidth = SIDEBAR_DEFAULT_WIDTH
+    this._activeItem = null
+    this._focusedItem = null
+
+    // Removes all DOM, document, and EventBus listeners on destroy()
+    this._abortController = new AbortController()
+
+    this._createElements()
+    this._setupEventListeners()
+  }
+
+  _createElements() {
+    this.element = document.createElement("div")
+    this.element.className = "pdf-sidebar is-left pdf-outline-sidebar"
+    this.element.style.setProperty("--sidebar-width", `${this.sidebarWidth}px`)
+
+    this.header = document.createElement("div")
+    this.header.className = "pdf-sidebar-header"
+    this.header.innerHTML = `
+      <span class="pdf-sidebar-title">Outline</span>
+      <button class="pdf-sidebar-close" type="button" aria-label="Close sidebar">
+        ${Icons.close}
+      </button>
+    `
+
+    this.content = document.createElement("div")
+    this.content.className = "pdf-sidebar-content pdf-outline-content"
+
+    this.tree = document.createElement("ul")
+    this.tree.className = "pdf-outline-tree"
+    this.tree.setAttribute("role", "tree")
+    this.tree.setAttribute("aria-label", "Document outline")
+
+    this.emptyState = document.createElement("p")
+    this.emptyState.className = "pdf-outline-empty hidden"
+    this.emptyState.textContent = "This document has no outline."
+
+    this.content.appendChild(this.tree)
+    this.content.appendChild(this.emptyState)
+
+    this.resizer = document.createElement("div")
+    this.resizer.className = "pdf-sidebar-resizer"
+
+    this.element.appendChild(this.header)
+    this.element.appendChild(this.content)
+    this.element.appendChild(this.resizer)
+
+    this.container.insertBefore(this.element, this.container.firstChild)
+  }
+
+  _setupEventListeners() {
+    const signal = this._abortController.signal
+
+    const closeBtn = this.header.querySelector(".pdf-sidebar-close")
+    closeBtn.addEventListener("click", () => this.close(), { signal })
+
+    this._setupResizer()
+
+    this.tree.addEventListener("click", (e) => {
+      const item = this._itemForElement(e.target)
+      if (!item) return
+
+      this._focusItem(item)
+      if (e.target.closest(".pdf-outline-toggle")) {
+        this._setExpanded(item, !item.expanded)
+      } else {
+        this._navigate(item).catch(error => console.error("Error following outline entry:", error))
+      }
+    }, { signal })
+
+    this.tree.addEventListener("keydown", (e) => {
+      this._handleKeydown(e)
+    }, { signal })
+
+    // Follow the current page
+    this.eventBus.on(ViewerEvents.PAGE_CHANGING, ({ pageNumber }) => {
+      this._onPageChange(pageNumber)
+    }, { signal })
+
+    this.eventBus.on(ViewerEvents.SCROLL, () => {
+      const currentPage = this.viewer.getCurrentPage()
+      if (currentPage !== this.currentPage) {
+        this._onPageChange(currentPage)
+      }
+    }, { signal })
+  }
+
+  _setupResizer() {
+    let startX, startWidth
+
+    const onMouseMove = (e) => {
+      const delta = e.clientX - startX
+      const newWidth = Math.max(SIDEBAR_MIN_WIDTH, Math.min(SIDEBAR_MAX_WIDTH, startWidth + delta))
+      this.sidebarWidth = newWidth
+      this.element.style.setProperty("--sidebar-width", `${newWidth}px`)
+    }
+
+    const onMouseUp = () => {
+      document.removeEventListener("mousemove", onMouseMove)
+      document.removeEventListener("mouseup", onMouseUp)
+      this.element.classList.remove("resizing")
+      document.body.style.cursor = ""
+      document.body.style.userSelect = ""
+    }
+
+    this.resizer.addEventListener("mousedown", (e) => {
+      e.preventDefault()
+      startX = e.clientX
+      startWidth = this.sidebarWidth
+      this.element.classList.add("resizing")
+      document.body.style.cursor = "ew-resize"
+      document.body.style.userSelect = "none"
+      document.addEventListener("mousemove", onMouseMove, { signal: this._abortController.signal })
+      document.addEventListener("mouseup", onMouseUp, { signal: this._abortController.signal })
+    }, { signal: this._abortController.signal })
+  }
+
+  /**
+   * Build the outline for the loaded PDF document
+   */
+  async setDocument(pdfDocument) {
+    this.tree.innerHTML = ""
+    this.content.scrollTop = 0
+    this.items = []
+    this.currentPage = 1
+    this._activeItem = null
+    this._focusedItem = null
+    this.pdfDocument = pdfDocument
+    this.emptyState.classList.add("hidden")
+
+    if (!pdfDocument) return
+
+    let outline = null
+    try {
+      outline = await pdfDocument.getOutline()
+    } catch (error) {
+      console.error("Error loading document outline:", error)
+    }
+
+    // Another document was set while we were waiting
+    if (this.pdfDocument !== pdfDocument) return
+
+    if (!outline?.length) {
+      this.emptyState.classList.remove("hidden")
+    } else {
+      this._renderItems(outline, this.tree, null)
+      this._focusedItem = this.items[0]
+      this._focusedItem.element.tabIndex = 0
+    }
+
+    this.container.dispatchEvent(new CustomEvent("pdf-viewer:outline-loaded", {
+      bubbles: true,
+      detail: { count: this.items.length }
+    }))
+
+    await this._resolvePageNumbers(pdfDocument)
+  }
+
+  _renderItems(entries, parentElement, parent) {
+    const level = parent ? parent.level + 1 : 1
+
+    for (const data of entries) {
+      const item = {
+        data,
+        parent,
+        level,
+        children: [],
+        // A negative count means the entry starts collapsed (PDF spec)
+        expanded: !(data.count < 0),
+        pageNumber: null,
+        element: document.createElement("li")
+      }
+      item.index = this.items.push(item) - 1
+      parent?.children.push(item)
+
+      const { element } = item
+      element.className = "pdf-outline-item"
+      element.setAttribute("role", "treeitem")
+      element.setAttribute("aria-level", String(level))
+      element.dataset.index = String(item.index)
+      element.tabIndex = -1
+
+      const row = document.createElement("div")
+      row.className = "pdf-outline-row"
+      row.style.setProperty("--outline-level", String(level - 1))
+
+      const toggle = document.createElement("span")
+      toggle.className = "pdf-outline-toggle"
+      toggle.setAttribute("aria-hidden", "true")
+
+      const label = document.createElement("span")
+      label.className = "pdf-outline-label"
+      label.textContent = data.title
+      if (data.bold) label.classList.add("bold")
+      if (data.italic) label.classList.add("italic")
+      if (data.url) label.title = data.url
+
+      const page = document.createElement("span")
+      page.className = "pdf-outline-page"
+      page.setAttribute("aria-hidden", "true")
+
+      row.append(toggle, label, page)
+      element.appendChild(row)
+      parentElement.appendChild(element)
+
+      if (data.items?.length) {
+        toggle.innerHTML = Icons.chevronRight
+        const group = document.createElement("ul")
+        group.className = "pdf-outline-group"
+        group.setAttribute("role", "group")
+        element.appendChild(group)
+        this._renderItems(data.items, group, item)
+        this._setExpanded(item, item.expanded)
+      }
+    }
+  }
+
+  // Page numbers are shown next to each entry and drive the current-page
+  // highlight. Resolving named destinations can take a while in long documents,
+  // so the tree is usable before it finishes.
+  async _resolvePageNumbers(pdfDocument) {
+    const linkService = this.viewer.linkService
+
+    for (const item of this.items) {
+      if (!item.data.dest) continue
+
+      // A malformed destination leaves its entry without a page number
+      let pageNumber = null
+      try {
+        pageNumber = await linkService.getDestinationPageNumber(item.data.dest)
+      } catch (error) {
+        console.warn("OutlineSidebar: could not resolve destination:", item.data.dest, error)
+      }
+      if (this.pdfDocument !== pdfDocument) return
+
+      item.pageNumber = pageNumber
+      if (pageNumber) {
+        item.element.querySelector(".pdf-outline-page").textContent = String(pageNumber)
+      }
+    }
+
+    this._updateActiveItem()
+  }
+
+  _itemForElement(target) {
+    const element = target.closest(".pdf-outline-item")
+    return element ? this.items[parseInt(element.dataset.index, 10)] : null
+  }
+
+  async _navigate(item) {
+    const { dest, url, action } = item.data
+    const linkService = this.viewer.linkService
+
+    if (dest) {
+      const pdfDocument = this.pdfDocument
+      let destination = null
+      try {
+        destination = await linkService.resolveDestination(dest)
+      } catch (error) {
+        console.warn("OutlineSidebar: could not resolve destination:", dest, error)
+      }
+      if (this.pdfDocument !== pdfDocument) return
+
+      if (destination) {
+        this.viewer.goToPage(destination.pageNumber, { point: destination.point })
+      } else {
+        console.warn("OutlineSidebar: destination doesn't resolve to a page:", dest)
+      }
+    } else if (url) {
+      window.open(url, "_blank", "noopener,noreferrer")
+    } else if (action) {
+      linkService.executeNamedAction(action)
+    }
+  }
+
+  _setExpanded(item, expanded) {
+    if (item.children.length === 0) return
+
+    item.expanded = expanded
+    item.element.setAttribute("aria-expanded", String(expanded))
+    item.element.classList.toggle("collapsed", !expanded)
+
+    // Collapsing may hide the focused or highlighted entry
+    if (!expanded && this._focusedItem && this._isDescendant(this._focusedItem, item)) {
+      this._focusItem(item)
+    }
+    this._updateActiveItem()
+  }
+
+  _isDescendant(item, ancestor) {
+    for (let parent = item.parent; parent; parent = parent.parent) {
+      if (parent === ancestor) return true
+    }
+    return false
+  }
+
+  _isVisible(item) {
+    for (let parent = item.parent; parent; parent = parent.parent) {
+      if (!parent.expanded) return false
+    }
+    return true
+  }
+
+  _visibleItems() {
+    return this.items.filter(item => this._isVisible(item))
+  }
+
+  // Roving tabindex: only the focused entry is in the tab order
+  _focusItem(item) {
+    if (!item) return
+
+    if (this._focusedItem && this._focusedItem !== item) {
+      this._focusedItem.element.tabIndex = -1
+    }
+    this._focusedItem = item
+    item.element.tabIndex = 0
+    item.element.focus({ preventScroll: true })
+    item.element.querySelector(".pdf-outline-row").scrollIntoView({ block: "nearest" })
+  }
+
+  _handleKeydown(e) {
+    const item = this._itemForElement(e.target)
+    if (!item) return
+
+    const visible = this._visibleItems()
+    const index = visible.indexOf(item)
+
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault()
+        this._focusItem(visible[index + 1])
+        break
+      case "ArrowUp":
+        e.preventDefault()
+        this._focusItem(visible[index - 1])
+        break
+      case "ArrowRight":
+        e.preventDefault()
+        if (item.children.length === 0) break
+        if (!item.expanded) {
+          this._setExpanded(item, true)
+        } else {
+          this._focusItem(item.children[0])
+        }
+        break
+      case "ArrowLeft":
+        e.preventDefault()
+        if (item.expanded && item.children.length > 0) {
+          this._setExpanded(item, false)
+        } else {
+          this._focusItem(item.parent)
+        }
+        break
+      case "Home":
+        e.preventDefault()
+        this._focusItem(visible[0])
+        break
+      case "End":
+        e.preventDefault()
+        this._focusItem(visible[visible.length - 1])
+        break
+      case "Enter":
+      case " ":
+        e.preventDefault()
+        this._navigate(item).catch(error => console.error("Error following outline entry:", error))
+        break
+    }
+  }
+
+  _onPageChange(pageNumber) {
+    if (pageNumber === this.currentPage) return
+
+    this.currentPage = pageNumber
+    this._updateActiveItem()
+  }
+
+  /**
+   * Highlight the entry for the current page: the one starting closest before
+   * or on it (the later one on ties, so subsections win over their chapter).
+   * If it's inside a collapsed entry, that entry is highlighted instead.
+   */
+  _updateActiveItem() {
+    let match = null
+    for (const item of this.items) {
+      if (item.pageNumber && item.pageNumber <= this.currentPage &&
+          (!match || item.pageNumber >= match.pageNumber)) {
+        match = item
+      }
+    }
+
+    let active = match
+    for (let parent = match?.parent; parent; parent = parent.parent) {
+      if (!parent.expanded) active = parent
+    }
+
+    if (active === this._activeItem) return
+
+    if (this._activeItem) {
+      this._activeItem.element.classList.remove("active")
+      this._activeItem.element.removeAttribute("aria-current")
+    }
+    this._activeItem = active
+
+    if (active) {
+      active.element.classList.add("active")
+      active.element.setAttribute("aria-current", "location")
+      if (this.isOpen) {
+        active.element.querySelector(".pdf-outline-row").scrollIntoView({ block: "nearest" })
+      }
+    }
+  }
+
+  /**
+   * Open the sidebar
+   */
+  open() {
+    this.isOpen = true
+    this.element.classList.add("open")
+    this.container.classList.add("outline-sidebar-open")
+    this.onOpen?.()
+
+    requestAnimationFrame(() => {
+      this._activeItem?.element.querySelector(".pdf-outline-row").scrollIntoView({ block: "nearest" })
+    })
+  }
+
+  /**
+   * Close the sidebar
+   */
+  close() {
+    this.isOpen = false
+    this.element.classList.remove("open")
+    this.container.classList.remove("outline-sidebar-open")
+  }
+
+  /**
+   * Toggle the sidebar
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close()
+    } else {
+      this.open()
+    }
+  }
+
+  /**
+   * Clean up
+   */
+  destroy() {
+    this._abortController.abort()
+    this.items = []
+    this.element.remove()
+  }
+}
@@ -0,0 +1,128 @@
+// Unique ids for aria-labelledby/aria-describedby when several viewers share a page
+let dialogCount = 0
+
+/**
+ * PasswordDialog - Modal prompt for the password of an encrypted PDF.
+ *
+ * A plain div with role="dialog" rather than <dialog>, so it behaves the same
+ * on every browser we support. Focus is trapped inside while open and handed
+ * back to the previously focused element on close.
+ *
+ * Usage:
+ *   const dialog = new PasswordDialog()
+ *   const password = await dialog.prompt({ incorrect: false }) // null if cancelled
+ */
+export class PasswordDialog {
+  constructor() {
+    this.element = null
+    this._resolve = null
+    this._previousFocusElement = null
+    this._id = `pdf-password-dialog-${++dialogCount}`
+  }
+
+  /**
+   * Show the dialog and wait for the user.
+   * @param {Object} options
+   * @param {boolean} options.incorrect - The last password was wrong
+   * @returns {Promise<string|null>} The password, or null if cancelled
+   */
+  prompt({ incorrect = false } = {}) {
+    // Only one prompt at a time; a new one cancels the old
+    this._finish(null)
+
+    this._previousFocusElement = document.activeElement
+    this._createDialog(incorrect)
+
+    return new Promise(resolve => {
+      this._resolve = resolve
+    })
+  }
+
+  _createDialog(incorrect) {
+    this.element = document.createElement("div")
+    this.element.className = "pdf-password-backdrop"
+    this.element.innerHTML = `
+      <div class="pdf-password-dialog" role="dialog" aria-modal="true"
+           aria-labelledby="${this._id}-title" aria-describedby="${this._id}-description">
+        <div class="pdf-password-dialog-header" id="${this._id}-title">Password Required</div>
+        <form class="pdf-password-dialog-body">
+          <p class="pdf-password-dialog-description" id="${this._id}-description">
+            This document is password-protected. Enter the password to open it.
+          </p>
+          <input type="password" class="pdf-password-dialog-input" autocomplete="current-password"
+                 aria-label="Password" aria-invalid="${incorrect}">
+          <p class="pdf-password-dialog-error${incorrect ? "" : " hidden"}" role="alert">
+            ${incorrect ? "Incorrect password. Please try again." : ""}
+          </p>
+          <div class="pdf-password-dialog-actions">
+            <button type="button" class="pdf-password-dialog-cancel">Cancel</button>
+            <button type="submit" class="pdf-password-dialog-submit">Open</button>
+          </div>
+        </form>
+      </div>
+    `
+
+    document.body.appendChild(this.element)
+
+    this.input = this.element.querySelector(".pdf-password-dialog-input")
+    this._setupEventListeners()
+
+    requestAnimationFrame(() => this.input?.focus({ preventScroll: true }))
+  }
+
+  _setupEventListeners() {
+    const form = this.element.querySelector("form")
+    const cancelBtn = this.element.querySelector(".pdf-password-dialog-cancel")
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault()
+      const password = this.input.value
+      if (password) this._finish(password)
+    })
+
+    cancelBtn.addEventListener("click", () => this._finish(null))
+
+    this.element.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault()
+        e.stopPropagation()
+        this._finish(null)
+      } else if (e.key === "Tab") {
+        this._trapFocus(e)
+      }
+    })
+  }
+
+  // Keep Tab/Shift+Tab cycling within the dialog
+  _trapFocus(event) {
+    const focusable = this.element.querySelectorAll("input, button")
+    const first = focusable[0]
+    const last = focusable[focusable.length - 1]
+
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault()
+      last.focus()
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault()
+      first.focus()
+    }
+  }
+
+  _finish(password) {
+    if (this.element) {
+      this.element.remove()
+      this.element = null
+      this.input = null
+      this._previousFocusElement?.focus?.({ preventScroll: true })
+      this._previousFocusElement = null
+    }
+
+    const resolve = this._resolve
+    this._resolve = null
+    resolve?.(password)
+  }
+
+  destroy() {
+    this._finish(null)
+  }
+}
@@ -0,0 +1,98 @@
+import { ColorPicker } from "./color_picker"
+import { DEFAULT_SHAPE_THICKNESS } from "../shapes"
+
+/**
+ * ShapeOptions - Stroke width and fill controls for the shape tools, shown
+ * in the toolbar next to the color picker while a shape tool is active.
+ *
+ * The stroke color is the color picker's; ShapeOptions remembers the one the
+ * shape tools last used, so switching between shape and highlight tools
+ * keeps each one's color.
+ */
+export class ShapeOptions {
+  static STROKE_WIDTHS = [1, 2, 4, 8]
+
+  // Opacity of fills, so the page shows through
+  static FILL_OPACITY = 0.3
+
+  constructor() {
+    this.strokeColor = ColorPicker.DEFAULT_INK_COLOR
+    this.strokeWidth = DEFAULT_SHAPE_THICKNESS
+    this.fillColor = null // #RRGGBB, or null for no fill
+
+    // Removes all DOM listeners on destroy()
+    this._abortController = new AbortController()
+
+    this._createUI()
+    this._setupEventListeners()
+  }
+
+  _createUI() {
+    this.element = document.createElement("div")
+    this.element.className = "shape-options hidden"
+    this.element.innerHTML = `
+      <select class="shape-options-select shape-options-stroke-width" aria-label="Stroke width" title="Stroke width">
+        ${ShapeOptions.STROKE_WIDTHS.map(width => `
+          <option value="${width}" ${width === this.strokeWidth ? "selected" : ""}>${width} pt</option>
+        `).join("")}
+      </select>
+      <select class="shape-options-select shape-options-fill" aria-label="Fill" title="Fill">
+        <option value="">No fill</option>
+        ${ColorPicker.COLORS.map(color => `
+          <option value="${color.value}">${color.name} fill</option>
+        `).join("")}
+      </select>
+    `
+
+    this.strokeWidthSelect = this.element.querySelector(".shape-options-stroke-width")
+    this.fillSelect = this.element.querySelector(".shape-options-fill")
+  }
+
+  /**
+   * Render the options into a container.
+   */
+  render(container) {
+    container.appendChild(this.element)
+  }
+
+  _setupEventListeners() {
+    const signal = this._abortController.signal
+
+    this.strokeWidthSelect.addEventListener("change", () => {
+      this.strokeWidth = parseFloat(this.strokeWidthSelect.value)
+    }, { signal })
+
+    this.fillSelect.addEventListener("change", () => {
+      this.fillColor = this.fillSelect.value || null
+    }, { signal })
+  }
+
+  /**
+   * Show the options for a shape tool.
+   * @param {Object} [options]
+   * @param {boolean} [options.fillable] - Whether the shape can be filled
+   */
+  show({ fillable = true } = {}) {
+    this.element.classList.remove("hidden")
+    this.fillSelect.disabled = !fillable
+  }
+
+  hide() {
+    this.element.classList.add("hidden")
+  }
+
+  /**
+   * The fill to draw new shapes with.
+   * @returns {string|null} #RRGGBBAA, or null for no fill
+   */
+  getFillColor() {
+    if (!this.fillColor) return null
+    const alphaHex = Math.round(ShapeOptions.FILL_OPACITY * 255).toString(16).padStart(2, "0")
+    return this.fillColor + alphaHex
+  }
+
+  destroy() {
+    this._abortController.abort()
+    this.element.remove()
+  }
+}
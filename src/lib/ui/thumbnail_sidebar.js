@@ -11,6 +11,8 @@ import { Icons } from "./icons"
  * - Current page highlighting
  * - Resizable sidebar
  * - Collapse/expand toggle
+ * - Context menu to rotate individual pages
+ * - Badges with the number of search matches on each page
  */
 
 const SIDEBAR_DEFAULT_WIDTH = 200
@@ -18,11 +20,13 @@ const SIDEBAR_MIN_WIDTH = 150
 const SIDEBAR_MAX_WIDTH = 400
 
 export class ThumbnailSidebar {
-  constructor({ container, viewer, eventBus, onPageClick }) {
+  constructor({ container, viewer, eventBus, onPageClick, onPageRotate, onOpen }) {
     this.container = container
     this.viewer = viewer
     this.eventBus = eventBus
     this.onPageClick = onPageClick
+    this.onPageRotate = onPageRotate
+    this.onOpen = onOpen
     this.eventTarget = container // Use container for dispatching error events
 
     this.thumbnails = []
@@ -30,6 +34,8 @@ export class ThumbnailSidebar {
     this.currentPage = 1
     this.isOpen = false
     this.sidebarWidth = SIDEBAR_DEFAULT_WIDTH
+    this._menuPageNumber = null // Page the context menu is open for
+    this._matchCounts = new Map() // pageNumber -> search match count
 
     // Removes all DOM, document, and EventBus listeners on destroy(). The
     // EventBus subscriptions in particular would otherwise keep the sidebar
@@ -64,10 +70,24 @@ export class ThumbnailSidebar {
     this.resizer = document.createElement("div")
     this.resizer.className = "pdf-sidebar-resizer"
 
+    // Page context menu (only offered when the host handles rotation)
+    this.contextMenu = document.createElement("div")
+    this.contextMenu.className = "pdf-thumbnail-menu hidden"
+    this.contextMenu.setAttribute("role", "menu")
+    this.contextMenu.innerHTML = `
+      <button type="button" class="pdf-thumbnail-menu-item" role="menuitem" tabindex="-1" data-rotate="90">
+        Rotate clockwise
+      </button>
+      <button type="button" class="pdf-thumbnail-menu-item" role="menuitem" tabindex="-1" data-rotate="-90">
+        Rotate counterclockwise
+      </button>
+    `
+
     // Assemble sidebar
     this.element.appendChild(this.header)
     this.element.appendChild(this.thumbnailContainer)
     this.element.appendChild(this.resizer)
+    this.element.appendChild(this.contextMenu)
 
     // Insert sidebar at beginning of container (before pages container)
     this.container.insertBefore(this.element, this.container.firstChild)
@@ -101,6 +121,44 @@ export class ThumbnailSidebar {
       }
     }, { signal })
 
+    // Follow the viewer's page rotation
+    this.eventBus.on(ViewerEvents.ROTATION_CHANGED, () => {
+      this._onRotationChanged()
+    }, { signal })
+
+    this.eventBus.on(ViewerEvents.PAGE_ROTATION_CHANGED, ({ pageNumber }) => {
+      this.thumbnails[pageNumber - 1]?.setRotation(this.viewer.getViewRotation(pageNumber))
+      this._renderVisibleThumbnails()
+    }, { signal })
+
+    // Page context menu: right-click, or the Menu key / Shift+F10 on a thumbnail
+    this.thumbnailContainer.addEventListener("contextmenu", (e) => {
+      const thumbnail = e.target.closest(".thumbnail")
+      if (!thumbnail || !this.onPageRotate) return
+
+      e.preventDefault()
+      this._openContextMenu(parseInt(thumbnail.dataset.pageNumber, 10), e.clientX, e.clientY)
+    }, { signal })
+
+    this.contextMenu.addEventListener("click", (e) => {
+      const item = e.target.closest("[data-rotate]")
+      if (!item) return
+
+      const pageNumber = this._menuPageNumber
+      this._closeContextMenu()
+      this.onPageRotate?.(pageNumber, parseInt(item.dataset.rotate, 10))
+    }, { signal })
+
+    this.contextMenu.addEventListener("keydown", (e) => {
+      this._handleContextMenuKeydown(e)
+    }, { signal })
+
+    document.addEventListener("pointerdown", (e) => {
+      if (this._menuPageNumber !== null && !this.contextMenu.contains(e.target)) {
+        this._closeContextMenu({ restoreFocus: false })
+      }
+    }, { signal })
+
     // Keyboard navigation within sidebar
     this.thumbnailContainer.addEventListener("keydown", (e) => {
       this._handleKeydown(e)
@@ -145,6 +203,13 @@ export class ThumbnailSidebar {
 
     const currentIndex = parseInt(focusedThumbnail.dataset.pageNumber, 10) - 1
 
+    if ((e.key === "ContextMenu" || (e.shiftKey && e.key === "F10")) && this.onPageRotate) {
+      e.preventDefault()
+      const rect = focusedThumbnail.getBoundingClientRect()
+      this._openContextMenu(currentIndex + 1, rect.left + rect.width / 2, rect.top + rect.height / 2)
+      return
+    }
+
     switch (e.key) {
       case "ArrowUp":
         e.preventDefault()
@@ -169,13 +234,68 @@ export class ThumbnailSidebar {
     }
   }
 
+  _openContextMenu(pageNumber, x, y) {
+    this._menuPageNumber = pageNumber
+    this.contextMenu.setAttribute("aria-label", `Page ${pageNumber}`)
+    this.contextMenu.classList.remove("hidden")
+
+    // Keep the menu inside the viewport
+    const menuRect = this.contextMenu.getBoundingClientRect()
+    const left = Math.min(x, window.innerWidth - menuRect.width - 4)
+    const top = Math.min(y, window.innerHeight - menuRect.height - 4)
+    this.contextMenu.style.left = `${Math.max(4, left)}px`
+    this.contextMenu.style.top = `${Math.max(4, top)}px`
+
+    this.contextMenu.querySelector("[role='menuitem']")?.focus()
+  }
+
+  _closeContextMenu({ restoreFocus = true } = {}) {
+    if (this._menuPageNumber === null) return
+
+    const pageNumber = this._menuPageNumber
+    this._menuPageNumber = null
+    this.contextMenu.classList.add("hidden")
+
+    if (restoreFocus) {
+      this.thumbnails[pageNumber - 1]?.div.focus()
+    }
+  }
+
+  _handleContextMenuKeydown(e) {
+    const items = Array.from(this.contextMenu.querySelectorAll("[role='menuitem']"))
+    const index = items.indexOf(document.activeElement)
+
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault()
+        items[(index + 1) % items.length].focus()
+        break
+      case "ArrowUp":
+        e.preventDefault()
+        items[(index - 1 + items.length) % items.length].focus()
+        break
+      case "Escape":
+      case "Tab":
+        e.preventDefault()
+        e.stopPropagation()
+        this._closeContextMenu()
+        break
+    }
+  }
+
   /**
    * Initialize thumbnails for the loaded PDF document
    */
   async setDocument(pdfDocument) {
-    // Clear existing thumbnails
+    // Clear existing thumbnails (and any in-flight renders of them)
+    this._closeContextMenu({ restoreFocus: false })
+    for (const thumbnail of this.thumbnails) {
+      thumbnail.destroy()
+    }
     this.thumbnailContainer.innerHTML = ""
+    this.thumbnailContainer.scrollTop = 0
     this.thumbnails = []
+    this.currentPage = 1
     this.pdfDocument = pdfDocument
 
     if (!pdfDocument) return
@@ -186,14 +306,20 @@ export class ThumbnailSidebar {
     const firstPage = await pdfDocument.getPage(1)
     const defaultViewport = firstPage.getViewport({ scale: 1 })
 
+    // Another document was set while we were waiting
+    if (this.pdfDocument !== pdfDocument) return
+
     // Create thumbnail views for all pages
     for (let pageNum = 1; pageNum <= numPages; pageNum++) {
       const thumbnail = new ThumbnailView({
         container: this.thumbnailContainer,
+        viewer: this.viewer,
         pageNumber: pageNum,
         defaultViewport: defaultViewport,
         onClick: (page) => this._onThumbnailClick(page)
       })
+      thumbnail.setRotation(this.viewer.getViewRotation(pageNum))
+      thumbnail.setMatchCount(this._matchCounts.get(pageNum) || 0)
       this.thumbnails.push(thumbnail)
     }
 
@@ -207,6 +333,25 @@ export class ThumbnailSidebar {
     }
   }
 
+  /**
+   * Show the number of search matches on each page's thumbnail.
+   * @param {Map<number, number>} counts - pageNumber -> match count; pages
+   *   left out have no matches
+   */
+  setMatchCounts(counts) {
+    this._matchCounts = counts
+    for (const thumbnail of this.thumbnails) {
+      thumbnail.setMatchCount(counts.get(thumbnail.pageNumber) || 0)
+    }
+  }
+
+  _onRotationChanged() {
+    for (const thumbnail of this.thumbnails) {
+      thumbnail.setRotation(this.viewer.getViewRotation(thumbnail.pageNumber))
+    }
+    this._renderVisibleThumbnails()
+  }
+
   _onThumbnailClick(pageNumber) {
     if (this.onPageClick) {
       this.onPageClick(pageNumber)
@@ -307,6 +452,7 @@ export class ThumbnailSidebar {
     this.isOpen = true
     this.element.classList.add("open")
     this.container.classList.add("sidebar-open")
+    this.onOpen?.()
 
     // Render visible thumbnails
     requestAnimationFrame(() => {
@@ -323,6 +469,7 @@ export class ThumbnailSidebar {
    * Close the sidebar
    */
   close() {
+    this._closeContextMenu({ restoreFocus: false })
     this.isOpen = false
     this.element.classList.remove("open")
     this.container.classList.remove("sidebar-open")
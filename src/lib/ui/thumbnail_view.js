@@ -15,13 +15,16 @@ export const ThumbnailRenderingState = {
 }
 
 export class ThumbnailView {
-  constructor({ container, pageNumber, defaultViewport, onClick }) {
+  constructor({ container, viewer, pageNumber, defaultViewport, onClick }) {
+    this.viewer = viewer // Covers the embedded annotations it hides
     this.pageNumber = pageNumber
     this.pdfPage = null
     this.viewport = defaultViewport
+    this.rotation = 0 // User-applied view rotation, on top of the page's /Rotate
     this.renderingState = ThumbnailRenderingState.INITIAL
     this.renderTask = null
     this.onClick = onClick
+    this.matchCount = 0
 
     // Calculate dimensions based on viewport aspect ratio
     const ratio = defaultViewport.width / defaultViewport.height
@@ -79,7 +82,31 @@ export class ThumbnailView {
    */
   setPdfPage(pdfPage) {
     this.pdfPage = pdfPage
-    const viewport = pdfPage.getViewport({ scale: 1 })
+    this._updateViewport()
+  }
+
+  /**
+   * Set the user-applied view rotation and redraw on the next draw() call.
+   * @param {number} rotation - Degrees (0, 90, 180 or 270)
+   */
+  setRotation(rotation) {
+    if (rotation === this.rotation) return
+
+    const quarterTurn = (rotation - this.rotation) % 180 !== 0
+    this.rotation = rotation
+    if (this.pdfPage) {
+      this._updateViewport()
+    } else if (quarterTurn) {
+      // Placeholder size is all we have; flip it on quarter turns
+      this.viewport = { width: this.viewport.height, height: this.viewport.width }
+      this.canvasHeight = Math.round(THUMBNAIL_WIDTH * this.viewport.height / this.viewport.width)
+      this.image.style.height = `${this.canvasHeight}px`
+    }
+    this.reset()
+  }
+
+  _updateViewport() {
+    const viewport = this.pdfPage.getViewport({ scale: 1, rotation: this._totalRotation() })
     this.viewport = viewport
 
     // Recalculate dimensions
@@ -88,6 +115,11 @@ export class ThumbnailView {
     this.image.style.height = `${this.canvasHeight}px`
   }
 
+  // PDF.js treats the viewport rotation as absolute, so add the page's /Rotate
+  _totalRotation() {
+    return ((this.pdfPage?.rotate || 0) + this.rotation) % 360
+  }
+
   /**
    * Render the thumbnail
    */
@@ -105,7 +137,7 @@ export class ThumbnailView {
     try {
       // Calculate scale to fit thumbnail width
       const scale = THUMBNAIL_WIDTH / this.viewport.width
-      const viewport = this.pdfPage.getViewport({ scale })
+      const viewport = this.pdfPage.getViewport({ scale, rotation: this._totalRotation() })
 
       // Create canvas
       const canvas = document.createElement("canvas")
@@ -116,15 +148,17 @@ export class ThumbnailView {
       canvas.style.height = `${Math.round(viewport.height)}px`
 
       const ctx = canvas.getContext("2d")
-      ctx.scale(RENDER_QUALITY, RENDER_QUALITY)
+      const transform = [RENDER_QUALITY, 0, 0, RENDER_QUALITY, 0, 0]
 
-      // Render the page
+      // Render the page, without the annotations the viewer hides
       this.renderTask = this.pdfPage.render({
         canvasContext: ctx,
-        viewport: viewport
+        viewport: viewport,
+        transform
       })
 
       await this.renderTask.promise
+      await this.viewer?.coverHiddenEmbeddedAnnotations(this.pdfPage, ctx, viewport, transform)
 
       // Replace placeholder with canvas
       this.image.innerHTML = ""
@@ -177,6 +211,30 @@ export class ThumbnailView {
     }
   }
 
+  /**
+   * Show how many search matches are on the page, on a badge over the
+   * thumbnail. 0 removes the badge.
+   * @param {number} count
+   */
+  setMatchCount(count) {
+    if (count === this.matchCount) return
+    this.matchCount = count
+
+    if (count > 0) {
+      if (!this.matchBadge) {
+        this.matchBadge = document.createElement("span")
+        this.matchBadge.className = "thumbnail-match-count"
+        this.div.appendChild(this.matchBadge)
+      }
+      this.matchBadge.textContent = String(count)
+      this.div.setAttribute("aria-label", `Page ${this.pageNumber}, ${count} ${count === 1 ? "match" : "matches"}`)
+    } else {
+      this.matchBadge?.remove()
+      this.matchBadge = null
+      this.div.setAttribute("aria-label", `Page ${this.pageNumber}`)
+    }
+  }
+
   /**
    * Scroll this thumbnail into view
    */
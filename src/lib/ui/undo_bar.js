@@ -9,6 +9,7 @@ export class UndoBar {
     this.onUndo = options.onUndo
 
     this.currentAnnotation = null
+    this.currentPrevious = null // Fields to put back, when undoing a change rather than a delete
     this.hideTimeout = null
 
     this._createBar()
@@ -35,7 +36,7 @@ export class UndoBar {
   _setupEventListeners() {
     this.undoButton.addEventListener("click", () => {
       if (this.currentAnnotation && this.onUndo) {
-        this.onUndo(this.currentAnnotation)
+        this.onUndo(this.currentAnnotation, this.currentPrevious)
       }
       this.hide()
     })
@@ -45,22 +46,40 @@ export class UndoBar {
     })
   }
 
-  show(annotation) {
+  /**
+   * Offer to undo a delete or a change.
+   * @param {Object} annotation - The annotation as it was before
+   * @param {Object} [options]
+   * @param {string} [options.message] - Says what happened; defaults to the
+   *   annotation having been deleted
+   * @param {Object} [options.previous] - For a change, the changed fields as
+   *   they were before
+   */
+  show(annotation, { message = null, previous = null } = {}) {
     // Clear any existing timeout
     if (this.hideTimeout) {
       clearTimeout(this.hideTimeout)
     }
 
     this.currentAnnotation = annotation
+    this.currentPrevious = previous
 
     // Set message based on annotation type
     const typeMessages = {
       highlight: "Highlight deleted",
       underline: "Underline deleted",
+      strikeout: "Strikeout deleted",
+      squiggly: "Squiggly underline deleted",
       note: "Note deleted",
-      ink: "Drawing deleted"
+      ink: "Drawing deleted",
+      rectangle: "Rectangle deleted",
+      ellipse: "Ellipse deleted",
+      straight_line: "Line deleted",
+      arrow: "Arrow deleted",
+      polygon: "Polygon deleted",
+      free_text: "Text box deleted"
     }
-    this.messageElement.textContent = typeMessages[annotation.annotation_type] || "Annotation deleted"
+    this.messageElement.textContent = message || typeMessages[annotation.annotation_type] || "Annotation deleted"
 
     // Show the bar (hidden class is on the container)
     this.container.classList.remove("hidden")
@@ -74,6 +93,7 @@ export class UndoBar {
   hide() {
     this.container.classList.add("hidden")
     this.currentAnnotation = null
+    this.currentPrevious = null
 
     if (this.hideTimeout) {
       clearTimeout(this.hideTimeout)
@@ -0,0 +1,127 @@
+/**
+ * URL fragments that link to a spot in a document, following the PDF open
+ * parameters convention also used by Acrobat and PDF.js:
+ *
+ *   #page=5&zoom=150,0,200&search=term&annotation=42
+ *
+ * - page: page number, from 1
+ * - zoom: a percentage (or page-width, page-fit, auto), optionally followed by
+ *   the left and top of the view in PDF points, from the page's bottom-left
+ * - search: a query for the find bar
+ * - annotation: id of an annotation to scroll to and select
+ *
+ * Other parameters in the fragment are left alone.
+ */
+
+// Zoom keywords, as ScaleValue constants
+const ZOOM_PRESETS = ["page-width", "page-fit", "auto"]
+
+// Parameters the viewer reads and writes, in the order they are written
+const VIEW_PARAMETERS = ["page", "zoom", "search", "annotation"]
+
+/**
+ * Read the view a URL fragment links to.
+ * @param {string} hash - e.g. window.location.hash, with or without the "#"
+ * @returns {Object|null} { page, zoom, left, top, search, annotation }, each
+ *   null when the fragment leaves it out; null if it names none of them.
+ *   zoom is a scale (1.5 for 150) or a zoom keyword.
+ */
+export function parseViewHash(hash) {
+  const params = parseParameters(hash)
+  if (!VIEW_PARAMETERS.some(name => params.has(name))) return null
+
+  const view = { page: null, zoom: null, left: null, top: null, search: null, annotation: null }
+
+  const page = parseInt(params.get("page"), 10)
+  if (page > 0) view.page = page
+
+  if (params.has("zoom")) {
+    const [zoom, left, top] = params.get("zoom").split(",")
+    const percent = parseFloat(zoom)
+    if (ZOOM_PRESETS.includes(zoom)) {
+      view.zoom = zoom
+    } else if (percent > 0) {
+      view.zoom = percent / 100
+    }
+    if (Number.isFinite(parseFloat(left))) view.left = parseFloat(left)
+    if (Number.isFinite(parseFloat(top))) view.top = parseFloat(top)
+  }
+
+  if (params.get("search")) view.search = params.get("search")
+  if (params.get("annotation")) view.annotation = params.get("annotation")
+
+  return view
+}
+
+/**
+ * Build the URL fragment for a view.
+ * @param {Object} view
+ * @param {number} view.page
+ * @param {number} view.zoom - Scale (1.5 for 150%)
+ * @param {number} [view.left] - Left of the view, in PDF points
+ * @param {number} [view.top] - Top of the view, in PDF points
+ * @param {string} [view.search] - Current search query
+ * @param {string|number} [view.annotation] - Selected annotation id
+ * @param {string} [baseHash] - Fragment whose other parameters are kept
+ * @returns {string} The fragment, starting with "#"
+ */
+export function formatViewHash(view, baseHash = "") {
+  const params = parseParameters(baseHash)
+  for (const name of VIEW_PARAMETERS) {
+    params.delete(name)
+  }
+
+  const values = new Map()
+  values.set("page", String(view.page))
+
+  // Whole percent and points, as PDF.js writes them
+  const zoom = [Math.round(view.zoom * 100)]
+  if (Number.isFinite(view.left) && Number.isFinite(view.top)) {
+    zoom.push(Math.round(view.left), Math.round(view.top))
+  }
+  values.set("zoom", zoom.join(","))
+
+  if (view.search) values.set("search", view.search)
+  if (view.annotation !== null && view.annotation !== undefined) {
+    values.set("annotation", String(view.annotation))
+  }
+
+  const parts = [...values, ...params].map(([name, value]) => `${name}=${encodeValue(value)}`)
+  return `#${parts.join("&")}`
+}
+
+/**
+ * Remove the view from a URL fragment, keeping its other parameters.
+ * @param {string} hash
+ * @returns {string} The fragment, starting with "#", or "" if nothing is left
+ */
+export function removeViewHash(hash) {
+  const params = parseParameters(hash)
+  for (const name of VIEW_PARAMETERS) {
+    params.delete(name)
+  }
+
+  const parts = [...params].map(([name, value]) => `${name}=${encodeValue(value)}`)
+  return parts.length > 0 ? `#${parts.join("&")}` : ""
+}
+
+// Fragment parameters in order, keeping the case of their names
+function parseParameters(hash) {
+  const params = new Map()
+  for (const part of hash.replace(/^#/, "").split("&")) {
+    const separator = part.indexOf("=")
+    if (separator <= 0) continue
+
+    try {
+      params.set(part.slice(0, separator), decodeURIComponent(part.slice(separator + 1).replace(/\+/g, " ")))
+    } catch {
+      // Malformed escape; skip the parameter
+    }
+  }
+  return params
+}
+
+// Keep commas readable, as in zoom=150,0,200
+function encodeValue(value) {
+  return encodeURIComponent(value).replace(/%2C/gi, ",")
+}